@@ -4,16 +4,34 @@
  */
 
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
 const path = require('path');
 const { exec } = require('child_process');
 const util = require('util');
 const execAsync = util.promisify(exec);
+const http = require('http');
 const https = require('https');
+const express = require('express');
 const WebSocket = require('ws');
+const AlertManager = require('./server/alert-manager');
+const AuditLog = require('./server/audit-log');
+const ReleaseVerifier = require('./server/release-verifier');
+const MaintenanceWindow = require('./server/maintenance-window');
+const UpdateState = require('./server/update-state');
+const BackupStore = require('./server/backup-store');
+const ConfigManager = require('./server/config-manager');
+
+// Programfilerna i en fullständig säkerhetskopia; innehållet ligger i egna rötter
+const APP_FILES = ['package.json', 'config.json', 'auto-update.js', 'server', 'public'];
+// Bildernas och spellistornas metadata i data/ (inte cache, skärmbilder eller larmstatus)
+const CONTENT_DATA = ['playlists.json', 'documents.json', 'trash.json'];
+const BUNDLE_FORMAT = 'infoscreen-bundle';
 
 class AutoUpdateSystem {
-    constructor() {
-        this.config = {
+    // options.root: programmappen (standard cwd); options.start: false skapar objektet utan att starta tjänsten
+    constructor(options = {}) {
+        this.defaults = {
             githubRepo: '5nine/infoscreen-system',
             currentVersion: '1.0.0',
             updateChannel: 'stable',
@@ -22,34 +40,64 @@ class AutoUpdateSystem {
             notifyOnUpdate: true,
             updateCheckInterval: 3600000,
             maxBackups: 5,
-            logLevel: 'info'
+            maxBackupAgeDays: 90,
+            logLevel: 'info',
+            apiUrl: 'https://api.github.com',
+            verification: 'checksum',
+            publicKeyPath: null,
+            healthCheckTimeout: 120000,
+            maintenanceWindows: [],
+            emergencyBypass: true,
+            controlPort: 8083
         };
+        this.config = { ...this.defaults };
+        this.healthUrl = 'http://localhost:8080/api/health';
         
+        const root = options.root || '.';
         this.directories = {
-            root: '.',
-            update: './.update',
-            backup: './.update/backups',
-            temp: './.update/temp',
-            logs: './logs'
+            root,
+            update: path.join(root, '.update'),
+            backup: path.join(root, '.update', 'backups'),
+            temp: path.join(root, '.update', 'temp'),
+            logs: path.join(root, 'logs')
         };
         
         this.updateInProgress = false;
         this.updateClients = new Set();
-        this.init();
+        this.lastStatus = null;
+        this.alerts = new AlertManager({}, {
+            statePath: path.join(this.directories.root, 'data', 'alerts-update.json'),
+            source: 'auto-update'
+        });
+        this.audit = new AuditLog({}, {
+            directory: path.join(this.directories.logs, 'audit'),
+            source: 'update'
+        });
+        this.verifier = new ReleaseVerifier(this.config);
+        this.maintenance = new MaintenanceWindow();
+        this.checkTimer = null;
+        this.state = new UpdateState(path.join(this.directories.root, 'data'));
+        this.backups = new BackupStore(this.directories.backup, { roots: this.backupRoots() });
+        if (options.start !== false) this.init();
     }
     
     async init() {
         console.log('🚀 Auto-Update System initializing...');
         await this.ensureDirectories();
         await this.loadConfig();
-        this.startUpdateWebSocket();
-        this.startUpdateChecker();
-        this.startSystemMonitor();
-        console.log('✅ Auto-Update System ready');
+        await this.alerts.load();
         
+        // Med flaggor körs bara kommandot, så att det inte krockar med tjänsten om den är igång
         if (process.argv.length > 2) {
             await this.handleCliArguments();
+            return;
         }
+        
+        await this.resumeHealthCheck();
+        this.startControlServer();
+        this.startUpdateChecker();
+        this.startSystemMonitor();
+        console.log('✅ Auto-Update System ready');
     }
     
     async handleCliArguments() {
@@ -59,12 +107,11 @@ class AutoUpdateSystem {
             switch (arg) {
                 case '--check': await this.checkForUpdates(true); break;
                 case '--force': await this.performUpdate(true); break;
-                case '--auto': 
-                    const update = await this.checkForUpdates();
-                    if (update.updateAvailable) await this.performUpdate();
-                    break;
-                case '--backup': await this.createBackup(); break;
-                case '--restore': await this.restoreFromLatestBackup(); break;
+                case '--auto': await this.runScheduledUpdate(); break;
+                case '--backup': await this.createBackup(args.includes('--content') ? 'content' : 'full'); break;
+                case '--export': await this.exportBundle(this.argumentValue(args, arg)); break;
+                case '--import': await this.importBundle(this.argumentValue(args, arg)); break;
+                case '--restore': await this.restoreFromBackup(); break;
                 case '--status': await this.showSystemStatus(); break;
                 case '--help': this.showHelp(); break;
                 case '--version': console.log(`Version: ${this.config.currentVersion}`); break;
@@ -72,18 +119,29 @@ class AutoUpdateSystem {
         }
     }
     
+    // Värdet efter en flagga, t.ex. --import <fil>
+    argumentValue(args, flag) {
+        const value = args[args.indexOf(flag) + 1];
+        return value && !value.startsWith('--') ? value : null;
+    }
+    
     showHelp() {
         console.log(`
 📦 Auto-Update System
 ─────────────────────
 Usage: node auto-update.js [options]
 
+Without options the update service runs: scheduled checks, system monitor
+and the control server used by /update-manager (127.0.0.1:update.controlPort).
+
 Options:
   -c, --check      Check for updates
   -f, --force      Force update
-  -a, --auto       Auto-update if available
-  -b, --backup     Create backup
+  -a, --auto       Auto-update if available and inside a maintenance window
+  -b, --backup     Create backup (add --content for images and metadata only)
   -r, --restore    Restore from backup
+  --export [file]  Export settings and content as a .tar.gz bundle
+  --import <file>  Import a bundle from --export (backs up first, then restarts)
   -s, --status     Show system status
   -v, --version    Show version
   -h, --help       Show help
@@ -106,8 +164,23 @@ Options:
             if (await this.fileExists(configPath)) {
                 const configData = await fs.readFile(configPath, 'utf8');
                 const savedConfig = JSON.parse(configData);
-                this.config = { ...this.config, ...savedConfig.update };
+                // Från standardvärdena, så att en borttagen nyckel inte ligger kvar vid omläsning
+                this.config = { ...this.defaults, ...savedConfig.update };
+                this.alerts.configure(savedConfig.notifications);
+                this.audit.configure(savedConfig.audit);
+                if (savedConfig.images) {
+                    this.backups.roots = this.backupRoots(savedConfig.images);
+                }
+                if (savedConfig.system) {
+                    this.alerts.name = savedConfig.system.name;
+                    this.healthUrl = `http://localhost:${savedConfig.system.port || 8080}/api/health`;
+                }
             }
+            if (this.config.publicKeyPath) {
+                this.config.publicKeyPath = path.resolve(this.directories.root, this.config.publicKeyPath);
+            }
+            this.verifier = new ReleaseVerifier(this.config);
+            this.maintenance = new MaintenanceWindow(this.config.maintenanceWindows || []);
             
             const packagePath = path.join(this.directories.root, 'package.json');
             if (await this.fileExists(packagePath)) {
@@ -137,8 +210,11 @@ Options:
             
             const result = {
                 updateAvailable,
+                channel: this.config.updateChannel,
                 currentVersion: this.config.currentVersion,
                 latestVersion: latestRelease.tag_name,
+                prerelease: Boolean(latestRelease.prerelease),
+                emergency: this.isEmergencyRelease(latestRelease),
                 releaseNotes: latestRelease.body || 'No release notes',
                 publishedAt: latestRelease.published_at
             };
@@ -160,6 +236,20 @@ Options:
         }
     }
     
+    // Underlag för /update-manager: release notes och changelog-avsnitten sedan installerad version
+    async checkWithChangelog() {
+        const update = await this.checkForUpdates();
+        if (update.error || !update.updateAvailable) return update;
+        
+        try {
+            const changelog = await this.fetchChangelog(update.latestVersion);
+            return { ...update, changelog: this.changelogSince(changelog, update.currentVersion) };
+        } catch (error) {
+            this.log(`Could not fetch changelog for ${update.latestVersion}: ${error.message}`, 'warn');
+            return { ...update, changelog: null };
+        }
+    }
+    
     async performUpdate(force = false) {
         if (this.updateInProgress) {
             return { success: false, error: 'Update already in progress' };
@@ -168,31 +258,36 @@ Options:
         this.updateInProgress = true;
         this.broadcastUpdateStatus('start', { message: 'Starting update...' });
         
+        // Återställning behövs bara om installationen hann börja ändra filer
+        let backupPath = null;
+        let installing = false;
+        
         try {
-            if (!force) {
-                const updateCheck = await this.checkForUpdates();
-                if (!updateCheck.updateAvailable) {
-                    this.updateInProgress = false;
-                    return { success: false, error: 'No update available' };
-                }
+            const release = await this.fetchLatestRelease();
+            if (!force && !this.isNewerVersion(release.tag_name, this.config.currentVersion)) {
+                this.updateInProgress = false;
+                this.broadcastUpdateStatus('error', { error: 'No update available', message: 'Nothing was changed' });
+                return { success: false, error: 'No update available' };
             }
             
-            let backupPath = null;
+            // Paketet laddas ner och kontrolleras innan något på disken ändras
+            this.broadcastUpdateStatus('progress', { percentage: 10, message: 'Downloading and verifying...' });
+            const updatePath = await this.downloadUpdate(release);
+            
+            this.broadcastUpdateStatus('progress', { percentage: 30, message: 'Validating...' });
+            const version = await this.validateUpdate(updatePath);
+            
             if (this.config.backupBeforeUpdate) {
                 backupPath = await this.createBackup();
             }
             
-            this.broadcastUpdateStatus('progress', { percentage: 10, message: 'Downloading...' });
-            const updatePath = await this.downloadUpdate();
-            
-            this.broadcastUpdateStatus('progress', { percentage: 30, message: 'Validating...' });
-            await this.validateUpdate(updatePath);
-            
             this.broadcastUpdateStatus('progress', { percentage: 50, message: 'Installing...' });
+            installing = true;
             await this.installUpdate(updatePath);
             
+            const previousVersion = this.config.currentVersion;
             this.broadcastUpdateStatus('progress', { percentage: 80, message: 'Configuring...' });
-            await this.updateConfiguration();
+            await this.updateConfiguration(version);
             
             this.broadcastUpdateStatus('progress', { percentage: 90, message: 'Cleaning up...' });
             await this.cleanupUpdate(updatePath);
@@ -200,84 +295,102 @@ Options:
             const result = {
                 success: true,
                 message: 'Update completed',
-                previousVersion: this.config.currentVersion,
-                newVersion: await this.getLatestVersion(),
+                previousVersion,
+                newVersion: version,
+                release: release.tag_name,
+                channel: this.config.updateChannel,
                 backupPath: backupPath,
                 timestamp: new Date().toISOString()
             };
             
             this.log(`Update successful: ${result.previousVersion} → ${result.newVersion}`, 'info');
+            this.audit.record({
+                action: 'update.install',
+                before: { version: result.previousVersion },
+                after: { version: result.newVersion },
+                details: { force, backupPath }
+            });
             this.broadcastUpdateStatus('complete', result);
+            await this.state.clearPending();
+            
+            if (this.config.notifyOnUpdate) {
+                await this.alerts.send({
+                    key: `update-success:${result.newVersion}`,
+                    severity: 'info',
+                    subject: `Updated to ${result.newVersion}`,
+                    message: `Update from ${result.previousVersion} to ${result.newVersion} completed at ${result.timestamp}.\nBackup: ${backupPath || 'none'}`
+                });
+            }
             
-            setTimeout(async () => {
-                await this.restartSystem();
-            }, 3000);
+            // Efter omstarten måste den nya versionen svara på /api/health, annars rullas den tillbaka
+            await this.scheduleHealthCheck({
+                version,
+                previousVersion,
+                backupName: backupPath ? path.basename(backupPath) : null,
+                installedAt: result.timestamp
+            });
             
             return result;
             
         } catch (error) {
             this.log(`Update failed: ${error.message}`, 'error');
-            await this.restoreFromBackup();
+            this.audit.record({
+                action: 'update.failed',
+                before: { version: this.config.currentVersion },
+                details: { force, error: error.message }
+            });
+            
+            // Bara programfilerna; bilder och spellistor kan ha ändrats sedan säkerhetskopian togs
+            let restored = false;
+            if (installing && backupPath) {
+                try {
+                    await this.restoreFromBackup(path.basename(backupPath), { roots: ['app'] });
+                    restored = true;
+                } catch (restoreError) {
+                    this.log(`Restore after failed update failed: ${restoreError.message}`, 'error');
+                }
+            }
             
             const result = {
                 success: false,
                 error: error.message,
-                message: 'Update failed, restored from backup'
+                message: restored ? 'Update failed, restored from backup' : (installing ? 'Update failed, could not restore backup' : 'Update failed, nothing was changed')
             };
             
             this.broadcastUpdateStatus('error', result);
             this.updateInProgress = false;
+            
+            if (this.config.notifyOnUpdate) {
+                await this.alerts.send({
+                    key: 'update-failed',
+                    severity: 'critical',
+                    subject: 'Update failed',
+                    message: `Update from ${this.config.currentVersion} failed: ${error.message}\n${result.message}.`
+                });
+            }
             return result;
         }
     }
     
-    async createBackup() {
-        this.log('Creating backup...', 'info');
+    // full = program, inställningar och innehåll; content = bilder, miniatyrer och bildernas metadata.
+    // Filerna lagras deduplicerat, så oförändrade bilder tar ingen ny plats
+    async createBackup(type = 'full') {
+        this.log(`Creating ${type} backup...`, 'info');
         
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').replace('T', '_').split('.')[0];
-        const backupName = `backup_${timestamp}_v${this.config.currentVersion}`;
-        const backupPath = path.join(this.directories.backup, backupName);
+        const backupName = `backup_${timestamp}_v${this.config.currentVersion}${type === 'content' ? '_content' : ''}`;
         
         try {
-            await fs.mkdir(backupPath, { recursive: true });
-            
-            const filesToBackup = [
-                'package.json',
-                'config.json',
-                'server/',
-                'public/',
-                'images/',
-                'thumbnails/'
-            ];
-            
-            for (const item of filesToBackup) {
-                const source = path.join(this.directories.root, item);
-                const destination = path.join(backupPath, item);
-                
-                if (await this.fileExists(source)) {
-                    if ((await fs.stat(source)).isDirectory()) {
-                        await this.copyDirectory(source, destination);
-                    } else {
-                        await fs.copyFile(source, destination);
-                    }
-                }
-            }
-            
-            const manifest = {
-                timestamp: new Date().toISOString(),
+            const manifest = await this.backups.create({
+                name: backupName,
+                type,
                 version: this.config.currentVersion,
-                backupName: backupName
-            };
-            
-            await fs.writeFile(
-                path.join(backupPath, 'manifest.json'),
-                JSON.stringify(manifest, null, 2),
-                'utf8'
-            );
+                items: this.backupItems(type)
+            });
             
             await this.manageBackupRetention();
-            this.log(`Backup created: ${backupName}`, 'info');
-            return backupPath;
+            this.log(`Backup created: ${backupName} (${manifest.files.length} files, ${this.formatSize(manifest.added)} new)`, 'info');
+            return path.join(this.directories.backup, backupName);
             
         } catch (error) {
             this.log(`Backup failed: ${error.message}`, 'error');
@@ -285,7 +398,29 @@ Options:
         }
     }
     
-    async restoreFromBackup(backupName = null) {
+    backupItems(type) {
+        const content = [
+            { root: 'images', path: '' },
+            { root: 'thumbnails', path: '' },
+            ...CONTENT_DATA.map(file => ({ root: 'data', path: file }))
+        ];
+        if (type === 'content') return content;
+        return [...APP_FILES.map(file => ({ root: 'app', path: file })), ...content];
+    }
+    
+    // Bildmapparna kan ligga utanför programmappen (images.directory)
+    backupRoots(images = {}) {
+        const root = path.resolve(this.directories.root);
+        return {
+            app: root,
+            images: path.resolve(root, images.directory || './images'),
+            thumbnails: path.resolve(root, images.thumbnailsDirectory || './thumbnails'),
+            data: path.join(root, 'data')
+        };
+    }
+    
+    // roots: bara dessa delar av säkerhetskopian, t.ex. ['app'] när en uppdatering rullas tillbaka
+    async restoreFromBackup(backupName = null, { roots = null } = {}) {
         this.log('Restoring from backup...', 'info');
         
         try {
@@ -293,7 +428,8 @@ Options:
             if (backupName) {
                 backupPath = path.join(this.directories.backup, backupName);
             } else {
-                const backups = await this.listBackups();
+                // En innehållskopia återställer inte programmet, så den senaste fullständiga används
+                const backups = (await this.listBackups()).filter(backup => backup.type !== 'content');
                 if (backups.length === 0) throw new Error('No backups available');
                 backupPath = backups[0].path;
             }
@@ -309,20 +445,34 @@ Options:
             
             const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
             
-            const items = await fs.readdir(backupPath);
-            for (const item of items) {
-                if (item === 'manifest.json') continue;
-                const source = path.join(backupPath, item);
-                const destination = path.join(this.directories.root, item);
-                
-                if ((await fs.stat(source)).isDirectory()) {
-                    await this.copyDirectory(source, destination);
-                } else {
-                    await fs.copyFile(source, destination);
+            let packageRestored;
+            if (manifest.files) {
+                await this.backups.restore(path.basename(backupPath), { roots });
+                packageRestored = manifest.files.some(file => file.root === 'app' && file.path === 'package.json' && (!roots || roots.includes('app')));
+            } else {
+                // Säkerhetskopior från före BackupStore är vanliga kopior av programmappen
+                const items = await fs.readdir(backupPath);
+                for (const item of items) {
+                    if (item === 'manifest.json') continue;
+                    const source = path.join(backupPath, item);
+                    const destination = path.join(this.directories.root, item);
+                    
+                    if ((await fs.stat(source)).isDirectory()) {
+                        await this.copyDirectory(source, destination);
+                    } else {
+                        await fs.copyFile(source, destination);
+                    }
                 }
+                packageRestored = items.includes('package.json');
+            }
+            
+            // Beroendena installerades för den nya versionens package.json
+            if (packageRestored) {
+                await execAsync('npm install --production', { cwd: this.directories.root });
             }
             
             this.log(`System restored from backup: ${manifest.backupName}`, 'info');
+            this.audit.record({ action: 'update.restore', details: { backup: manifest.backupName } });
             await this.restartSystem();
             
             return {
@@ -337,20 +487,28 @@ Options:
         }
     }
     
-    async downloadUpdate() {
+    async downloadUpdate(release) {
         const tempPath = path.join(this.directories.temp, `update_${Date.now()}`);
         await fs.mkdir(tempPath, { recursive: true });
         
         try {
-            const latestRelease = await this.fetchLatestRelease();
-            if (!latestRelease || !latestRelease.zipball_url) {
-                throw new Error('No download URL');
-            }
+            const assets = this.verifier.selectAssets(release);
+            this.verifier.requiredAssets(assets);
             
-            const zipUrl = latestRelease.zipball_url;
             const zipPath = path.join(tempPath, 'update.zip');
+            await this.downloadFile(assets.archive.browser_download_url, zipPath);
+            
+            if (assets.checksums) {
+                const sums = await this.requestBuffer(assets.checksums.browser_download_url);
+                const checksum = await this.verifier.verifyChecksum(zipPath, assets.archive.name, sums);
+                this.log(`Checksum verified: ${assets.archive.name} (sha256 ${checksum.slice(0, 12)}…)`, 'info');
+            }
+            if (this.config.verification === 'signature') {
+                const signature = await this.requestBuffer(assets.signature.browser_download_url);
+                await this.verifier.verifySignature(zipPath, signature);
+                this.log(`Signature verified: ${assets.archive.name}`, 'info');
+            }
             
-            await this.downloadFile(zipUrl, zipPath);
             await execAsync(`unzip -q "${zipPath}" -d "${tempPath}/extracted"`);
             
             const extractedDir = path.join(tempPath, 'extracted');
@@ -394,6 +552,7 @@ Options:
         if (!packageData.version) throw new Error('No version in package.json');
         
         this.log(`Update validated: ${packageData.version}`, 'info');
+        return packageData.version;
     }
     
     async installUpdate(updatePath) {
@@ -434,25 +593,16 @@ Options:
         this.log('Update installed', 'info');
     }
     
-    async updateConfiguration() {
+    // Versionen hör hemma i system.version; okända nycklar på toppnivå underkänns av config-schema.js
+    async updateConfiguration(version) {
         const configPath = path.join(this.directories.root, 'config.json');
-        const defaultConfig = {
-            version: await this.getLatestVersion(),
-            lastUpdated: new Date().toISOString()
-        };
         
-        let currentConfig = {};
         if (await this.fileExists(configPath)) {
-            const currentData = await fs.readFile(configPath, 'utf8');
-            currentConfig = JSON.parse(currentData);
+            const config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+            config.system = { ...config.system, version };
+            await fs.writeFile(configPath, JSON.stringify(config, null, 2), 'utf8');
         }
-        
-        const mergedConfig = { ...defaultConfig, ...currentConfig };
-        mergedConfig.version = defaultConfig.version;
-        mergedConfig.lastUpdated = defaultConfig.lastUpdated;
-        
-        await fs.writeFile(configPath, JSON.stringify(mergedConfig, null, 2), 'utf8');
-        this.config.currentVersion = mergedConfig.version;
+        this.config.currentVersion = version;
         
         this.log('Configuration updated', 'info');
     }
@@ -486,50 +636,317 @@ Options:
         return status;
     }
     
-    startUpdateWebSocket() {
-        const wss = new WebSocket.Server({ port: 8082, path: '/ws/update' });
+    get pendingHealthPath() {
+        return path.join(this.directories.update, 'pending-health.json');
+    }
+    
+    // Sparas på disk så att kontrollen fortsätter om även den här processen startas om
+    async scheduleHealthCheck(pending) {
+        await fs.writeFile(this.pendingHealthPath, JSON.stringify(pending, null, 2), 'utf8');
+        
+        setTimeout(async () => {
+            await this.restartSystem();
+            await this.runHealthCheck(pending);
+        }, 3000);
+    }
+    
+    async resumeHealthCheck() {
+        try {
+            const pending = JSON.parse(await fs.readFile(this.pendingHealthPath, 'utf8'));
+            this.log(`Resuming health check for ${pending.version}`, 'info');
+            this.updateInProgress = true;
+            this.runHealthCheck(pending);
+        } catch (error) {
+            if (error.code !== 'ENOENT') this.log(`Could not read pending health check: ${error.message}`, 'error');
+        }
+    }
+    
+    // Frågar /api/health tills den nya versionen svarar "healthy", annars återställs säkerhetskopian
+    async runHealthCheck(pending) {
+        const deadline = Date.now() + this.config.healthCheckTimeout;
+        let lastError = 'no response';
+        
+        this.broadcastUpdateStatus('progress', { percentage: 95, message: 'Checking health...' });
+        
+        while (Date.now() < deadline) {
+            try {
+                const health = JSON.parse((await this.requestBuffer(this.healthUrl)).toString('utf8'));
+                if (health.status === 'healthy' && health.version === pending.version) {
+                    await fs.unlink(this.pendingHealthPath).catch(() => {});
+                    this.updateInProgress = false;
+                    this.log(`Health check passed: ${pending.version}`, 'info');
+                    this.audit.record({ action: 'update.verified', after: { version: pending.version } });
+                    this.broadcastUpdateStatus('healthy', { version: pending.version });
+                    return true;
+                }
+                lastError = `status ${health.status}, version ${health.version}`;
+            } catch (error) {
+                lastError = error.message;
+            }
+            await new Promise(resolve => setTimeout(resolve, Math.min(5000, Math.max(0, deadline - Date.now()))));
+        }
+        
+        await fs.unlink(this.pendingHealthPath).catch(() => {});
+        this.log(`Health check failed for ${pending.version}: ${lastError}`, 'error');
+        this.audit.record({
+            action: 'update.rollback',
+            before: { version: pending.version },
+            after: { version: pending.previousVersion },
+            details: { error: lastError, backup: pending.backupName }
+        });
+        this.broadcastUpdateStatus('error', { error: `Health check failed: ${lastError}`, message: 'Rolling back' });
+        
+        // Innehåll som lagts till sedan uppdateringen behålls; bara programmet rullas tillbaka
+        let restored = false;
+        if (pending.backupName) {
+            try {
+                await this.restoreFromBackup(pending.backupName, { roots: ['app'] });
+                restored = true;
+            } catch (error) {
+                lastError += `; restore failed: ${error.message}`;
+            }
+        }
+        this.updateInProgress = false;
+        
+        if (this.config.notifyOnUpdate) {
+            await this.alerts.send({
+                key: 'update-rollback',
+                severity: 'critical',
+                subject: restored ? `Update to ${pending.version} rolled back` : `Update to ${pending.version} is unhealthy`,
+                message: `Version ${pending.version} did not pass the health check within ${Math.round(this.config.healthCheckTimeout / 1000)} s (${lastError}).\n`
+                    + (restored ? `Restored ${pending.previousVersion} from ${pending.backupName}.` : 'No backup could be restored; manual action required.')
+            });
+        }
+        return false;
+    }
+    
+    // Styrning för /update-manager. Lyssnar bara på 127.0.0.1: webserver.js kontrollerar
+    // inloggningen och vidarebefordrar anropen och förloppet (/ws/update)
+    startControlServer() {
+        const app = express();
+        app.use(express.json());
+        
+        app.get('/status', (req, res) => {
+            res.json(this.controlStatus());
+        });
+        
+        app.post('/reload', async (req, res) => {
+            res.json(await this.reloadConfig());
+        });
+        
+        app.post('/check', async (req, res) => {
+            const update = await this.checkWithChangelog();
+            res.status(update.error ? 502 : 200).json(update);
+        });
+        
+        // Uppdateringen tar minuter och slutar med en omstart; förloppet går via /ws/update
+        app.post('/update', (req, res) => {
+            if (this.updateInProgress) return res.status(409).json({ error: 'Update already in progress' });
+            
+            this.performUpdate(Boolean(req.body && req.body.force));
+            res.status(202).json({ success: true, message: 'Update started' });
+        });
+        
+        app.get('/backups', async (req, res) => {
+            const backups = await this.listBackups();
+            res.json({ backups: backups.map(({ path: backupPath, ...backup }) => backup) });
+        });
+        
+        app.post('/backups', async (req, res) => {
+            const type = (req.body && req.body.type) || 'full';
+            if (!['full', 'content'].includes(type)) return res.status(400).json({ error: 'type must be full or content' });
+            
+            try {
+                const name = path.basename(await this.createBackup(type));
+                const { path: backupPath, ...backup } = (await this.listBackups()).find(b => b.name === name);
+                res.status(201).json({ success: true, backup });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        app.get('/export', async (req, res) => {
+            try {
+                const file = await this.exportBundle();
+                res.download(file, path.basename(file), () => fs.rm(file, { force: true }));
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        // Kroppen är själva .tar.gz-filen; importen slutar med en omstart, förloppet går via /ws/update
+        app.post('/import', async (req, res) => {
+            if (this.updateInProgress) return res.status(409).json({ error: 'Update already in progress' });
+            
+            const file = path.join(this.directories.temp, `import_${Date.now()}.tar.gz`);
+            try {
+                await pipeline(req, createWriteStream(file));
+            } catch (error) {
+                await fs.rm(file, { force: true });
+                return res.status(400).json({ error: `Upload failed: ${error.message}` });
+            }
+            
+            this.runImport(file);
+            res.status(202).json({ success: true, message: 'Import started' });
+        });
+        
+        app.post('/backups/:name/restore', async (req, res) => {
+            if (this.updateInProgress) return res.status(409).json({ error: 'Update already in progress' });
+            
+            const backups = await this.listBackups();
+            if (!backups.some(backup => backup.name === req.params.name)) {
+                return res.status(404).json({ error: 'Backup not found' });
+            }
+            
+            this.restoreBackup(req.params.name);
+            res.status(202).json({ success: true, message: 'Restore started' });
+        });
+        
+        const server = http.createServer(app);
+        const wss = new WebSocket.Server({ server, path: '/ws/update' });
         
         wss.on('connection', (ws) => {
             this.updateClients.add(ws);
+            ws.send(JSON.stringify({ type: 'status', timestamp: new Date().toISOString(), ...this.controlStatus() }));
             ws.on('close', () => this.updateClients.delete(ws));
         });
         
-        this.log('Update WebSocket server started on port 8082', 'info');
+        server.on('error', error => this.log(`Control server failed: ${error.message}`, 'error'));
+        server.listen(this.config.controlPort, '127.0.0.1', () => {
+            this.log(`Update control server listening on 127.0.0.1:${this.config.controlPort}`, 'info');
+        });
+    }
+    
+    controlStatus() {
+        return {
+            currentVersion: this.config.currentVersion,
+            channel: this.config.updateChannel,
+            updateInProgress: this.updateInProgress,
+            lastStatus: this.lastStatus
+        };
+    }
+    
+    // Som restoreFromBackup men med förlopp till /update-manager
+    async restoreBackup(backupName) {
+        this.updateInProgress = true;
+        this.broadcastUpdateStatus('start', { message: `Restoring ${backupName}...` });
+        
+        try {
+            await this.restoreFromBackup(backupName);
+            this.broadcastUpdateStatus('restored', { message: 'System restored', backup: backupName });
+        } catch (error) {
+            this.broadcastUpdateStatus('error', { error: error.message, message: 'Restore failed' });
+        } finally {
+            this.updateInProgress = false;
+        }
+    }
+    
+    async runImport(file) {
+        this.updateInProgress = true;
+        this.broadcastUpdateStatus('start', { message: 'Importing bundle...' });
+        
+        try {
+            const result = await this.importBundle(file);
+            this.broadcastUpdateStatus('imported', { message: 'Bundle imported', files: result.files, backup: result.backup });
+        } catch (error) {
+            this.broadcastUpdateStatus('error', { error: error.message, message: 'Import failed' });
+        } finally {
+            this.updateInProgress = false;
+            await fs.rm(file, { force: true });
+        }
     }
     
     broadcastUpdateStatus(type, data) {
-        const message = JSON.stringify({ type, timestamp: new Date().toISOString(), ...data });
+        // Sparas så att en sida som ansluter mitt i en uppdatering ser var den är
+        this.lastStatus = { type, timestamp: new Date().toISOString(), ...data };
+        const message = JSON.stringify(this.lastStatus);
         for (const client of this.updateClients) {
             if (client.readyState === WebSocket.OPEN) client.send(message);
         }
     }
     
     startUpdateChecker() {
-        if (this.config.autoUpdate) {
-            setInterval(async () => {
-                if (!this.updateInProgress) {
-                    const update = await this.checkForUpdates();
-                    if (update.updateAvailable) {
-                        await this.performUpdate();
-                    }
-                }
-            }, this.config.updateCheckInterval);
+        if (!this.config.autoUpdate) return;
+        
+        // config.json har update.checkInterval; updateCheckInterval är det äldre namnet
+        this.checkTimer = setInterval(() => this.runScheduledUpdate(), this.config.checkInterval || this.config.updateCheckInterval);
+        
+        // Väntande uppdateringar installeras när ett fönster öppnar, inte först vid nästa kontroll
+        const windows = this.maintenance.schedule(() => this.runScheduledUpdate());
+        if (windows > 0) this.log(`Updates are installed in ${windows} maintenance window(s)`, 'info');
+    }
+    
+    stopUpdateChecker() {
+        clearInterval(this.checkTimer);
+        this.checkTimer = null;
+        this.maintenance.stop();
+    }
+    
+    // Läser om config.json när inställningarna ändrats i admin-panelen (POST /reload från webserver.js),
+    // så att underhållsfönster, kanal och larm gäller utan att tjänsten startas om
+    async reloadConfig() {
+        this.stopUpdateChecker();
+        await this.loadConfig();
+        this.startUpdateChecker();
+        this.log('Configuration reloaded', 'info');
+        return this.controlStatus();
+    }
+    
+    // Installerar en ny release om ingen har skjutit upp uppdateringar och ett
+    // underhållsfönster är öppet; annars sparas den som väntande för adminpanelen
+    async runScheduledUpdate() {
+        if (this.updateInProgress) return null;
+        
+        const update = await this.checkForUpdates();
+        if (!update.updateAvailable) {
+            if (!update.error) await this.state.clearPending();
+            return update;
         }
+        
+        const reason = await this.updateBlockedBy(update);
+        if (!reason) return this.performUpdate();
+        
+        const pending = await this.state.setPending({
+            version: update.latestVersion,
+            emergency: update.emergency,
+            releaseNotes: update.releaseNotes,
+            publishedAt: update.publishedAt
+        }, reason);
+        this.log(`Update ${update.latestVersion} pending: ${reason}`, 'info');
+        return { ...update, pending };
+    }
+    
+    // Uppskjutning från adminpanelen gäller alltid; akuta releaser får gå utanför fönstret
+    async updateBlockedBy(update, now = new Date()) {
+        if (await this.state.isDeferred(now)) return 'deferred';
+        if (update.emergency && this.config.emergencyBypass) return null;
+        if (!this.maintenance.isOpen(now)) return 'maintenance-window';
+        return null;
     }
     
     startSystemMonitor() {
         setInterval(async () => {
             try {
                 const stats = await this.getSystemStats();
-                if (stats.memory.percent > 90) this.log(`High memory: ${stats.memory.percent}%`, 'warn');
-                if (stats.cpu.load > 80) this.log(`High CPU: ${stats.cpu.load}%`, 'warn');
-                if (stats.disk.percent > 90) this.log(`Low disk: ${100 - stats.disk.percent}% free`, 'warn');
+                if (stats.memory.percent > 90) this.monitorAlert('memory', `High memory: ${stats.memory.percent}%`);
+                if (stats.cpu.load > 80) this.monitorAlert('cpu', `High CPU: ${stats.cpu.load}%`);
+                if (stats.disk.percent > 90) this.monitorAlert('disk', `Low disk: ${100 - stats.disk.percent}% free`);
             } catch (error) {
                 this.log(`Monitor error: ${error.message}`, 'error');
             }
         }, 60000);
     }
     
+    monitorAlert(resource, message) {
+        this.log(message, 'warn');
+        this.alerts.send({
+            key: `monitor:${resource}`,
+            severity: resource === 'disk' ? 'critical' : 'warning',
+            subject: message,
+            message: `${message} (checked every minute by the system monitor).`
+        });
+    }
+    
     async fileExists(filePath) {
         try {
             await fs.access(filePath);
@@ -557,99 +974,244 @@ Options:
     
     async listBackups() {
         try {
-            const backups = [];
-            const items = await fs.readdir(this.directories.backup, { withFileTypes: true });
-            
-            for (const item of items) {
-                if (item.isDirectory()) {
-                    const manifestPath = path.join(this.directories.backup, item.name, 'manifest.json');
-                    if (await this.fileExists(manifestPath)) {
-                        const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
-                        backups.push({
-                            name: item.name,
-                            path: path.join(this.directories.backup, item.name),
-                            ...manifest
-                        });
-                    }
-                }
-            }
-            
-            backups.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-            return backups;
+            return await this.backups.list();
         } catch (error) {
             this.log(`Failed to list backups: ${error.message}`, 'error');
             return [];
         }
     }
     
+    // Både antal och ålder; objekt som ingen säkerhetskopia använder längre tas bort
     async manageBackupRetention() {
         try {
-            const backups = await this.listBackups();
-            if (backups.length > this.config.maxBackups) {
-                const toDelete = backups.slice(this.config.maxBackups);
-                for (const backup of toDelete) {
-                    await fs.rm(backup.path, { recursive: true, force: true });
-                }
-            }
+            const removed = await this.backups.prune({
+                maxBackups: this.config.maxBackups,
+                maxAgeDays: this.config.maxBackupAgeDays
+            });
+            if (removed.length > 0) this.log(`Removed ${removed.length} old backup(s)`, 'info');
         } catch (error) {
             this.log(`Backup retention failed: ${error.message}`, 'error');
         }
     }
     
+    // Flyttbart paket med inställningar och innehåll, för att klona en skärm till en ny Raspberry Pi:
+    // bundle.json, config.json, images/, thumbnails/ och data/ i en .tar.gz
+    async exportBundle(targetPath = null) {
+        const backupName = path.basename(await this.createBackup('content'));
+        const staging = path.join(this.directories.temp, `export_${Date.now()}`);
+        const target = path.resolve(targetPath || path.join(this.directories.update, 'exports', `infoscreen-${backupName.replace(/^backup_/, '')}.tar.gz`));
+        
+        try {
+            const manifest = await this.backups.materialize(backupName, staging);
+            await fs.copyFile(path.join(this.directories.root, 'config.json'), path.join(staging, 'config.json'));
+            await fs.writeFile(path.join(staging, 'bundle.json'), JSON.stringify({
+                format: BUNDLE_FORMAT,
+                version: 1,
+                created: new Date().toISOString(),
+                systemVersion: this.config.currentVersion,
+                files: manifest.files.length,
+                size: manifest.size
+            }, null, 2), 'utf8');
+            
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await execAsync(`tar -czf "${target}" -C "${staging}" .`);
+        } finally {
+            await fs.rm(staging, { recursive: true, force: true });
+        }
+        
+        this.log(`Bundle exported: ${target}`, 'info');
+        this.audit.record({ action: 'update.export', details: { file: path.basename(target), backup: backupName } });
+        return target;
+    }
+    
+    // Läser in ett paket från exportBundle(). Bilder och metadata läggs i den här maskinens
+    // mappar och skriver över filer med samma namn; en fullständig säkerhetskopia tas först
+    async importBundle(bundlePath) {
+        if (!bundlePath || !await this.fileExists(bundlePath)) throw new Error(`Bundle not found: ${bundlePath}`);
+        
+        const staging = path.join(this.directories.temp, `import_${Date.now()}`);
+        await fs.mkdir(staging, { recursive: true });
+        
+        try {
+            await execAsync(`tar -xzf "${path.resolve(bundlePath)}" -C "${staging}" --no-same-owner --no-same-permissions`).catch((error) => {
+                throw new Error(`Bundle could not be unpacked: ${(error.stderr || error.message).trim().split('\n')[0]}`);
+            });
+            
+            const bundle = JSON.parse(await fs.readFile(path.join(staging, 'bundle.json'), 'utf8').catch(() => 'null'));
+            if (!bundle || bundle.format !== BUNDLE_FORMAT) throw new Error('Not an info screen bundle (bundle.json missing)');
+            
+            const config = await this.bundleConfig(path.join(staging, 'config.json'));
+            const backupPath = await this.createBackup('full');
+            
+            let files = 0;
+            for (const root of ['images', 'thumbnails']) {
+                files += await this.copyRegularFiles(path.join(staging, root), this.backups.roots[root]);
+            }
+            // Ur data/ bara bildernas och spellistornas metadata; larmstatus och klienter hör till maskinen
+            for (const file of CONTENT_DATA) {
+                const source = path.join(staging, 'data', file);
+                const stat = await fs.lstat(source).catch(() => null);
+                if (!stat || !stat.isFile()) continue;
+                
+                await fs.mkdir(this.backups.roots.data, { recursive: true });
+                await fs.copyFile(source, path.join(this.backups.roots.data, file));
+                files++;
+            }
+            if (config) {
+                await fs.writeFile(path.join(this.directories.root, 'config.json'), JSON.stringify(config, null, 2), 'utf8');
+            }
+            
+            const result = {
+                success: true,
+                message: 'Bundle imported',
+                files,
+                config: Boolean(config),
+                backup: path.basename(backupPath),
+                bundle
+            };
+            
+            this.log(`Bundle imported: ${files} files from ${bundle.created} (backup ${result.backup})`, 'info');
+            this.audit.record({
+                action: 'update.import',
+                details: { file: path.basename(bundlePath), files, config: result.config, backup: result.backup }
+            });
+            await this.restartSystem();
+            return result;
+        } finally {
+            await fs.rm(staging, { recursive: true, force: true });
+        }
+    }
+    
+    // Paketets config.json, validerad; sökvägarna till bildmapparna på den här maskinen behålls
+    async bundleConfig(configPath) {
+        if (!await this.fileExists(configPath)) return null;
+        
+        const config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+        const errors = new ConfigManager(configPath).validate(config);
+        if (errors.length > 0) throw new Error(`Bundle config.json is not valid: ${errors.join('; ')}`);
+        
+        const current = JSON.parse(await fs.readFile(path.join(this.directories.root, 'config.json'), 'utf8'));
+        for (const key of ['directory', 'thumbnailsDirectory']) {
+            if (current.images && current.images[key]) config.images[key] = current.images[key];
+        }
+        return config;
+    }
+    
+    // Som copyDirectory men bara vanliga filer, så att länkar i ett paket inte kan peka ut ur mappen
+    async copyRegularFiles(src, dest) {
+        const entries = await fs.readdir(src, { withFileTypes: true }).catch(() => []);
+        let count = 0;
+        
+        for (const entry of entries) {
+            const srcPath = path.join(src, entry.name);
+            const destPath = path.join(dest, entry.name);
+            
+            if (entry.isDirectory()) {
+                count += await this.copyRegularFiles(srcPath, destPath);
+            } else if (entry.isFile()) {
+                await fs.mkdir(dest, { recursive: true });
+                await fs.copyFile(srcPath, destPath);
+                count++;
+            }
+        }
+        return count;
+    }
+    
+    formatSize(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${Math.round(bytes / 1024)} kB`;
+        return `${bytes} B`;
+    }
+    
+    // Senaste releasen i kanalen: stable = releaser utan pre-release-flagga och
+    // utan suffix i taggen (v1.2.0), beta = även pre-releaser (v1.3.0-beta.1)
     async fetchLatestRelease() {
+        const url = `${this.config.apiUrl.replace(/\/$/, '')}/repos/${this.config.githubRepo}/releases?per_page=30`;
+        const releases = JSON.parse((await this.requestBuffer(url)).toString('utf8'));
+        if (!Array.isArray(releases)) throw new Error('Unexpected response from release API');
+        
+        const beta = this.config.updateChannel === 'beta';
+        const candidates = releases.filter(release =>
+            !release.draft && (beta || (!release.prerelease && !/-/.test(release.tag_name))));
+        if (candidates.length === 0) throw new Error(`No releases in the ${this.config.updateChannel} channel`);
+        
+        return candidates.reduce((latest, release) =>
+            this.compareVersions(release.tag_name, latest.tag_name) > 0 ? release : latest);
+    }
+    
+    // GET med omdirigeringar (GitHub skickar nedladdningar vidare till sin CDN)
+    request(url, redirects = 5) {
         return new Promise((resolve, reject) => {
-            const options = {
-                hostname: 'api.github.com',
-                path: `/repos/${this.config.githubRepo}/releases/latest`,
+            const client = url.startsWith('https:') ? https : http;
+            const request = client.get(url, {
                 headers: {
                     'User-Agent': 'Själevads-Bygg-Info-Screen',
-                    'Accept': 'application/vnd.github.v3+json'
+                    'Accept': url.includes('/repos/') ? 'application/vnd.github.v3+json' : 'application/octet-stream'
+                },
+                timeout: 30000
+            }, (response) => {
+                if ([301, 302, 303, 307, 308].includes(response.statusCode) && response.headers.location) {
+                    response.resume();
+                    if (redirects === 0) return reject(new Error('Too many redirects'));
+                    return resolve(this.request(new URL(response.headers.location, url).href, redirects - 1));
                 }
-            };
-            
-            https.get(options, (res) => {
-                if (res.statusCode !== 200) {
-                    reject(new Error(`GitHub API error: ${res.statusCode}`));
-                    return;
+                if (response.statusCode !== 200) {
+                    response.resume();
+                    return reject(new Error(`Request to ${new URL(url).host} failed: ${response.statusCode}`));
                 }
-                
-                let data = '';
-                res.on('data', (chunk) => data += chunk);
-                res.on('end', () => {
-                    try {
-                        resolve(JSON.parse(data));
-                    } catch (error) {
-                        reject(new Error(`Failed to parse response: ${error.message}`));
-                    }
-                });
-            }).on('error', (error) => {
-                reject(new Error(`GitHub API request failed: ${error.message}`));
+                resolve(response);
             });
+            request.on('timeout', () => request.destroy(new Error('Request timed out')));
+            request.on('error', error => reject(new Error(`Request to ${new URL(url).host} failed: ${error.message}`)));
         });
     }
     
+    async requestBuffer(url) {
+        const response = await this.request(url);
+        const chunks = [];
+        for await (const chunk of response) chunks.push(chunk);
+        return Buffer.concat(chunks);
+    }
+    
     async downloadFile(url, destPath) {
-        return new Promise((resolve, reject) => {
-            const file = fs.createWriteStream(destPath);
-            
-            https.get(url, (response) => {
-                if (response.statusCode !== 200) {
-                    reject(new Error(`Download failed: ${response.statusCode}`));
-                    return;
-                }
-                
-                response.pipe(file);
-                file.on('finish', () => {
-                    file.close();
-                    resolve();
-                });
-            }).on('error', (error) => {
-                fs.unlink(destPath, () => {});
-                reject(new Error(`Download error: ${error.message}`));
-            });
+        const response = await this.request(url);
+        
+        await new Promise((resolve, reject) => {
+            const file = createWriteStream(destPath);
+            response.pipe(file);
+            file.on('finish', resolve);
+            file.on('error', reject);
+            response.on('error', reject);
+        }).catch(async (error) => {
+            await fs.unlink(destPath).catch(() => {});
+            throw new Error(`Download error: ${error.message}`);
         });
     }
     
+    async fetchChangelog(tag) {
+        const url = `${this.config.apiUrl.replace(/\/$/, '')}/repos/${this.config.githubRepo}/contents/changelog.md?ref=${encodeURIComponent(tag)}`;
+        const file = JSON.parse((await this.requestBuffer(url)).toString('utf8'));
+        if (typeof file.content !== 'string') throw new Error('No changelog.md in release');
+        return Buffer.from(file.content, file.encoding || 'base64').toString('utf8');
+    }
+    
+    // Avsnitten "## [x.y.z]" som är nyare än installerad version, nyast först som i filen
+    changelogSince(text, version) {
+        return String(text)
+            .split(/^(?=## \[)/m)
+            .filter(section => {
+                const match = /^## \[([^\]]+)\]/.exec(section);
+                return match && match[1] !== 'Unreleased' && this.isNewerVersion(match[1], version);
+            })
+            .join('')
+            .trim();
+    }
+    
+    // Akuta releaser märks med [emergency] i namnet eller release notes
+    isEmergencyRelease(release) {
+        return /\[emergency\]/i.test(`${release.name || ''}\n${release.body || ''}`);
+    }
+    
     async getLatestVersion() {
         try {
             const release = await this.fetchLatestRelease();
@@ -660,21 +1222,34 @@ Options:
     }
     
     isNewerVersion(latest, current) {
-        const latestClean = latest.replace(/^v/, '');
-        const currentClean = current.replace(/^v/, '');
-        
-        const latestParts = latestClean.split('.').map(Number);
-        const currentParts = currentClean.split('.').map(Number);
+        return this.compareVersions(latest, current) > 0;
+    }
+    
+    // Semver-ordning: 1.2.0-beta.2 < 1.2.0-rc.1 < 1.2.0 < 1.2.1
+    compareVersions(a, b) {
+        const parse = (version) => {
+            const [main, pre] = String(version).replace(/^v/, '').split(/-(.*)/s);
+            return { parts: main.split('.').map(part => parseInt(part) || 0), pre: pre ? pre.split('.') : [] };
+        };
+        const left = parse(a);
+        const right = parse(b);
         
-        for (let i = 0; i < Math.max(latestParts.length, currentParts.length); i++) {
-            const latestPart = latestParts[i] || 0;
-            const currentPart = currentParts[i] || 0;
-            
-            if (latestPart > currentPart) return true;
-            if (latestPart < currentPart) return false;
+        for (let i = 0; i < Math.max(left.parts.length, right.parts.length); i++) {
+            const diff = (left.parts[i] || 0) - (right.parts[i] || 0);
+            if (diff !== 0) return Math.sign(diff);
         }
         
-        return false;
+        // En version utan pre-release-del är nyare än samma version med
+        if (left.pre.length === 0 || right.pre.length === 0) return Math.sign(right.pre.length - left.pre.length);
+        
+        for (let i = 0; i < Math.max(left.pre.length, right.pre.length); i++) {
+            if (left.pre[i] === undefined) return -1;
+            if (right.pre[i] === undefined) return 1;
+            const numeric = /^\d+$/.test(left.pre[i]) && /^\d+$/.test(right.pre[i]);
+            const diff = numeric ? left.pre[i] - right.pre[i] : left.pre[i].localeCompare(right.pre[i]);
+            if (diff !== 0) return Math.sign(diff);
+        }
+        return 0;
     }
     
     async getSystemStats() {
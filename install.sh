@@ -11,6 +11,7 @@ NC='\033[0m'
 
 INSTALL_DIR="/home/pi/infoscreen-system"
 SERVICE_NAME="infoscreen"
+UPDATE_SERVICE_NAME="infoscreen-update"
 USER="pi"
 
 print_header() {
@@ -62,7 +63,7 @@ install_dependencies() {
         apt install -y nodejs
     fi
     
-    apt install -y chromium imagemagick git net-tools
+    apt install -y chromium imagemagick ffmpeg poppler-utils unzip git net-tools
     print_success "Dependencies installed"
 }
 
@@ -90,8 +91,10 @@ install_node_modules() {
 setup_service() {
     print_step "Setting up service..."
     cp $INSTALL_DIR/infoscreen.service /etc/systemd/system/
+    cp $INSTALL_DIR/infoscreen-update.service /etc/systemd/system/
     systemctl daemon-reload
     systemctl enable $SERVICE_NAME
+    systemctl enable $UPDATE_SERVICE_NAME
     print_success "Service configured"
 }
 
@@ -100,11 +103,12 @@ configure_kiosk() {
     AUTOSTART_DIR="/home/$USER/.config/autostart"
     mkdir -p $AUTOSTART_DIR
     
+    # Egen profil i stället för --incognito, så att sparat innehåll för offline-läge finns kvar efter omstart
     cat > $AUTOSTART_DIR/infoscreen.desktop << EOF
 [Desktop Entry]
 Type=Application
 Name=Info Screen
-Exec=chromium-browser --kiosk --incognito --disable-features=TranslateUI --disable-component-update --disable-pinch --noerrdialogs --disable-infobars http://localhost:8080
+Exec=chromium-browser --kiosk --user-data-dir=/home/$USER/.config/infoscreen-display --disable-features=TranslateUI --disable-component-update --disable-pinch --noerrdialogs --disable-infobars http://localhost:8080
 Hidden=false
 X-GNOME-Autostart-enabled=true
 EOF
@@ -130,6 +134,7 @@ post_install() {
     cd $INSTALL_DIR
     sudo -u $USER node server/thumbnail-generator.js
     systemctl start $SERVICE_NAME
+    systemctl start $UPDATE_SERVICE_NAME
     sleep 3
     print_success "Post-install done"
 }
@@ -145,6 +150,7 @@ show_summary() {
     echo -e "  • Info Screen:      http://$IP_ADDRESS:8080"
     echo -e "  • Touch Control:    http://$IP_ADDRESS:8080/touch-control.html"
     echo -e "  • Admin Panel:      http://$IP_ADDRESS:8080/admin"
+    echo -e "  • Updates:          http://$IP_ADDRESS:8080/update-manager"
     echo ""
     echo -e "${YELLOW}🔧 Commands:${NC}"
     echo -e "  • Start:  sudo systemctl start $SERVICE_NAME"
@@ -0,0 +1,9 @@
+/**
+ * Shared by the pages under public/: escapes text from the API (titles,
+ * descriptions, file names, error messages) before it is put in innerHTML
+ * or an attribute. Loaded with <script src="/js/escape-html.js"> before the
+ * page's own script; the display's service worker keeps it for offline use.
+ */
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
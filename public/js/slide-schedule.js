@@ -0,0 +1,65 @@
+/**
+ * The schedule rules for slides, shared by the server (server/slide-scheduler.js
+ * decides what the screens get) and the display (index.html follows the
+ * saved playlist itself while it is offline), so both always agree. Loaded
+ * with require() on the server and as window.SlideSchedule in the browser.
+ *
+ * Times are local to whoever runs it: the server, or the screen when offline.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SlideSchedule = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+    // Datum utan tid tolkas som lokal midnatt, eller dygnets slut för slutdatum.
+    // Ger NaN för datum som inte finns; Date rullar annars 2026-02-30 vidare till 2 mars
+    function parseDate(value, endOfDay) {
+        const date = /^(\d{4})-(\d{2})-(\d{2})(T|$)/.exec(value);
+        if (!date) return new Date(value).getTime();
+
+        const [y, m, d] = date.slice(1, 4).map(Number);
+        const day = new Date(y, m - 1, d);
+        if (day.getFullYear() !== y || day.getMonth() !== m - 1 || day.getDate() !== d) return NaN;
+
+        if (date[4]) return new Date(value).getTime();
+        return endOfDay
+            ? new Date(y, m - 1, d, 23, 59, 59, 999).getTime()
+            : day.getTime();
+    }
+
+    function isTime(value) {
+        return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+    }
+
+    function toMinutes(time) {
+        const [h, m] = time.split(':').map(Number);
+        return h * 60 + m;
+    }
+
+    function isEligible(image, now = new Date()) {
+        if (image.active === false) return false;
+
+        const schedule = image.schedule;
+        if (!schedule) return true;
+
+        const timestamp = now.getTime();
+        if (schedule.validFrom && timestamp < parseDate(schedule.validFrom, false)) return false;
+        if (schedule.validUntil && timestamp > parseDate(schedule.validUntil, true)) return false;
+
+        const today = now.getDay();
+        const onDay = day => !schedule.weekdays || schedule.weekdays.length === 0 || schedule.weekdays.includes(day);
+
+        if (!schedule.timeWindows || schedule.timeWindows.length === 0) return onDay(today);
+
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        return schedule.timeWindows.some(window => {
+            const start = toMinutes(window.start);
+            const end = toMinutes(window.end);
+            if (start < end) return minutes >= start && minutes < end && onDay(today);
+            // Ett fönster som slutar före start går över midnatt; delen efter midnatt hör till dagen det började
+            if (minutes >= start) return onDay(today);
+            return minutes < end && onDay((today + 6) % 7);
+        });
+    }
+
+    return { parseDate, isTime, toMinutes, isEligible };
+}));
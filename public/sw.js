@@ -0,0 +1,125 @@
+/**
+ * Service worker for the display (index.html). Keeps the page itself and the
+ * shared scripts it loads from /js/, the CDN assets it uses and the media in the current playlist in Cache Storage
+ * so a screen keeps playing when the network or the server is down. The
+ * playlist, weather, calendar and emergency alert JSON are kept by the page
+ * in IndexedDB.
+ *
+ * Media is only cached when the page asks for it ('cache-media' message with
+ * the playlist's URLs); files that are no longer in the playlist are removed
+ * at the same time, so other pages under / (admin, status) are unaffected.
+ */
+const VERSION = 'v2';
+const SHELL_CACHE = `infoscreen-shell-${VERSION}`;
+const CDN_CACHE = 'infoscreen-cdn';
+const MEDIA_CACHE = 'infoscreen-media';
+
+const SHELL = ['/', '/js/escape-html.js', '/js/slide-schedule.js'];
+const CDN_HOST = 'cdnjs.cloudflare.com';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('infoscreen-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (request.method !== 'GET' && request.method !== 'HEAD') return;
+
+        if (url.pathname.startsWith('/images/') || url.pathname.startsWith('/thumbnails/')) {
+            event.respondWith(cachedMedia(request));
+        } else if (request.mode === 'navigate' && (url.pathname === '/' || url.pathname === '/index.html')) {
+            event.respondWith(networkFirst(request, '/'));
+        } else if (SHELL.includes(url.pathname)) {
+            event.respondWith(networkFirst(request, url.pathname));
+        }
+    } else if (url.hostname === CDN_HOST && request.method === 'GET') {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    if (data.type === 'cache-media' && Array.isArray(data.urls)) {
+        event.waitUntil(syncMedia(data.urls));
+    }
+});
+
+// Sidan och dess skript hämtas från servern när den går att nå, så att uppdateringar slår igenom
+async function networkFirst(request, key) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) await cache.put(key, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Typsnitt och bibliotek från CDN har versionsnummer i adressen och ändras aldrig
+async function cacheFirst(request) {
+    const cache = await caches.open(CDN_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') await cache.put(request, response.clone());
+    return response;
+}
+
+// Uppladdade filer får unika namn, så en sparad fil är alltid aktuell
+async function cachedMedia(request) {
+    const cache = await caches.open(MEDIA_CACHE);
+    const cached = await cache.match(request.url);
+    if (!cached) return fetch(request);
+
+    // index.html kontrollerar med HEAD att bilden finns innan den visas
+    if (request.method === 'HEAD') {
+        return new Response(null, { status: cached.status, headers: cached.headers });
+    }
+    return cached;
+}
+
+// Sparar spellistans filer en i taget och tar bort sådana som inte längre används
+async function syncMedia(urls) {
+    const cache = await caches.open(MEDIA_CACHE);
+    const wanted = new Set(urls.map(url => new URL(url, self.location.origin).href));
+
+    for (const request of await cache.keys()) {
+        if (!wanted.has(request.url)) await cache.delete(request);
+    }
+
+    let added = 0;
+    for (const url of wanted) {
+        if (await cache.match(url)) continue;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) continue;
+            await cache.put(url, response);
+            added++;
+        } catch (error) {
+            // Servern kan inte nås; försöker igen vid nästa spellista
+        }
+    }
+
+    if (added > 0) console.log(`📦 Cached ${added} media file(s) for offline use`);
+}
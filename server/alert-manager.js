@@ -0,0 +1,203 @@
+const os = require('os');
+const nodemailer = require('nodemailer');
+const JsonFile = require('./json-file');
+
+/**
+ * Email alerts via the SMTP settings in config.notifications.
+ *
+ * - De-duplication: an alert with the same key is sent at most once per
+ *   `dedupWindow` ms.
+ * - Rate limiting: at most `rateLimit` emails per hour; the excess is kept
+ *   for the next digest instead of being dropped.
+ * - Digest mode (`digest: true`): everything except critical alerts is
+ *   collected and sent as one email every `digestInterval` ms.
+ * - The queue holds at most `maxQueue` alerts; while SMTP is down the
+ *   oldest are dropped and the next digest says how many.
+ *
+ * State is persisted so restarts neither resend nor lose queued alerts.
+ */
+class AlertManager {
+    constructor(config = {}, options = {}) {
+        this.file = new JsonFile(options.statePath);
+        this.source = options.source || 'server';
+        this.name = options.name || 'Info Screen';
+        this.state = { sent: {}, history: [], queue: [], dropped: 0 };
+        this.transport = null;
+        this.digestTimer = null;
+        this.configure(config);
+    }
+
+    configure(config = {}) {
+        this.config = {
+            enabled: false,
+            email: '',
+            smtpServer: '',
+            smtpPort: 587,
+            smtpUser: '',
+            smtpPass: '',
+            from: '',
+            digest: false,
+            digestInterval: 3600000,
+            rateLimit: 10,
+            dedupWindow: 3600000,
+            maxQueue: 100,
+            ...config
+        };
+
+        // Ny transport vid nästa utskick med de nya inställningarna
+        if (this.transport) this.transport.close();
+        this.transport = null;
+
+        clearInterval(this.digestTimer);
+        this.digestTimer = setInterval(() => {
+            this.flushDigest().catch(error => console.error('Failed to send alert digest:', error.message));
+        }, this.config.digestInterval);
+        this.digestTimer.unref();
+    }
+
+    async load() {
+        const state = await this.file.read({});
+        this.state = {
+            sent: state.sent || {},
+            history: Array.isArray(state.history) ? state.history : [],
+            queue: Array.isArray(state.queue) ? state.queue : [],
+            dropped: Number(state.dropped) || 0
+        };
+        return this.state;
+    }
+
+    save() {
+        return this.file.write(this.state).catch(error => {
+            console.error('Failed to save alert state:', error.message);
+        });
+    }
+
+    isEnabled() {
+        return Boolean(this.config.enabled && this.config.smtpServer && this.recipients().length > 0);
+    }
+
+    recipients() {
+        return String(this.config.email || '').split(',').map(r => r.trim()).filter(Boolean);
+    }
+
+    /**
+     * Raises an alert. Returns what happened to it: 'sent', 'queued',
+     * 'duplicate' or 'disabled'. Delivery errors are logged, not thrown,
+     * so alerting never breaks the code path that raised the alert.
+     */
+    async send({ key, severity = 'warning', subject, message = '' }) {
+        if (!this.isEnabled()) return 'disabled';
+
+        const now = Date.now();
+        const alertKey = key || subject;
+        const last = this.state.sent[alertKey];
+
+        if (last && now - last < this.config.dedupWindow) {
+            return 'duplicate';
+        }
+        this.state.sent[alertKey] = now;
+        this.pruneState(now);
+
+        const alert = { key: alertKey, severity, subject, message, time: new Date(now).toISOString() };
+
+        const digested = this.config.digest && severity !== 'critical';
+        if (digested || this.state.history.length >= this.config.rateLimit) {
+            this.enqueue(alert);
+            await this.save();
+            return 'queued';
+        }
+
+        this.state.history.push(now);
+        await this.save();
+
+        try {
+            await this.deliver(`[${severity.toUpperCase()}] ${subject}`, this.format(alert));
+            console.log(`📧 Alert sent: ${subject}`);
+            return 'sent';
+        } catch (error) {
+            console.error(`❌ Failed to send alert "${subject}":`, error.message);
+            // Försök igen med nästa sammanställning
+            this.enqueue(alert);
+            await this.save();
+            return 'queued';
+        }
+    }
+
+    // Äldsta larmen får ge plats så att kön inte växer obegränsat när SMTP ligger nere
+    enqueue(alert) {
+        this.state.queue.push(alert);
+
+        const excess = this.state.queue.length - this.config.maxQueue;
+        if (excess > 0) {
+            this.state.queue.splice(0, excess);
+            this.state.dropped += excess;
+            console.warn(`⚠️  Alert queue full, dropped ${excess} oldest alert(s)`);
+        }
+    }
+
+    // Skickar köade larm (sammanställning och det som spärrades av gränsen) som ett mejl
+    async flushDigest() {
+        if (!this.isEnabled() || this.state.queue.length === 0) return 0;
+
+        const alerts = this.state.queue.slice();
+        const dropped = this.state.dropped;
+        const lines = alerts.map(alert => this.format(alert));
+        if (dropped > 0) lines.unshift(`${dropped} older alert(s) were dropped while the queue was full.`);
+
+        await this.deliver(
+            `Summary: ${alerts.length} alert(s)`,
+            lines.join('\n\n' + '-'.repeat(40) + '\n\n')
+        );
+
+        this.state.queue = this.state.queue.slice(alerts.length);
+        this.state.dropped -= dropped;
+        await this.save();
+        console.log(`📧 Alert digest sent (${alerts.length})`);
+        return alerts.length;
+    }
+
+    format(alert) {
+        return [
+            alert.subject,
+            `Severity: ${alert.severity}`,
+            `Time: ${alert.time}`,
+            `Source: ${this.source} on ${os.hostname()}`,
+            '',
+            alert.message
+        ].join('\n').trim();
+    }
+
+    deliver(subject, text) {
+        if (!this.transport) {
+            this.transport = nodemailer.createTransport({
+                host: this.config.smtpServer,
+                port: this.config.smtpPort,
+                secure: this.config.smtpPort === 465,
+                auth: this.config.smtpUser ? { user: this.config.smtpUser, pass: this.config.smtpPass } : undefined
+            });
+        }
+
+        return this.transport.sendMail({
+            from: this.config.from || this.config.smtpUser || `infoscreen@${os.hostname()}`,
+            to: this.recipients().join(', '),
+            subject: `[${this.name}] ${subject}`,
+            text
+        });
+    }
+
+    // Glöm utskick äldre än en timme och dedup-nycklar utanför fönstret
+    pruneState(now) {
+        this.state.history = this.state.history.filter(time => now - time < 3600000);
+        for (const [key, time] of Object.entries(this.state.sent)) {
+            if (now - time >= this.config.dedupWindow) delete this.state.sent[key];
+        }
+    }
+
+    stop() {
+        clearInterval(this.digestTimer);
+        if (this.transport) this.transport.close();
+        this.transport = null;
+    }
+}
+
+module.exports = AlertManager;
@@ -0,0 +1,164 @@
+const fs = require('fs').promises;
+const path = require('path');
+const winston = require('winston');
+require('winston-daily-rotate-file');
+
+const FILE_PATTERN = /^audit(?:-[a-z]+)?-(\d{4}-\d{2}-\d{2})\.log$/;
+const MAX_LIMIT = 1000;
+
+/**
+ * Who did what: uploads, edits, deletes, configuration changes, touch
+ * control and updates. Entries are JSON lines written through winston to
+ * logs/audit/audit-<YYYY-MM-DD>.log (UTC days), rotated daily and kept for
+ * `retentionDays`. Other processes (auto-update.js) write their own
+ * audit-<source>-<date>.log in the same directory so two writers never
+ * share a file; search() reads them all.
+ *
+ *   { timestamp, action, actor, ip, target, before, after, details }
+ */
+class AuditLog {
+    constructor(config = {}, options = {}) {
+        this.directory = options.directory;
+        this.source = options.source || null;
+        this.configure(config);
+    }
+
+    configure(config = {}) {
+        this.config = {
+            enabled: config.enabled !== false,
+            retentionDays: config.retentionDays || 90
+        };
+
+        if (this.logger) this.logger.close();
+        this.logger = null;
+        if (!this.config.enabled) return;
+
+        const name = this.source ? `audit-${this.source}` : 'audit';
+        this.logger = winston.createLogger({
+            format: winston.format.printf(info => JSON.stringify(info.entry)),
+            transports: [
+                new winston.transports.DailyRotateFile({
+                    dirname: this.directory,
+                    filename: `${name}-%DATE%.log`,
+                    datePattern: 'YYYY-MM-DD',
+                    utc: true,
+                    maxFiles: `${this.config.retentionDays}d`,
+                    auditFile: path.join(this.directory, `.${name}.json`)
+                })
+            ]
+        });
+        this.logger.on('error', error => console.error('Failed to write audit log:', error.message));
+    }
+
+    // actor är rollen (editor, controller, anonymous, system), ip avsändarens adress
+    record({ action, actor = 'system', ip = null, target = null, before, after, details } = {}) {
+        if (!this.logger) return null;
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            action,
+            actor,
+            ip,
+            target: target === null ? null : String(target),
+            ...(before !== undefined ? { before } : {}),
+            ...(after !== undefined ? { after } : {}),
+            ...(details !== undefined ? { details } : {})
+        };
+
+        this.logger.info(action, { entry });
+        return entry;
+    }
+
+    /**
+     * Nyaste först. Filter: from/to (ISO-tid), action (exakt eller prefix
+     * med *, t.ex. "image.*"), actor, ip, target och q (fritext i posten).
+     */
+    async search(filters = {}) {
+        const from = filters.from ? new Date(filters.from) : null;
+        const to = filters.to ? new Date(filters.to) : null;
+        if ((from && isNaN(from)) || (to && isNaN(to))) throw new Error('from and to must be valid dates');
+
+        const limit = Math.min(Math.max(parseInt(filters.limit) || 100, 1), MAX_LIMIT);
+        const matchAction = this.actionMatcher(filters.action);
+        const q = filters.q ? String(filters.q).toLowerCase() : null;
+
+        // Filerna är per UTC-dygn, så datumdelen räcker för att hoppa över hela filer
+        const fromDay = from ? from.toISOString().slice(0, 10) : null;
+        const toDay = to ? to.toISOString().slice(0, 10) : null;
+        const files = (await this.files())
+            .filter(file => (!fromDay || file.day >= fromDay) && (!toDay || file.day <= toDay));
+
+        const days = [...new Set(files.map(file => file.day))];
+        const results = [];
+
+        for (const day of days) {
+            const entries = [];
+            for (const file of files.filter(f => f.day === day)) {
+                entries.push(...await this.readEntries(file.path));
+            }
+            entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+            for (const entry of entries) {
+                const time = new Date(entry.timestamp);
+                if (from && time < from) continue;
+                if (to && time > to) continue;
+                if (!matchAction(entry.action)) continue;
+                if (filters.actor && entry.actor !== filters.actor) continue;
+                if (filters.ip && entry.ip !== filters.ip) continue;
+                if (filters.target && entry.target !== String(filters.target)) continue;
+                if (q && !JSON.stringify(entry).toLowerCase().includes(q)) continue;
+
+                results.push(entry);
+                if (results.length >= limit) return results;
+            }
+        }
+
+        return results;
+    }
+
+    actionMatcher(action) {
+        if (!action) return () => true;
+        if (action.endsWith('*')) {
+            const prefix = action.slice(0, -1);
+            return value => typeof value === 'string' && value.startsWith(prefix);
+        }
+        return value => value === action;
+    }
+
+    // Loggfiler, nyaste dygnet först
+    async files() {
+        const names = await fs.readdir(this.directory).catch(() => []);
+        return names
+            .map(name => ({ name, match: FILE_PATTERN.exec(name) }))
+            .filter(file => file.match)
+            .map(file => ({ path: path.join(this.directory, file.name), day: file.match[1] }))
+            .sort((a, b) => b.day.localeCompare(a.day));
+    }
+
+    async readEntries(filePath) {
+        const content = await fs.readFile(filePath, 'utf8').catch(() => '');
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                const entry = JSON.parse(line);
+                if (entry && typeof entry.timestamp === 'string') entries.push(entry);
+            } catch (error) {
+                // Halvskriven rad om processen dog mitt i en skrivning
+            }
+        }
+        return entries;
+    }
+
+    // Värdena för de ändrade nycklarna, t.ex. pick(config, ['slideshow.shuffle'])
+    static pick(object, paths) {
+        const values = {};
+        for (const key of paths) {
+            values[key] = key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+            if (values[key] === undefined) values[key] = null;
+        }
+        return values;
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'infoscreen_session';
+
+// Högre roll innefattar lägre: editor kan allt som controller kan
+const ROLE_LEVELS = {
+    controller: 1,
+    editor: 2
+};
+
+/**
+ * Session login, role checks and IP allowlisting driven by
+ * `config.security`. With `enableAuth: false` every role check passes,
+ * the IP allowlist is enforced whenever it is non-empty.
+ */
+class AuthManager {
+    constructor(security = {}) {
+        this.sessions = new Map();
+        this.failedLogins = new Map();
+
+        this.configure(security);
+    }
+
+    // Kan anropas igen när config.security ändras; inloggade sessioner behålls
+    configure(security = {}) {
+        this.config = {
+            adminPassword: '',
+            controlPassword: '',
+            enableAuth: false,
+            allowedIPs: [],
+            sessionTimeout: 12 * 60 * 60 * 1000,
+            ...security
+        };
+
+        if (this.config.enableAuth && !this.config.adminPassword) {
+            console.warn('⚠️  enableAuth is on but adminPassword is empty - editor login is disabled');
+        }
+    }
+
+    get enabled() {
+        return Boolean(this.config.enableAuth);
+    }
+
+    // Returnerar rollen för lösenordet, eller null
+    authenticate(password) {
+        if (typeof password !== 'string' || !password) return null;
+
+        if (this.passwordMatches(password, this.config.adminPassword)) return 'editor';
+        if (this.passwordMatches(password, this.config.controlPassword)) return 'controller';
+        return null;
+    }
+
+    passwordMatches(password, expected) {
+        if (!expected) return false;
+
+        // Stöd för hashade lösenord: "scrypt:<salt>:<hash>"
+        if (expected.startsWith('scrypt:')) {
+            const [, salt, hash] = expected.split(':');
+            // Ett felskrivet värde i config.json ska neka inloggning, inte krascha den
+            if (!salt || !/^[0-9a-f]{128}$/i.test(hash || '')) return false;
+            const derived = crypto.scryptSync(password, salt, 64);
+            const stored = Buffer.from(hash, 'hex');
+            return stored.length === derived.length && crypto.timingSafeEqual(derived, stored);
+        }
+
+        const a = crypto.createHash('sha256').update(password).digest();
+        const b = crypto.createHash('sha256').update(expected).digest();
+        return crypto.timingSafeEqual(a, b);
+    }
+
+    static hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        return `scrypt:${salt}:${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+    }
+
+    isLockedOut(ip) {
+        const entry = this.failedLogins.get(ip);
+        if (!entry) return false;
+        if (Date.now() - entry.last > 5 * 60 * 1000) {
+            this.failedLogins.delete(ip);
+            return false;
+        }
+        return entry.count >= 5;
+    }
+
+    recordFailedLogin(ip) {
+        const entry = this.failedLogins.get(ip) || { count: 0, last: 0 };
+        entry.count++;
+        entry.last = Date.now();
+        this.failedLogins.set(ip, entry);
+    }
+
+    createSession(role, ip) {
+        const token = crypto.randomBytes(32).toString('hex');
+        this.sessions.set(token, { role, ip, created: Date.now(), lastSeen: Date.now() });
+        this.failedLogins.delete(ip);
+        return token;
+    }
+
+    destroySession(token) {
+        this.sessions.delete(token);
+    }
+
+    // Hämtar sessionen från cookie-headern (fungerar för både HTTP och WebSocket)
+    getSession(req) {
+        const token = this.parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (!token) return null;
+
+        const session = this.sessions.get(token);
+        if (!session) return null;
+
+        if (Date.now() - session.lastSeen > this.config.sessionTimeout) {
+            this.sessions.delete(token);
+            return null;
+        }
+
+        session.lastSeen = Date.now();
+        return { token, ...session };
+    }
+
+    hasRole(req, role) {
+        if (!this.enabled) return true;
+        const session = this.getSession(req);
+        return Boolean(session) && ROLE_LEVELS[session.role] >= ROLE_LEVELS[role];
+    }
+
+    parseCookies(header = '') {
+        const cookies = {};
+        for (const part of header.split(';')) {
+            const index = part.indexOf('=');
+            if (index === -1) continue;
+            // En felkodad cookie (t.ex. "%") hoppas över i stället för att kasta URIError
+            try {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                continue;
+            }
+        }
+        return cookies;
+    }
+
+    sessionCookie(token, maxAge = this.config.sessionTimeout) {
+        return `${SESSION_COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAge / 1000)}`;
+    }
+
+    clientIp(req) {
+        const ip = req.socket?.remoteAddress || req.connection?.remoteAddress || '';
+        return ip.replace(/^::ffff:/, '');
+    }
+
+    isIpAllowed(req) {
+        const allowed = this.config.allowedIPs || [];
+        if (allowed.length === 0) return true;
+
+        const ip = this.clientIp(req);
+        // Skärmen själv (kiosk-webbläsaren) kör lokalt och släpps alltid in
+        if (ip === '127.0.0.1' || ip === '::1') return true;
+
+        return allowed.some(entry => this.ipMatches(ip, entry));
+    }
+
+    ipMatches(ip, entry) {
+        if (!entry.includes('/')) return ip === entry;
+
+        const [range, bits] = entry.split('/');
+        const toInt = (address) => address.split('.').reduce((acc, octet) => (acc << 8) + Number(octet), 0) >>> 0;
+        if (!/^\d+\.\d+\.\d+\.\d+$/.test(ip) || !/^\d+\.\d+\.\d+\.\d+$/.test(range)) return false;
+
+        const mask = Number(bits) === 0 ? 0 : (~0 << (32 - Number(bits))) >>> 0;
+        return (toInt(ip) & mask) === (toInt(range) & mask);
+    }
+
+    ipAllowlist() {
+        return (req, res, next) => {
+            if (this.isIpAllowed(req)) return next();
+            console.warn(`⛔ Blocked request from ${this.clientIp(req)}: ${req.method} ${req.url}`);
+            res.status(403).json({ error: 'Access denied' });
+        };
+    }
+
+    // API-anrop får 401, sidor skickas till inloggningen
+    requireRole(role) {
+        return (req, res, next) => {
+            if (this.hasRole(req, role)) return next();
+
+            if (req.path.startsWith('/api/')) {
+                const session = this.getSession(req);
+                return res.status(session ? 403 : 401).json({ error: session ? 'Insufficient role' : 'Authentication required' });
+            }
+
+            res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+        };
+    }
+
+    setupRoutes(app) {
+        app.post('/api/login', (req, res) => {
+            const ip = this.clientIp(req);
+
+            if (this.isLockedOut(ip)) {
+                return res.status(429).json({ error: 'Too many failed attempts, try again later' });
+            }
+
+            const role = this.authenticate(req.body && req.body.password);
+            if (!role) {
+                this.recordFailedLogin(ip);
+                console.warn(`⚠️  Failed login from ${ip}`);
+                return res.status(401).json({ error: 'Invalid password' });
+            }
+
+            const token = this.createSession(role, ip);
+            res.setHeader('Set-Cookie', this.sessionCookie(token));
+            console.log(`🔑 ${role} logged in from ${ip}`);
+            res.json({ success: true, role });
+        });
+
+        app.post('/api/logout', (req, res) => {
+            const session = this.getSession(req);
+            if (session) this.destroySession(session.token);
+            res.setHeader('Set-Cookie', this.sessionCookie('', 0));
+            res.json({ success: true });
+        });
+
+        app.get('/api/session', (req, res) => {
+            const session = this.getSession(req);
+            res.json({
+                authEnabled: this.enabled,
+                authenticated: Boolean(session),
+                role: this.enabled ? (session ? session.role : null) : 'editor'
+            });
+        });
+    }
+}
+
+AuthManager.ROLE_LEVELS = ROLE_LEVELS;
+
+module.exports = AuthManager;
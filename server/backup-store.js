@@ -0,0 +1,243 @@
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Deduplicated backups for auto-update.js. Every file is stored once under
+ * objects/<aa>/<sha256>; a backup is only a manifest listing which object
+ * each file had:
+ *
+ *   <directory>/objects/ab/ab12…             file contents, shared by all backups
+ *   <directory>/<name>/manifest.json        { backupName, type, version, timestamp,
+ *                                             files: [{ root, path, hash, size, mtimeMs }] }
+ *
+ * Paths are relative to a named root ('app', 'images', 'thumbnails', 'data')
+ * so the images directory can live anywhere. A file whose size and mtime
+ * match the previous backup is not read again, so a nightly backup of an
+ * unchanged image library is cheap. Backups from before this format (plain
+ * copies with a manifest without `files`) are listed as type 'legacy'.
+ */
+class BackupStore {
+    constructor(directory, options = {}) {
+        this.directory = directory;
+        this.objectsDir = path.join(directory, 'objects');
+        this.roots = options.roots || {};
+    }
+
+    // items: [{ root: 'images', path: '' }] (tom path = hela roten, mappar gås igenom rekursivt)
+    async create({ name, type, version, items }) {
+        const previous = await this.latestFiles();
+        const files = [];
+        let added = 0;
+
+        for (const item of items) {
+            for (const relative of await this.walk(item.root, item.path || '')) {
+                const source = this.resolve({ root: item.root, path: relative });
+                const stat = await fs.stat(source);
+                const known = previous.get(`${item.root}:${relative}`);
+
+                let hash;
+                if (known && known.size === stat.size && known.mtimeMs === stat.mtimeMs && await this.hasObject(known.hash)) {
+                    hash = known.hash;
+                } else {
+                    hash = await this.hashFile(source);
+                    if (await this.storeObject(hash, source)) added += stat.size;
+                }
+
+                files.push({ root: item.root, path: relative, hash, size: stat.size, mtimeMs: stat.mtimeMs });
+            }
+        }
+
+        const manifest = {
+            backupName: name,
+            type,
+            version,
+            timestamp: new Date().toISOString(),
+            size: files.reduce((sum, file) => sum + file.size, 0),
+            added,
+            files
+        };
+
+        await fs.mkdir(path.join(this.directory, name), { recursive: true });
+        await fs.writeFile(path.join(this.directory, name, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf8');
+        return manifest;
+    }
+
+    // Nyast först; files utelämnas i listan
+    async list() {
+        const entries = await fs.readdir(this.directory, { withFileTypes: true }).catch(() => []);
+        const backups = [];
+
+        for (const entry of entries) {
+            if (!entry.isDirectory() || entry.name === 'objects') continue;
+            const manifest = await this.manifest(entry.name);
+            if (!manifest) continue;
+
+            const { files, ...summary } = manifest;
+            backups.push({
+                name: entry.name,
+                path: path.join(this.directory, entry.name),
+                ...summary,
+                type: files ? manifest.type : 'legacy',
+                fileCount: files ? files.length : null
+            });
+        }
+
+        return backups.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    async manifest(name) {
+        try {
+            return JSON.parse(await fs.readFile(path.join(this.directory, name, 'manifest.json'), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Skriver tillbaka varje fil i säkerhetskopian; filer som tillkommit efteråt lämnas kvar
+    async restore(name, { roots = null } = {}) {
+        const manifest = await this.manifest(name);
+        if (!manifest || !manifest.files) throw new Error(`Backup not found: ${name}`);
+
+        let restored = 0;
+        for (const file of manifest.files) {
+            if (roots && !roots.includes(file.root)) continue;
+            await this.writeFile(file, this.resolve(file));
+            restored++;
+        }
+        return { manifest, restored };
+    }
+
+    // Packar upp säkerhetskopian som vanliga filer i target/<root>/<path> (för export)
+    async materialize(name, target) {
+        const manifest = await this.manifest(name);
+        if (!manifest || !manifest.files) throw new Error(`Backup not found: ${name}`);
+
+        for (const file of manifest.files) {
+            await this.writeFile(file, path.join(target, file.root, file.path));
+        }
+        return manifest;
+    }
+
+    async remove(name) {
+        await fs.rm(path.join(this.directory, name), { recursive: true, force: true });
+    }
+
+    // Behåller högst maxBackups och inga äldre än maxAgeDays. Den senaste av varje typ
+    // behålls alltid, så att många innehållskopior inte tränger undan programfilerna
+    async prune({ maxBackups = null, maxAgeDays = null } = {}, now = new Date()) {
+        const backups = await this.list();
+        const newest = new Map();
+        for (const backup of backups) {
+            if (!newest.has(backup.type)) newest.set(backup.type, backup.name);
+        }
+        const keep = new Set(newest.values());
+
+        const removed = backups.filter((backup, index) => !keep.has(backup.name) && (
+            (maxBackups && index >= maxBackups) ||
+            (maxAgeDays && now - new Date(backup.timestamp) > maxAgeDays * DAY)
+        ));
+
+        for (const backup of removed) await this.remove(backup.name);
+        if (removed.length > 0) await this.collectGarbage();
+        return removed;
+    }
+
+    // Tar bort objekt som ingen säkerhetskopia längre pekar på
+    async collectGarbage() {
+        const referenced = new Set();
+        for (const backup of await this.list()) {
+            const manifest = await this.manifest(backup.name);
+            for (const file of manifest.files || []) referenced.add(file.hash);
+        }
+
+        let freed = 0;
+        for (const prefix of await fs.readdir(this.objectsDir).catch(() => [])) {
+            for (const hash of await fs.readdir(path.join(this.objectsDir, prefix))) {
+                if (referenced.has(hash)) continue;
+                const objectPath = path.join(this.objectsDir, prefix, hash);
+                freed += (await fs.stat(objectPath)).size;
+                await fs.unlink(objectPath);
+            }
+        }
+        return freed;
+    }
+
+    // Senast kända hash per fil, så att oförändrade filer inte behöver läsas igen
+    async latestFiles() {
+        const files = new Map();
+        const backups = (await this.list()).filter(backup => backup.type !== 'legacy').reverse();
+        for (const backup of backups) {
+            const manifest = await this.manifest(backup.name);
+            for (const file of manifest.files) files.set(`${file.root}:${file.path}`, file);
+        }
+        return files;
+    }
+
+    // Relativa sökvägar till alla vanliga filer under root/relative
+    async walk(root, relative) {
+        const full = this.resolve({ root, path: relative });
+        const stat = await fs.lstat(full).catch(() => null);
+        if (!stat) return [];
+        if (stat.isFile()) return [relative];
+        if (!stat.isDirectory()) return [];
+
+        const files = [];
+        for (const entry of await fs.readdir(full)) {
+            files.push(...await this.walk(root, relative ? `${relative}/${entry}` : entry));
+        }
+        return files;
+    }
+
+    hashFile(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+
+    objectPath(hash) {
+        return path.join(this.objectsDir, hash.slice(0, 2), hash);
+    }
+
+    hasObject(hash) {
+        return fs.access(this.objectPath(hash)).then(() => true, () => false);
+    }
+
+    // Returnerar true om objektet var nytt
+    async storeObject(hash, source) {
+        if (await this.hasObject(hash)) return false;
+
+        const target = this.objectPath(hash);
+        const tempPath = `${target}.${process.pid}.tmp`;
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.copyFile(source, tempPath);
+        await fs.rename(tempPath, target);
+        return true;
+    }
+
+    async writeFile(file, target) {
+        if (!await this.hasObject(file.hash)) throw new Error(`Backup object missing for ${file.root}/${file.path}`);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.copyFile(this.objectPath(file.hash), target);
+    }
+
+    resolve(file) {
+        const root = this.roots[file.root];
+        if (!root) throw new Error(`Unknown backup root: ${file.root}`);
+
+        const resolved = path.resolve(root, file.path);
+        if (resolved !== path.resolve(root) && !resolved.startsWith(path.resolve(root) + path.sep)) {
+            throw new Error(`Path outside ${file.root}: ${file.path}`);
+        }
+        return resolved;
+    }
+}
+
+module.exports = BackupStore;
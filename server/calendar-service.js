@@ -0,0 +1,121 @@
+const http = require('http');
+const https = require('https');
+const IcsParser = require('./ics-parser');
+
+/**
+ * Fetches the configured iCalendar feed, expands it into upcoming events
+ * and caches the result for `updateInterval`. The last good result is
+ * served (marked stale) when the feed cannot be reached.
+ */
+class CalendarService {
+    constructor(config = {}) {
+        this.config = {
+            calendarUrl: '',
+            updateInterval: 300000,
+            maxEvents: 10,
+            lookaheadDays: 30,
+            ...config
+        };
+
+        this.parser = new IcsParser();
+        this.cache = null;
+        this.pending = null;
+    }
+
+    async getEvents() {
+        const age = this.cache ? Date.now() - this.cache.fetchedAt : Infinity;
+        if (age < this.config.updateInterval) {
+            return this.toResponse(this.cache, false);
+        }
+
+        // Flera samtidiga anrop delar på samma hämtning
+        if (!this.pending) {
+            this.pending = this.refresh().finally(() => { this.pending = null; });
+        }
+
+        try {
+            return this.toResponse(await this.pending, false);
+        } catch (error) {
+            if (this.cache) {
+                console.warn(`⚠️  Calendar feed unavailable, serving cached data: ${error.message}`);
+                return this.toResponse(this.cache, true, error.message);
+            }
+            throw error;
+        }
+    }
+
+    async refresh() {
+        const text = await this.fetchFeed(this.config.calendarUrl);
+
+        // Från början av dagen så att pågående heldagshändelser kommer med
+        const from = new Date();
+        from.setHours(0, 0, 0, 0);
+        const to = new Date(from.getTime() + this.config.lookaheadDays * 86400000);
+
+        const events = this.parser
+            .getEvents(text, { from, to })
+            .filter(event => new Date(event.end) > new Date())
+            .slice(0, this.config.maxEvents);
+
+        this.cache = { events, fetchedAt: Date.now() };
+        return this.cache;
+    }
+
+    toResponse(cache, stale, error) {
+        const response = {
+            events: cache.events,
+            updated: new Date(cache.fetchedAt).toISOString(),
+            stale
+        };
+        if (error) response.error = error;
+        return response;
+    }
+
+    async fetchFeed(url) {
+        if (!url) throw new Error('No calendarUrl configured');
+
+        // calendarUrl kan ändras från admin-panelen, så lokala filer läses aldrig
+        if (!/^(https?|webcal):\/\//i.test(url)) {
+            throw new Error('calendarUrl must be an http(s) or webcal URL');
+        }
+
+        return this.download(url.replace(/^webcal:/i, 'https:'));
+    }
+
+    download(url, redirects = 0) {
+        return new Promise((resolve, reject) => {
+            const client = url.startsWith('https:') ? https : http;
+
+            const request = client.get(url, {
+                headers: { 'User-Agent': 'Själevads-Bygg-Info-Screen' },
+                timeout: 15000
+            }, (res) => {
+                if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+                    res.resume();
+                    if (redirects >= 5) {
+                        reject(new Error('Too many redirects'));
+                        return;
+                    }
+                    resolve(this.download(new URL(res.headers.location, url).toString(), redirects + 1));
+                    return;
+                }
+
+                if (res.statusCode !== 200) {
+                    res.resume();
+                    reject(new Error(`Calendar feed error: ${res.statusCode}`));
+                    return;
+                }
+
+                let data = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => data += chunk);
+                res.on('end', () => resolve(data));
+            });
+
+            request.on('timeout', () => request.destroy(new Error('Calendar feed timed out')));
+            request.on('error', (error) => reject(new Error(`Calendar request failed: ${error.message}`)));
+        });
+    }
+}
+
+module.exports = CalendarService;
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const JsonFile = require('./json-file');
+
+const HEARTBEAT_INTERVAL = 30000;
+const MAX_ERRORS = 20;
+
+/**
+ * Registry of display (8081) and touch (8082) clients, persisted in
+ * data/clients.json so screens that are switched off still show up as
+ * offline after a restart. Clients identify themselves with ?client=<id>
+ * and send a heartbeat every 30 s; a client whose socket is open but has
+ * missed three heartbeats (e.g. a frozen browser) counts as offline.
+ *
+ * The first connection with a new id gets a token in its welcome message
+ * and has to send it back (?token=) on every later connection; only its
+ * SHA-256 is stored. Clients registered before tokens existed get one on
+ * their next connection, and until then a second live connection with the
+ * same id is refused. The token only binds the id to the browser that
+ * registered it; it does not prove which device that browser runs on.
+ */
+class ClientRegistry {
+    constructor(filePath, options = {}) {
+        this.file = new JsonFile(filePath);
+        this.timeout = options.timeout || HEARTBEAT_INTERVAL * 3;
+        this.clients = new Map();
+        this.sockets = new Map();
+        this.lastSave = 0;
+    }
+
+    async load() {
+        const data = await this.file.read({});
+        const clients = Array.isArray(data.clients) ? data.clients : [];
+        this.clients = new Map(clients.map(client => [client.id, { ...client, connected: false }]));
+        return this.list();
+    }
+
+    save() {
+        this.lastSave = Date.now();
+        return this.file.write({
+            version: 1,
+            clients: [...this.clients.values()]
+        });
+    }
+
+    parseClientId(value) {
+        const id = typeof value === 'string' ? value.trim() : '';
+        return /^[A-Za-z0-9_-]{1,64}$/.test(id) ? id : null;
+    }
+
+    // Returnerar { client, token } (token bara när en ny utfärdats), eller null om id:t tillhör någon annan
+    connect(ws, { kind, clientId, token = null, screenId = null, ip = null, userAgent = '' }) {
+        const id = this.parseClientId(clientId) || `${kind}-${crypto.randomBytes(4).toString('hex')}`;
+        const existing = this.clients.get(id);
+        if (existing && existing.tokenHash && !this.tokenMatches(existing, token)) return null;
+        if (existing && !existing.tokenHash && this.sockets.has(id)) return null;
+
+        const now = new Date().toISOString();
+        const previous = existing || { errors: [], firstSeen: now };
+        const issued = previous.tokenHash ? null : crypto.randomBytes(24).toString('base64url');
+
+        const client = {
+            ...previous,
+            id,
+            kind,
+            screenId,
+            ip,
+            userAgent,
+            connected: true,
+            connectedAt: now,
+            lastSeen: now
+        };
+        if (issued) client.tokenHash = this.hashToken(issued);
+        this.clients.set(id, client);
+
+        if (!this.sockets.has(id)) this.sockets.set(id, new Set());
+        this.sockets.get(id).add(ws);
+        ws.clientId = id;
+
+        this.save();
+        return { client: this.withoutToken(client), token: issued };
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+
+    tokenMatches(client, token) {
+        if (typeof token !== 'string' || !token) return false;
+        return crypto.timingSafeEqual(Buffer.from(this.hashToken(token), 'hex'), Buffer.from(client.tokenHash, 'hex'));
+    }
+
+    withoutToken(client) {
+        const { tokenHash, ...rest } = client;
+        return rest;
+    }
+
+    heartbeat(ws, data = {}) {
+        const client = this.clients.get(ws.clientId);
+        if (!client) return null;
+
+        const now = new Date().toISOString();
+        client.lastSeen = now;
+        client.screenId = ws.screenId || client.screenId;
+
+        if (data.slide && typeof data.slide === 'object') {
+            client.slide = {
+                index: Number.isInteger(data.slide.index) ? data.slide.index : null,
+                id: data.slide.id ?? null,
+                title: typeof data.slide.title === 'string' ? data.slide.title.slice(0, 200) : ''
+            };
+        }
+        if (Number.isFinite(data.uptime)) client.uptime = Math.round(data.uptime);
+        if (data.viewport && Number.isFinite(data.viewport.width) && Number.isFinite(data.viewport.height)) {
+            client.viewport = { width: data.viewport.width, height: data.viewport.height };
+        }
+        if (typeof data.version === 'string') client.version = data.version.slice(0, 40);
+
+        if (Array.isArray(data.errors)) this.addErrors(client.id, data.errors);
+
+        // Skriv inte till SD-kortet vid varje hjärtslag
+        if (Date.now() - this.lastSave > 60000) this.save();
+        return client;
+    }
+
+    // Senaste felen från webbläsaren, nyast sist
+    addErrors(id, messages) {
+        const client = this.clients.get(id);
+        if (!client) return;
+
+        const now = new Date().toISOString();
+        const errors = messages
+            .filter(message => typeof message === 'string')
+            .map(message => ({ time: now, message: message.slice(0, 500) }));
+        if (errors.length > 0) client.errors = [...(client.errors || []), ...errors].slice(-MAX_ERRORS);
+    }
+
+    async setScreenshot(id, screenshot) {
+        const client = this.clients.get(id);
+        if (!client) return null;
+
+        client.screenshot = screenshot;
+        await this.save();
+        return client;
+    }
+
+    disconnect(ws) {
+        const sockets = this.sockets.get(ws.clientId);
+        if (!sockets) return;
+
+        sockets.delete(ws);
+        if (sockets.size > 0) return;
+
+        this.sockets.delete(ws.clientId);
+        const client = this.clients.get(ws.clientId);
+        if (client) {
+            client.connected = false;
+            client.disconnectedAt = new Date().toISOString();
+            this.save();
+        }
+    }
+
+    isOnline(client, now = Date.now()) {
+        return client.connected && now - new Date(client.lastSeen).getTime() < this.timeout;
+    }
+
+    list() {
+        const now = Date.now();
+        return [...this.clients.values()]
+            .map(client => ({ ...this.withoutToken(client), online: this.isOnline(client, now) }))
+            .sort((a, b) => a.kind.localeCompare(b.kind) || (a.screenId || a.id).localeCompare(b.screenId || b.id));
+    }
+
+    get(id) {
+        const client = this.clients.get(id);
+        return client ? { ...this.withoutToken(client), online: this.isOnline(client) } : null;
+    }
+
+    // Skickar ett meddelande till klientens öppna anslutningar; returnerar antalet
+    send(id, message) {
+        const sockets = this.sockets.get(id);
+        if (!sockets) return 0;
+
+        const messageStr = JSON.stringify(message);
+        let sent = 0;
+        for (const ws of sockets) {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(messageStr);
+                sent++;
+            }
+        }
+        return sent;
+    }
+
+    // Bara frånkopplade klienter kan glömmas
+    async remove(id) {
+        const client = this.clients.get(id);
+        if (!client || this.sockets.has(id)) return null;
+
+        this.clients.delete(id);
+        await this.save();
+        return client;
+    }
+}
+
+ClientRegistry.HEARTBEAT_INTERVAL = HEARTBEAT_INTERVAL;
+
+module.exports = ClientRegistry;
@@ -0,0 +1,146 @@
+const EventEmitter = require('events');
+const Ajv = require('ajv');
+const JsonFile = require('./json-file');
+const { schema, SECRETS, RESTART_REQUIRED, LOCKED } = require('./config-schema');
+
+const MASK = '********';
+// Nycklar som skulle ändra prototyper i stället för inställningar
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * Runtime access to config.json. Changes are applied as a JSON merge patch
+ * (objects merge, arrays replace, null removes a key), validated against the
+ * schema and written atomically. Secrets are masked in everything returned
+ * to clients; sending the mask back keeps the stored value. Keys in LOCKED
+ * (executables, served directories, the update source) are rejected.
+ *
+ * Events: 'changed' (config, sections, paths)
+ */
+class ConfigManager extends EventEmitter {
+    constructor(filePath) {
+        super();
+        this.file = new JsonFile(filePath);
+        this.validator = new Ajv({ allErrors: true }).compile(schema);
+        this.config = null;
+    }
+
+    async load() {
+        const config = await this.file.read(null);
+        if (!config) throw new Error('config.json is missing or not valid JSON');
+
+        // Starta ändå, men varna så att felet syns i loggen
+        const errors = this.validate(config);
+        if (errors.length > 0) {
+            console.warn(`⚠️  config.json does not match the schema:\n   ${errors.join('\n   ')}`);
+        }
+
+        this.config = config;
+        return config;
+    }
+
+    get() {
+        return this.config;
+    }
+
+    validate(config) {
+        if (this.validator(config)) return [];
+        return this.validator.errors.map(error => {
+            const where = error.instancePath.replace(/^\//, '').replace(/\//g, '.') || 'config';
+            const extra = error.params && error.params.additionalProperty ? ` (${error.params.additionalProperty})` : '';
+            return `${where} ${error.message}${extra}`;
+        });
+    }
+
+    getMasked(config = this.config) {
+        const masked = JSON.parse(JSON.stringify(config));
+        for (const secret of SECRETS) {
+            const [section, key] = secret.split('.');
+            if (masked[section] && masked[section][key]) masked[section][key] = MASK;
+        }
+        return masked;
+    }
+
+    async patch(changes) {
+        if (!this.isObject(changes)) throw this.validationError(['body must be a JSON object']);
+
+        const next = this.merge(JSON.parse(JSON.stringify(this.config)), changes);
+
+        // Maskerade hemligheter som skickas tillbaka oförändrade behåller sitt värde
+        for (const secret of SECRETS) {
+            const [section, key] = secret.split('.');
+            if (next[section] && next[section][key] === MASK) {
+                next[section][key] = this.config[section] ? this.config[section][key] : '';
+            }
+        }
+
+        const errors = this.validate(next);
+        if (errors.length > 0) throw this.validationError(errors);
+
+        const paths = this.diff(this.config, next);
+        const locked = paths.filter(p => LOCKED.some(l => p === l || p.startsWith(`${l}.`) || l.startsWith(`${p}.`)));
+        if (locked.length > 0) {
+            throw this.validationError(locked.map(p => `${p} can only be changed in config.json on the server`));
+        }
+
+        if (paths.length === 0) {
+            return { config: this.getMasked(), changed: [], restartRequired: [] };
+        }
+
+        await this.file.write(next);
+        this.config = next;
+
+        const sections = [...new Set(paths.map(p => p.split('.')[0]))];
+        const restartRequired = paths.filter(p => RESTART_REQUIRED.some(r => p === r || p.startsWith(`${r}.`)));
+
+        this.emit('changed', next, sections, paths);
+        return { config: this.getMasked(), changed: paths, restartRequired };
+    }
+
+    merge(target, patch) {
+        for (const [key, value] of Object.entries(patch)) {
+            if (UNSAFE_KEYS.includes(key)) continue;
+            if (value === null) {
+                delete target[key];
+            } else if (this.isObject(value) && this.isObject(target[key])) {
+                this.merge(target[key], value);
+            } else {
+                target[key] = value;
+            }
+        }
+        return target;
+    }
+
+    // Punktsökvägar (t.ex. "weather.city") som skiljer sig mellan två konfigurationer
+    diff(before, after, prefix = '') {
+        const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        const paths = [];
+
+        for (const key of keys) {
+            const path = prefix ? `${prefix}.${key}` : key;
+            const a = before ? before[key] : undefined;
+            const b = after ? after[key] : undefined;
+
+            if (this.isObject(a) && this.isObject(b)) {
+                paths.push(...this.diff(a, b, path));
+            } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+                paths.push(path);
+            }
+        }
+
+        return paths;
+    }
+
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    validationError(details) {
+        const error = new Error(`Invalid configuration: ${details[0]}`);
+        error.details = details;
+        return error;
+    }
+}
+
+ConfigManager.MASK = MASK;
+
+module.exports = ConfigManager;
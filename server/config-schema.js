@@ -0,0 +1,229 @@
+/**
+ * JSON Schema (draft-07) for config.json. Every section is closed
+ * (additionalProperties: false) so typos are rejected instead of ignored;
+ * add new keys here when a feature starts reading them.
+ */
+
+const bool = { type: 'boolean' };
+const str = { type: 'string' };
+const path = { type: 'string', minLength: 1 };
+const int = (minimum, maximum) => ({ type: 'integer', minimum, ...(maximum !== undefined ? { maximum } : {}) });
+const interval = int(60000);
+const time = { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' };
+const extensions = { type: 'array', items: { type: 'string', pattern: '^\\.[a-z0-9]+$' } };
+
+const section = (properties, required = []) => ({
+    type: 'object',
+    additionalProperties: false,
+    required,
+    properties
+});
+
+const schema = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    type: 'object',
+    additionalProperties: false,
+    required: ['system', 'slideshow', 'images', 'weather', 'calendar', 'update', 'security', 'display', 'notifications'],
+    properties: {
+        system: section({
+            name: str,
+            version: str,
+            port: int(1, 65535),
+            host: str,
+            logLevel: { enum: ['error', 'warn', 'info', 'debug'] }
+        }, ['name', 'port']),
+
+        slideshow: section({
+            slideDuration: int(1000),
+            transitionDuration: int(0, 10000),
+            transition: { enum: ['fade', 'slide', 'kenburns', 'none'] },
+            autoPlay: bool,
+            shuffle: bool,
+            showInfo: bool
+        }),
+
+        images: section({
+            directory: path,
+            thumbnailsDirectory: path,
+            maxFileSize: int(1),
+            allowedExtensions: extensions,
+            thumbnailWidth: int(16, 4000),
+            thumbnailHeight: int(16, 4000),
+            quality: int(1, 100),
+            renditions: {
+                type: 'array',
+                items: section({
+                    name: { type: 'string', pattern: '^[a-z0-9-]+$' },
+                    width: int(16, 7680),
+                    height: int(16, 7680)
+                }, ['name', 'width', 'height'])
+            },
+            renditionFormats: { type: 'array', minItems: 1, uniqueItems: true, items: { enum: ['webp', 'jpeg'] } },
+            renditionQuality: int(1, 100),
+            maxArchiveSize: int(1),
+            maxArchiveFiles: int(1, 1000),
+            unzipPath: path,
+            trashRetentionDays: int(1, 365),
+            maxVersions: int(1, 100)
+        }, ['directory', 'allowedExtensions']),
+
+        video: section({
+            enabled: bool,
+            allowedExtensions: extensions,
+            maxFileSize: int(1),
+            maxWidth: int(16, 7680),
+            maxHeight: int(16, 4320),
+            maxFps: int(1, 120),
+            maxBitrate: { type: 'string', pattern: '^\\d+[kKmM]$' },
+            crf: int(0, 51),
+            ffmpegPath: path,
+            ffprobePath: path
+        }),
+
+        documents: section({
+            enabled: bool,
+            allowedExtensions: extensions,
+            officeExtensions: extensions,
+            maxFileSize: int(1),
+            maxPages: int(1, 500),
+            width: int(16, 7680),
+            height: int(16, 4320),
+            pdftoppmPath: path,
+            pdfinfoPath: path,
+            sofficePath: path
+        }),
+
+        weather: section({
+            enabled: bool,
+            provider: { enum: ['smhi', 'openweather'] },
+            apiKey: str,
+            city: str,
+            country: str,
+            latitude: { type: 'number', minimum: -90, maximum: 90 },
+            longitude: { type: 'number', minimum: -180, maximum: 180 },
+            units: { enum: ['metric', 'imperial'] },
+            language: str,
+            updateInterval: interval,
+            baseUrl: { type: 'string', pattern: '^https?://' },
+            smhiBaseUrl: { type: 'string', pattern: '^https?://' }
+        }),
+
+        calendar: section({
+            enabled: bool,
+            calendarUrl: { type: 'string', pattern: '^$|^(https?|webcal)://' },
+            updateInterval: interval,
+            maxEvents: int(1, 100),
+            lookaheadDays: int(1, 366)
+        }),
+
+        update: section({
+            enabled: bool,
+            autoUpdate: bool,
+            checkInterval: interval,
+            backupBeforeUpdate: bool,
+            notifyOnUpdate: bool,
+            githubRepo: { type: 'string', pattern: '^[\\w.-]+/[\\w.-]+$' },
+            updateChannel: { enum: ['stable', 'beta'] },
+            apiUrl: { type: 'string', pattern: '^https?://' },
+            verification: { enum: ['checksum', 'signature'] },
+            publicKeyPath: str,
+            healthCheckTimeout: int(10000, 3600000),
+            maintenanceWindows: {
+                type: 'array',
+                items: section({
+                    start: time,
+                    end: time,
+                    weekdays: { type: 'array', uniqueItems: true, items: int(0, 6) }
+                }, ['start', 'end'])
+            },
+            emergencyBypass: bool,
+            controlPort: int(1, 65535),
+            maxBackups: int(1, 100),
+            maxBackupAgeDays: int(1, 3650)
+        }),
+
+        security: section({
+            adminPassword: str,
+            controlPassword: str,
+            enableAuth: bool,
+            sessionTimeout: interval,
+            allowedIPs: { type: 'array', items: { type: 'string', minLength: 1 } },
+            enableCORS: bool
+        }),
+
+        display: section({
+            orientation: { enum: ['portrait', 'landscape'] },
+            touchEnabled: bool,
+            kioskMode: bool,
+            screenSaver: bool
+        }),
+
+        branding: section({
+            colors: { type: 'array', minItems: 1, items: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' } },
+            fonts: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+        }),
+
+        notifications: section({
+            enabled: bool,
+            email: { type: 'string', pattern: '^$|^[^@\\s]+@[^@\\s]+$' },
+            smtpServer: str,
+            smtpPort: int(1, 65535),
+            smtpUser: str,
+            smtpPass: str,
+            from: str,
+            digest: bool,
+            digestInterval: interval,
+            rateLimit: int(1, 1000),
+            dedupWindow: int(0),
+            maxQueue: int(1, 10000),
+            screenSilentAfter: int(10000),
+            uploadFailureThreshold: int(1, 1000)
+        }),
+
+        audit: section({
+            enabled: bool,
+            retentionDays: int(1, 3650)
+        })
+    }
+};
+
+// Värden som aldrig skickas ut i klartext
+const SECRETS = [
+    'weather.apiKey',
+    'security.adminPassword',
+    'security.controlPassword',
+    'notifications.smtpPass'
+];
+
+// Ändringar som bara får effekt efter omstart
+const RESTART_REQUIRED = [
+    'system.port',
+    'system.host',
+    'images.directory',
+    'images.thumbnailsDirectory',
+    'video.enabled',
+    'documents.enabled',
+    'update.controlPort' // auto-update.js lyssnar på porten från start; övriga update-inställningar läses om
+];
+
+// Program som servern kör, mappar den serverar och varifrån uppdateringar hämtas.
+// Kan bara ändras i config.json på servern; PATCH /api/config nekar dem
+const LOCKED = [
+    'images.directory',
+    'images.thumbnailsDirectory',
+    'images.unzipPath',
+    'video.ffmpegPath',
+    'video.ffprobePath',
+    'documents.pdftoppmPath',
+    'documents.pdfinfoPath',
+    'documents.sofficePath',
+    'weather.baseUrl',
+    'weather.smhiBaseUrl',
+    'update.githubRepo',
+    'update.apiUrl',
+    'update.verification',
+    'update.publicKeyPath',
+    'update.controlPort'
+];
+
+module.exports = { schema, SECRETS, RESTART_REQUIRED, LOCKED };
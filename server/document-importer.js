@@ -0,0 +1,142 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { execFile } = require('child_process');
+const util = require('util');
+const execFileAsync = util.promisify(execFile);
+
+/**
+ * Renders PDF pages into PNG slides with poppler (pdfinfo/pdftoppm). Office
+ * documents are first converted to PDF with LibreOffice in headless mode.
+ * Each page is scaled to fit inside the display resolution.
+ */
+class DocumentImporter {
+    constructor(config = {}, options = {}) {
+        this.config = {
+            allowedExtensions: ['.pdf'],
+            officeExtensions: ['.docx', '.pptx', '.odt', '.odp'],
+            width: 1920,
+            height: 1080,
+            maxPages: 50,
+            pdftoppmPath: 'pdftoppm',
+            pdfinfoPath: 'pdfinfo',
+            sofficePath: 'soffice',
+            ...config
+        };
+
+        this.imagesDir = options.imagesDir;
+        this.documentsDir = options.documentsDir || path.join(this.imagesDir, 'documents');
+    }
+
+    getExtensions() {
+        return [...this.config.allowedExtensions, ...this.config.officeExtensions];
+    }
+
+    isDocument(filename) {
+        return this.getExtensions().includes(path.extname(filename).toLowerCase());
+    }
+
+    // Flyttar uppladdad fil till images/documents/ där den inte syns som bild
+    async store(filePath) {
+        await fs.mkdir(this.documentsDir, { recursive: true });
+        const target = path.join(this.documentsDir, path.basename(filePath));
+        await fs.rename(filePath, target);
+        return path.basename(target);
+    }
+
+    sourcePath(filename) {
+        return path.join(this.documentsDir, filename);
+    }
+
+    /**
+     * Renders every page of a stored document. Returns [{ page, filename }]
+     * with files written to the images directory as <prefix>_p01.png etc.
+     */
+    async render(filename, prefix) {
+        const source = this.sourcePath(filename);
+        const isOffice = this.config.officeExtensions.includes(path.extname(filename).toLowerCase());
+
+        const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'infoscreen-doc-'));
+        try {
+            const pdfPath = isOffice ? await this.convertToPdf(source, tempDir) : source;
+            const pages = await this.pageSizes(pdfPath);
+
+            if (pages.length === 0) throw new Error('Document has no pages');
+            if (pages.length > this.config.maxPages) {
+                throw new Error(`Document has ${pages.length} pages (max ${this.config.maxPages})`);
+            }
+
+            const digits = Math.max(2, String(pages.length).length);
+            const rendered = [];
+
+            for (const page of pages) {
+                const { width, height } = this.fitToDisplay(page);
+                const outputName = `${prefix}_p${String(page.number).padStart(digits, '0')}`;
+
+                await this.run(this.config.pdftoppmPath, [
+                    '-f', String(page.number), '-l', String(page.number),
+                    '-scale-to-x', String(width), '-scale-to-y', String(height),
+                    '-png', '-singlefile',
+                    pdfPath, path.join(this.imagesDir, outputName)
+                ]);
+
+                rendered.push({ page: page.number, filename: `${outputName}.png` });
+            }
+
+            return rendered;
+        } finally {
+            await fs.rm(tempDir, { recursive: true, force: true }).catch(() => {});
+        }
+    }
+
+    async convertToPdf(source, outDir) {
+        await this.run(this.config.sofficePath, [
+            '--headless', '--convert-to', 'pdf', '--outdir', outDir, source
+        ], 120000);
+
+        return path.join(outDir, `${path.parse(source).name}.pdf`);
+    }
+
+    // Läser sidstorlek (punkter) och rotation för varje sida med pdfinfo
+    async pageSizes(pdfPath) {
+        const stdout = await this.run(this.config.pdfinfoPath, ['-f', '1', '-l', '9999', pdfPath]);
+        const pages = new Map();
+
+        for (const line of stdout.split('\n')) {
+            const size = /^Page\s+(\d+)\s+size:\s+([\d.]+)\s+x\s+([\d.]+)/.exec(line);
+            if (size) {
+                pages.set(Number(size[1]), { number: Number(size[1]), width: Number(size[2]), height: Number(size[3]), rotation: 0 });
+                continue;
+            }
+
+            const rot = /^Page\s+(\d+)\s+rot:\s+(\d+)/.exec(line);
+            if (rot && pages.has(Number(rot[1]))) pages.get(Number(rot[1])).rotation = Number(rot[2]);
+        }
+
+        return [...pages.values()].sort((a, b) => a.number - b.number);
+    }
+
+    fitToDisplay(page) {
+        const rotated = page.rotation % 180 === 90;
+        const pageWidth = rotated ? page.height : page.width;
+        const pageHeight = rotated ? page.width : page.height;
+
+        const scale = Math.min(this.config.width / pageWidth, this.config.height / pageHeight);
+        return {
+            width: Math.round(pageWidth * scale),
+            height: Math.round(pageHeight * scale)
+        };
+    }
+
+    async run(command, args, timeout = 60000) {
+        try {
+            const { stdout } = await execFileAsync(command, args, { timeout, maxBuffer: 10 * 1024 * 1024 });
+            return stdout;
+        } catch (error) {
+            const detail = error.code === 'ENOENT' ? 'not installed' : (error.stderr || error.message).trim();
+            throw new Error(`${path.basename(command)} failed: ${detail}`);
+        }
+    }
+}
+
+module.exports = DocumentImporter;
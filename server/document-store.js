@@ -0,0 +1,80 @@
+const crypto = require('crypto');
+const JsonFile = require('./json-file');
+
+/**
+ * Imported documents (PDF/office), persisted in data/documents.json. The
+ * rendered pages are ordinary image records that carry `documentId` and
+ * `page`, so they group together in the library.
+ */
+class DocumentStore {
+    constructor(filePath) {
+        this.file = new JsonFile(filePath);
+        this.documents = [];
+    }
+
+    async load() {
+        const data = await this.file.read({});
+        this.documents = Array.isArray(data.documents) ? data.documents : [];
+        return this.documents;
+    }
+
+    save() {
+        return this.file.write({
+            version: 1,
+            documents: this.documents
+        });
+    }
+
+    list() {
+        return this.documents;
+    }
+
+    get(id) {
+        return this.documents.find(document => document.id === id) || null;
+    }
+
+    async create(fields) {
+        const document = {
+            id: crypto.randomBytes(6).toString('hex'),
+            title: fields.title,
+            filename: fields.filename,
+            originalname: fields.originalname,
+            pageCount: fields.pageCount || 0,
+            created: new Date().toISOString(),
+            updated: new Date().toISOString()
+        };
+
+        this.documents.push(document);
+        await this.save();
+        return document;
+    }
+
+    async update(id, fields) {
+        const document = this.get(id);
+        if (!document) return null;
+
+        const { id: _id, created, ...editable } = fields;
+        Object.assign(document, editable, { updated: new Date().toISOString() });
+
+        await this.save();
+        return document;
+    }
+
+    async remove(id) {
+        const document = this.get(id);
+        if (!document) return null;
+
+        this.documents = this.documents.filter(d => d !== document);
+        await this.save();
+        return document;
+    }
+
+    // Sidorna i ett dokument, i sidordning
+    pages(id, images) {
+        return images
+            .filter(image => image.documentId === id)
+            .sort((a, b) => a.page - b.page);
+    }
+}
+
+module.exports = DocumentStore;
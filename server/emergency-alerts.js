@@ -0,0 +1,133 @@
+const crypto = require('crypto');
+const JsonFile = require('./json-file');
+
+const SEVERITIES = ['info', 'warning', 'critical'];
+const HISTORY_SIZE = 50;
+
+/**
+ * Full-screen priority messages that take over every display (evacuation,
+ * site closed, ...). Persisted in data/emergency-alerts.json so a screen
+ * that reconnects or reboots shows active alerts again. Cleared and
+ * expired alerts are kept as history.
+ */
+class EmergencyAlertStore {
+    constructor(filePath) {
+        this.file = new JsonFile(filePath);
+        this.alerts = [];
+    }
+
+    async load() {
+        const data = await this.file.read({});
+        this.alerts = Array.isArray(data.alerts) ? data.alerts : [];
+        return this.alerts;
+    }
+
+    save() {
+        return this.file.write({
+            version: 1,
+            alerts: this.alerts
+        });
+    }
+
+    isActive(alert, now = new Date()) {
+        return !alert.cleared && (!alert.expiresAt || new Date(alert.expiresAt) > now);
+    }
+
+    // Allvarligast först, sedan nyast
+    active(now = new Date()) {
+        return this.alerts
+            .filter(alert => this.isActive(alert, now))
+            .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) ||
+                b.created.localeCompare(a.created));
+    }
+
+    list() {
+        return this.alerts.slice().reverse();
+    }
+
+    get(id) {
+        return this.alerts.find(alert => alert.id === id) || null;
+    }
+
+    // Validerar indata från API:et. Kastar med läsbart meddelande vid fel.
+    validate(fields = {}) {
+        const title = typeof fields.title === 'string' ? fields.title.trim() : '';
+        if (!title) throw new Error('title is required');
+        if (title.length > 120) throw new Error('title must be at most 120 characters');
+
+        const message = typeof fields.message === 'string' ? fields.message.trim() : '';
+        if (message.length > 1000) throw new Error('message must be at most 1000 characters');
+
+        const severity = fields.severity || 'warning';
+        if (!SEVERITIES.includes(severity)) throw new Error(`severity must be one of ${SEVERITIES.join(', ')}`);
+
+        let expiresAt = null;
+        if (fields.expiresAt !== undefined && fields.expiresAt !== null && fields.expiresAt !== '') {
+            const date = new Date(fields.expiresAt);
+            if (Number.isNaN(date.getTime())) throw new Error('expiresAt must be a date');
+            if (date <= new Date()) throw new Error('expiresAt must be in the future');
+            expiresAt = date.toISOString();
+        }
+
+        return { title, message, severity, expiresAt };
+    }
+
+    async create(fields, createdBy = null) {
+        const alert = {
+            id: crypto.randomBytes(6).toString('hex'),
+            ...this.validate(fields),
+            created: new Date().toISOString(),
+            createdBy,
+            acknowledged: null,
+            cleared: null
+        };
+
+        this.alerts.push(alert);
+        this.trim();
+        await this.save();
+        return alert;
+    }
+
+    // Kvittering betyder "vi har sett det"; meddelandet ligger kvar på skärmarna
+    async acknowledge(id, by = null) {
+        const alert = this.get(id);
+        if (!alert) return null;
+
+        if (!alert.acknowledged) {
+            alert.acknowledged = { time: new Date().toISOString(), by };
+            await this.save();
+        }
+        return alert;
+    }
+
+    async clear(id, by = null) {
+        const alert = this.get(id);
+        if (!alert) return null;
+
+        if (!alert.cleared) {
+            alert.cleared = { time: new Date().toISOString(), by };
+            await this.save();
+        }
+        return alert;
+    }
+
+    // Nästa tidpunkt då ett aktivt meddelande går ut, för att kunna meddela skärmarna
+    nextExpiry(now = new Date()) {
+        const times = this.active(now)
+            .filter(alert => alert.expiresAt)
+            .map(alert => new Date(alert.expiresAt).getTime());
+        return times.length > 0 ? Math.min(...times) : null;
+    }
+
+    // Behåll alla aktiva och de senaste avslutade
+    trim() {
+        const now = new Date();
+        const inactive = this.alerts.filter(alert => !this.isActive(alert, now));
+        const drop = new Set(inactive.slice(0, Math.max(0, inactive.length - HISTORY_SIZE)));
+        this.alerts = this.alerts.filter(alert => !drop.has(alert));
+    }
+}
+
+EmergencyAlertStore.SEVERITIES = SEVERITIES;
+
+module.exports = EmergencyAlertStore;
@@ -0,0 +1,449 @@
+const fs = require('fs').promises;
+
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 86400000;
+
+/**
+ * Minimal iCalendar (RFC 5545) parser for VEVENT data.
+ * Handles line folding, all-day events, TZID/UTC/floating times,
+ * RRULE expansion with EXDATE and RECURRENCE-ID overrides.
+ */
+class IcsParser {
+    constructor(options = {}) {
+        this.maxIterations = options.maxIterations || 5000;
+        this.formatters = new Map();
+    }
+
+    async parseFile(filePath, range) {
+        const text = await fs.readFile(filePath, 'utf8');
+        return this.getEvents(text, range);
+    }
+
+    // Parsar och expanderar till konkreta händelser inom intervallet
+    getEvents(text, { from, to, maxEvents } = {}) {
+        const rangeStart = from ? new Date(from).getTime() : Date.now();
+        const rangeEnd = to ? new Date(to).getTime() : rangeStart + 30 * DAY_MS;
+
+        const vevents = this.parse(text);
+        const masters = vevents.filter(event => !event.recurrenceId);
+        const overrides = new Map();
+
+        for (const event of vevents.filter(e => e.recurrenceId)) {
+            overrides.set(`${event.uid}|${event.recurrenceId.getTime()}`, event);
+        }
+
+        const occurrences = [];
+        const consumed = new Set();
+
+        for (const event of masters) {
+            if (event.status === 'CANCELLED') continue;
+
+            for (const start of this.expand(event, rangeStart, rangeEnd)) {
+                const key = `${event.uid}|${start.getTime()}`;
+                const override = overrides.get(key);
+                if (override) consumed.add(key);
+
+                const instance = override || event;
+                if (instance.status === 'CANCELLED') continue;
+
+                const instanceStart = override ? override.start : start;
+                const instanceEnd = override ? override.end : new Date(start.getTime() + event.duration);
+
+                if (instanceEnd.getTime() <= rangeStart || instanceStart.getTime() >= rangeEnd) continue;
+                occurrences.push(this.toOccurrence(instance, instanceStart, instanceEnd));
+            }
+        }
+
+        // Instanser som flyttats in i intervallet från ett datum utanför det
+        for (const [key, override] of overrides) {
+            if (consumed.has(key) || override.status === 'CANCELLED') continue;
+            if (override.end.getTime() > rangeStart && override.start.getTime() < rangeEnd) {
+                occurrences.push(this.toOccurrence(override, override.start, override.end));
+            }
+        }
+
+        occurrences.sort((a, b) => new Date(a.start) - new Date(b.start));
+        return maxEvents ? occurrences.slice(0, maxEvents) : occurrences;
+    }
+
+    toOccurrence(event, start, end) {
+        return {
+            id: `${event.uid}-${start.getTime()}`,
+            uid: event.uid,
+            title: event.summary || '',
+            description: event.description || '',
+            location: event.location || '',
+            start: start.toISOString(),
+            end: end.toISOString(),
+            allDay: event.allDay
+        };
+    }
+
+    parse(text) {
+        const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+        const events = [];
+        let current = null;
+        let depth = 0;
+
+        for (const line of lines) {
+            if (!line.trim()) continue;
+            const prop = this.parseLine(line);
+
+            if (prop.name === 'BEGIN') {
+                if (prop.value === 'VEVENT') {
+                    current = { exdates: [] };
+                    depth = 0;
+                } else if (current) {
+                    depth++; // VALARM m.fl. inuti VEVENT
+                }
+                continue;
+            }
+
+            if (prop.name === 'END') {
+                if (prop.value === 'VEVENT' && current) {
+                    const event = this.finalizeEvent(current);
+                    if (event) events.push(event);
+                    current = null;
+                } else if (current) {
+                    depth--;
+                }
+                continue;
+            }
+
+            if (!current || depth > 0 || current.invalid) continue;
+
+            try {
+                this.applyProperty(current, prop);
+            } catch (error) {
+                // En trasig händelse ska inte stoppa resten av kalendern
+                current.invalid = true;
+            }
+        }
+
+        return events;
+    }
+
+    applyProperty(current, prop) {
+        switch (prop.name) {
+            case 'UID': current.uid = prop.value; break;
+            case 'SUMMARY': current.summary = this.unescape(prop.value); break;
+            case 'DESCRIPTION': current.description = this.unescape(prop.value); break;
+            case 'LOCATION': current.location = this.unescape(prop.value); break;
+            case 'STATUS': current.status = prop.value.toUpperCase(); break;
+            case 'DTSTART': current.dtstart = this.parseDateValue(prop); break;
+            case 'DTEND': current.dtend = this.parseDateValue(prop); break;
+            case 'DURATION': current.durationMs = this.parseDuration(prop.value); break;
+            case 'RRULE': current.rrule = this.parseRule(prop.value); break;
+            case 'RECURRENCE-ID': current.recurrenceId = this.parseDateValue(prop); break;
+            case 'EXDATE':
+                for (const value of prop.value.split(',')) {
+                    current.exdates.push(this.parseDateValue({ ...prop, value }));
+                }
+                break;
+        }
+    }
+
+    finalizeEvent(raw) {
+        if (!raw.dtstart || raw.invalid) return null;
+
+        const start = raw.dtstart;
+        let duration;
+
+        if (raw.dtend) {
+            duration = raw.dtend.date.getTime() - start.date.getTime();
+        } else if (raw.durationMs !== undefined) {
+            duration = raw.durationMs;
+        } else {
+            duration = start.allDay ? DAY_MS : 0;
+        }
+
+        return {
+            uid: raw.uid || `${start.date.getTime()}-${raw.summary || ''}`,
+            summary: raw.summary,
+            description: raw.description,
+            location: raw.location,
+            status: raw.status,
+            allDay: start.allDay,
+            dtstart: start,
+            start: start.date,
+            end: new Date(start.date.getTime() + duration),
+            duration,
+            rrule: raw.rrule || null,
+            exdates: new Set(raw.exdates.map(ex => ex.date.getTime())),
+            recurrenceId: raw.recurrenceId ? raw.recurrenceId.date : null
+        };
+    }
+
+    parseLine(line) {
+        // Kolon inom citerade parametervärden ska inte avsluta namnet
+        let inQuotes = false;
+        let splitAt = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            if (line[i] === ':' && !inQuotes) { splitAt = i; break; }
+        }
+
+        const head = splitAt === -1 ? line : line.slice(0, splitAt);
+        const value = splitAt === -1 ? '' : line.slice(splitAt + 1);
+        const [name, ...paramParts] = head.split(';');
+        const params = {};
+
+        for (const part of paramParts) {
+            const [key, ...rest] = part.split('=');
+            params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+        }
+
+        return { name: name.toUpperCase(), params, value: value.trim() };
+    }
+
+    unescape(value) {
+        return value
+            .replace(/\\n/gi, '\n')
+            .replace(/\\,/g, ',')
+            .replace(/\\;/g, ';')
+            .replace(/\\\\/g, '\\');
+    }
+
+    parseDateValue(prop) {
+        const value = prop.value;
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+        if (!match) throw new Error(`Invalid date value: ${value}`);
+
+        const parts = {
+            year: Number(match[1]),
+            month: Number(match[2]),
+            day: Number(match[3]),
+            hour: Number(match[4] || 0),
+            minute: Number(match[5] || 0),
+            second: Number(match[6] || 0)
+        };
+
+        const allDay = prop.params.VALUE === 'DATE' || !match[4];
+        let zone;
+        if (allDay) zone = null;
+        else if (match[7]) zone = 'UTC';
+        else zone = prop.params.TZID || null;
+
+        return { parts, zone, allDay, date: this.toDate(parts, zone) };
+    }
+
+    // Väggklocktid i en zon → absolut tidpunkt. null = flytande/lokal tid.
+    toDate(parts, zone) {
+        const { year, month, day, hour, minute, second } = parts;
+
+        if (zone === 'UTC') return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+        if (!zone || !this.isValidZone(zone)) return new Date(year, month - 1, day, hour, minute, second);
+
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+        let utc = wallClock - this.zoneOffset(wallClock, zone);
+        // Andra passet korrigerar kring sommartidsövergångar
+        utc = wallClock - this.zoneOffset(utc, zone);
+        return new Date(utc);
+    }
+
+    zoneOffset(timestamp, zone) {
+        if (!this.formatters.has(zone)) {
+            this.formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+                timeZone: zone,
+                hourCycle: 'h23',
+                year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit'
+            }));
+        }
+        const formatter = this.formatters.get(zone);
+
+        const values = {};
+        for (const part of formatter.formatToParts(new Date(timestamp))) {
+            values[part.type] = Number(part.value);
+        }
+
+        const asUtc = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+        return asUtc - Math.floor(timestamp / 1000) * 1000;
+    }
+
+    isValidZone(zone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: zone });
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    parseDuration(value) {
+        const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+        if (!match) return 0;
+
+        const [, sign, weeks, days, hours, minutes, seconds] = match;
+        const ms = ((Number(weeks || 0) * 7 + Number(days || 0)) * 86400 +
+            Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds || 0)) * 1000;
+        return sign === '-' ? -ms : ms;
+    }
+
+    parseRule(value) {
+        const rule = {};
+        for (const part of value.split(';')) {
+            const [key, val] = part.split('=');
+            rule[key.toUpperCase()] = val;
+        }
+
+        // INTERVAL=0 skulle ge dubbletter och division med noll i skipPeriods()
+        const interval = Number(rule.INTERVAL || 1);
+
+        return {
+            freq: rule.FREQ,
+            interval: Number.isInteger(interval) && interval > 0 ? interval : 1,
+            count: rule.COUNT ? Number(rule.COUNT) : null,
+            until: rule.UNTIL ? this.parseDateValue({ value: rule.UNTIL, params: {} }).date : null,
+            byDay: rule.BYDAY ? rule.BYDAY.split(',').map(d => {
+                const m = d.match(/^([+-]?\d+)?([A-Z]{2})$/);
+                return { nth: m[1] ? Number(m[1]) : 0, weekday: WEEKDAYS.indexOf(m[2]) };
+            }) : null,
+            byMonthDay: rule.BYMONTHDAY ? rule.BYMONTHDAY.split(',').map(Number) : null,
+            byMonth: rule.BYMONTH ? rule.BYMONTH.split(',').map(Number) : null
+        };
+    }
+
+    // Returnerar starttider (Date) för alla förekomster fram till rangeEnd
+    expand(event, rangeStart, rangeEnd) {
+        if (!event.rrule) {
+            return event.exdates.has(event.start.getTime()) ? [] : [event.start];
+        }
+
+        const rule = event.rrule;
+        const { parts, zone } = event.dtstart;
+        const results = [];
+        // Väggklock-datum räknas i UTC för att undvika lokala tidszonseffekter
+        const base = Date.UTC(parts.year, parts.month - 1, parts.day);
+        let emitted = 0;
+
+        // Utan COUNT kan vi hoppa fram till perioden närmast intervallets början
+        const firstPeriod = rule.count ? 0 : this.skipPeriods(rule, base, rangeStart - event.duration);
+
+        for (let period = firstPeriod; period < firstPeriod + this.maxIterations; period++) {
+            const candidates = this.periodCandidates(rule, base, period * rule.interval);
+            if (candidates === null) break;
+
+            for (const dayMs of candidates) {
+                if (dayMs < base) continue;
+
+                const d = new Date(dayMs);
+                const start = this.toDate({
+                    year: d.getUTCFullYear(),
+                    month: d.getUTCMonth() + 1,
+                    day: d.getUTCDate(),
+                    hour: parts.hour,
+                    minute: parts.minute,
+                    second: parts.second
+                }, zone);
+
+                if (rule.until && start > rule.until) return results;
+                if (rule.count && emitted >= rule.count) return results;
+                if (start.getTime() >= rangeEnd) return results;
+
+                emitted++;
+                if (!event.exdates.has(start.getTime())) results.push(start);
+            }
+        }
+
+        return results;
+    }
+
+    skipPeriods(rule, base, target) {
+        if (target <= base) return 0;
+
+        const from = new Date(base);
+        const to = new Date(target);
+        let units;
+
+        switch (rule.freq) {
+            case 'DAILY': units = Math.floor((target - base) / DAY_MS); break;
+            case 'WEEKLY': units = Math.floor((target - base) / (7 * DAY_MS)); break;
+            case 'MONTHLY':
+                units = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+                break;
+            case 'YEARLY': units = to.getUTCFullYear() - from.getUTCFullYear(); break;
+            default: return 0;
+        }
+
+        // En period marginal för tidszoner och flerdagarshändelser
+        return Math.max(0, Math.floor(units / rule.interval) - 1);
+    }
+
+    periodCandidates(rule, base, offset) {
+        const baseDate = new Date(base);
+        const weekday = baseDate.getUTCDay();
+
+        switch (rule.freq) {
+            case 'DAILY': {
+                const day = base + offset * DAY_MS;
+                return this.matchesFilters(rule, day) ? [day] : [];
+            }
+            case 'WEEKLY': {
+                // Veckan börjar på måndag (WKST=MO)
+                const weekStart = base - ((weekday + 6) % 7) * DAY_MS + offset * 7 * DAY_MS;
+                const days = rule.byDay ? rule.byDay.map(d => d.weekday) : [weekday];
+                return days
+                    .map(d => weekStart + ((d + 6) % 7) * DAY_MS)
+                    .filter(day => !rule.byMonth || rule.byMonth.includes(new Date(day).getUTCMonth() + 1))
+                    .sort((a, b) => a - b);
+            }
+            case 'MONTHLY': {
+                const monthIndex = baseDate.getUTCMonth() + offset;
+                const year = baseDate.getUTCFullYear() + Math.floor(monthIndex / 12);
+                const month = ((monthIndex % 12) + 12) % 12;
+                if (rule.byMonth && !rule.byMonth.includes(month + 1)) return [];
+                return this.monthCandidates(rule, year, month, baseDate.getUTCDate());
+            }
+            case 'YEARLY': {
+                const year = baseDate.getUTCFullYear() + offset;
+                const months = rule.byMonth ? rule.byMonth.map(m => m - 1) : [baseDate.getUTCMonth()];
+                return months
+                    .flatMap(month => this.monthCandidates(rule, year, month, baseDate.getUTCDate()))
+                    .sort((a, b) => a - b);
+            }
+            default:
+                return null;
+        }
+    }
+
+    monthCandidates(rule, year, month, defaultDay) {
+        const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        const first = Date.UTC(year, month, 1);
+        let days = [];
+
+        if (rule.byMonthDay) {
+            days = rule.byMonthDay
+                .map(d => (d < 0 ? daysInMonth + d + 1 : d))
+                .filter(d => d >= 1 && d <= daysInMonth);
+        } else if (rule.byDay) {
+            for (const { nth, weekday } of rule.byDay) {
+                const matching = [];
+                for (let d = 1; d <= daysInMonth; d++) {
+                    if (new Date(first + (d - 1) * DAY_MS).getUTCDay() === weekday) matching.push(d);
+                }
+                if (nth > 0) days.push(matching[nth - 1]);
+                else if (nth < 0) days.push(matching[matching.length + nth]);
+                else days.push(...matching);
+            }
+            days = days.filter(Boolean);
+        } else if (defaultDay <= daysInMonth) {
+            days = [defaultDay];
+        }
+
+        return [...new Set(days)]
+            .sort((a, b) => a - b)
+            .map(d => first + (d - 1) * DAY_MS)
+            .filter(day => !rule.byMonthDay || !rule.byDay || rule.byDay.some(b => b.weekday === new Date(day).getUTCDay()));
+    }
+
+    matchesFilters(rule, day) {
+        const date = new Date(day);
+        if (rule.byMonth && !rule.byMonth.includes(date.getUTCMonth() + 1)) return false;
+        if (rule.byMonthDay && !rule.byMonthDay.includes(date.getUTCDate())) return false;
+        if (rule.byDay && !rule.byDay.some(d => d.weekday === date.getUTCDay())) return false;
+        return true;
+    }
+}
+
+module.exports = IcsParser;
@@ -0,0 +1,127 @@
+const sharp = require('sharp');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_RENDITIONS = [
+    { name: 'landscape', width: 1920, height: 1080 },
+    { name: 'portrait', width: 1080, height: 1920 }
+];
+
+const EXTENSIONS = { webp: 'webp', jpeg: 'jpg' };
+
+// Format som originalet kan skrivas om i, så att filens innehåll fortsätter att stämma med filändelsen
+const ENCODERS = {
+    jpeg: pipeline => pipeline.jpeg({ quality: 92, mozjpeg: true }),
+    png: pipeline => pipeline.png(),
+    webp: pipeline => pipeline.webp({ quality: 92 }),
+    tiff: pipeline => pipeline.tiff({ quality: 92 }),
+    avif: pipeline => pipeline.avif({ quality: 70 })
+};
+
+/**
+ * Normalises uploaded images for the displays: the original is rotated
+ * according to its EXIF orientation and re-encoded in its own format
+ * without metadata (GPS, camera serials, ...), and display-sized renditions
+ * are written to images/renditions/ in WebP and JPEG:
+ *
+ *   renditions/<fil>-landscape.webp  (ryms i 1920x1080)
+ *   renditions/<fil>-portrait.jpg    (ryms i 1080x1920)
+ *
+ * <fil> is the full file name, extension included, so foo.jpg and foo.png
+ * get renditions of their own.
+ *
+ * index.html picks the smallest rendition that covers its viewport.
+ */
+class ImageProcessor {
+    constructor(config = {}, options = {}) {
+        this.imagesDir = options.imagesDir;
+        this.renditionsDir = options.renditionsDir || path.join(this.imagesDir, 'renditions');
+        this.configure(config);
+    }
+
+    configure(config = {}) {
+        this.config = {
+            renditions: config.renditions && config.renditions.length > 0 ? config.renditions : DEFAULT_RENDITIONS,
+            renditionFormats: config.renditionFormats && config.renditionFormats.length > 0 ? config.renditionFormats : ['webp', 'jpeg'],
+            renditionQuality: config.renditionQuality || 82
+        };
+    }
+
+    // Returnerar { width, height, renditions } för posten i bildkatalogen
+    async process(filename) {
+        const filePath = path.join(this.imagesDir, filename);
+        const metadata = await sharp(filePath).metadata();
+
+        // Animerade GIF:ar skulle bli stillbilder, och GIF saknar EXIF
+        if (metadata.format === 'gif') {
+            return { width: metadata.width, height: metadata.height, renditions: [] };
+        }
+
+        const { width, height } = await this.normalize(filePath, metadata);
+        const renditions = await this.renderRenditions(filePath, filename);
+        return { width, height, renditions };
+    }
+
+    // Vrider efter EXIF-orienteringen och skriver om originalet utan metadata, i samma format
+    async normalize(filePath, metadata) {
+        // AVIF rapporteras som heif; HEIC, SVG m.fl. kan sharp läsa men inte skriva
+        const format = metadata.format === 'heif' && metadata.compression === 'av1' ? 'avif' : metadata.format;
+        const encode = ENCODERS[format];
+        if (!encode) {
+            console.warn(`⚠️  Cannot re-encode ${format} images, keeping ${path.basename(filePath)} as uploaded`);
+            const rotated = metadata.orientation >= 5;
+            return { width: rotated ? metadata.height : metadata.width, height: rotated ? metadata.width : metadata.height };
+        }
+
+        const { data, info } = await encode(sharp(filePath).rotate()).toBuffer({ resolveWithObject: true });
+
+        // Skriv till en temporär fil först så att skärmarna aldrig ser en halvskriven bild
+        const tempPath = `${filePath}.tmp`;
+        await fs.writeFile(tempPath, data);
+        await fs.rename(tempPath, filePath);
+
+        return { width: info.width, height: info.height };
+    }
+
+    async renderRenditions(filePath, filename) {
+        await fs.mkdir(this.renditionsDir, { recursive: true });
+        const base = path.basename(filename);
+        const renditions = [];
+
+        for (const size of this.config.renditions) {
+            for (const format of this.config.renditionFormats) {
+                const file = `${base}-${size.name}.${EXTENSIONS[format]}`;
+                const info = await sharp(filePath)
+                    .resize(size.width, size.height, { fit: 'inside', withoutEnlargement: true })
+                    .toFormat(format, { quality: this.config.renditionQuality })
+                    .toFile(path.join(this.renditionsDir, file));
+
+                renditions.push({
+                    name: size.name,
+                    format,
+                    maxWidth: size.width,
+                    maxHeight: size.height,
+                    width: info.width,
+                    height: info.height,
+                    size: info.size,
+                    file: `renditions/${file}`
+                });
+            }
+        }
+
+        return renditions;
+    }
+
+    async removeRenditions(image) {
+        for (const rendition of image.renditions || []) {
+            // rendition.file kommer från katalogen; bara filer i renditions/ tas bort
+            const filePath = path.resolve(this.imagesDir, String(rendition.file));
+            if (!filePath.startsWith(path.resolve(this.renditionsDir) + path.sep)) continue;
+            await fs.unlink(filePath).catch(() => {});
+        }
+    }
+}
+
+ImageProcessor.DEFAULT_RENDITIONS = DEFAULT_RENDITIONS;
+
+module.exports = ImageProcessor;
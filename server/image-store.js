@@ -0,0 +1,274 @@
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const JsonFile = require('./json-file');
+
+/**
+ * Persistent image catalog stored as JSON inside the images directory.
+ * Keeps ids, titles and ordering stable across restarts and reconciles
+ * the catalog with files that were added or removed by hand.
+ */
+class ImageStore {
+    constructor(options = {}) {
+        this.directory = options.directory;
+        this.allowedExtensions = options.allowedExtensions || ['.jpg', '.jpeg', '.png', '.gif'];
+        this.videoExtensions = options.videoExtensions || [];
+        this.catalog = new JsonFile(path.join(this.directory, options.catalogFile || 'library.json'));
+
+        this.images = [];
+        this.nextId = 1;
+    }
+
+    async load() {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        const data = await this.catalog.read({});
+        this.images = Array.isArray(data.images) ? data.images : [];
+        this.nextId = data.nextId || this.images.reduce((max, img) => Math.max(max, img.id), 0) + 1;
+
+        const changes = await this.reconcile();
+        if (changes.added || changes.removed || changes.renamed) {
+            console.log(`🔄 Catalog reconciled: +${changes.added} -${changes.removed} ~${changes.renamed}`);
+            await this.save();
+        }
+
+        return this.images;
+    }
+
+    // Synka katalogen mot filerna i mappen (manuellt tillagda/borttagna bilder)
+    async reconcile() {
+        const files = (await fs.readdir(this.directory)).filter(file => this.isImageFile(file));
+        const fileSet = new Set(files);
+        const known = new Set(this.images.map(img => img.filename));
+
+        // Mallbilder har ingen fil
+        const missing = this.images.filter(img => img.type !== 'template' && !fileSet.has(img.filename));
+        const added = files.filter(file => !known.has(file));
+        const changes = { added: 0, removed: 0, renamed: 0 };
+
+        for (const filename of added) {
+            const filePath = this.filePath(filename);
+            const [stats, checksum] = await Promise.all([fs.stat(filePath), this.checksum(filePath)]);
+
+            // En fil som bytt namn behåller sin metadata
+            const renamed = missing.find(img => img.checksum && img.checksum === checksum);
+            if (renamed) {
+                missing.splice(missing.indexOf(renamed), 1);
+                renamed.filename = filename;
+                renamed.updated = new Date().toISOString();
+                changes.renamed++;
+                continue;
+            }
+
+            this.images.push(this.createRecord({
+                filename,
+                originalname: filename,
+                size: stats.size,
+                checksum,
+                uploaded: stats.mtime.toISOString()
+            }));
+            changes.added++;
+        }
+
+        if (missing.length > 0) {
+            const missingIds = new Set(missing.map(img => img.id));
+            this.images = this.images.filter(img => !missingIds.has(img.id));
+            changes.removed = missing.length;
+        }
+
+        this.normalizeOrder();
+        return changes;
+    }
+
+    list() {
+        return [...this.images].sort((a, b) => a.order - b.order);
+    }
+
+    get(id) {
+        return this.images.find(img => img.id === Number(id)) || null;
+    }
+
+    async add(fields) {
+        const record = this.createRecord({
+            ...fields,
+            checksum: fields.checksum || await this.checksum(this.filePath(fields.filename))
+        });
+
+        this.images.push(record);
+        await this.save();
+        return record;
+    }
+
+    // Bild som skapats i admin-panelen i stället för att laddas upp
+    async addTemplate(fields) {
+        const record = this.createRecord({ ...fields, filename: null });
+        this.images.push(record);
+        await this.save();
+        return record;
+    }
+
+    async update(id, changes) {
+        const image = this.get(id);
+        if (!image) return null;
+
+        this.applyChanges(image, changes);
+        await this.save();
+        return image;
+    }
+
+    // Flera poster (t.ex. alla sidor i ett dokument) och ev. ny ordning i en enda skrivning
+    async updateMany(updates, ids = null) {
+        const updated = [];
+        for (const [id, changes] of updates) {
+            const image = this.get(id);
+            if (image) updated.push(this.applyChanges(image, changes));
+        }
+        if (ids) this.sortBy(ids);
+
+        await this.save();
+        return updated;
+    }
+
+    applyChanges(image, changes) {
+        const { id: _id, filename, checksum, uploaded, ...editable } = changes;
+        return Object.assign(image, editable, { updated: new Date().toISOString() });
+    }
+
+    // Byter fil för en post, t.ex. när en video har konverterats till MP4
+    async replaceFile(id, fields) {
+        const image = this.get(id);
+        if (!image) return null;
+
+        const filePath = this.filePath(fields.filename);
+        const [stats, checksum] = await Promise.all([fs.stat(filePath), this.checksum(filePath)]);
+
+        Object.assign(image, {
+            filename: fields.filename,
+            size: stats.size,
+            checksum,
+            updated: new Date().toISOString()
+        });
+        if (fields.originalname) image.originalname = fields.originalname;
+        if (fields.uploaded) image.uploaded = fields.uploaded;
+
+        await this.save();
+        return image;
+    }
+
+    // Lägger tillbaka en post från papperskorgen med samma id, nära sin gamla plats
+    async restore(record) {
+        if (this.get(record.id)) throw new Error(`Image ${record.id} already exists`);
+
+        this.images.push({ ...record, updated: new Date().toISOString() });
+        this.nextId = Math.max(this.nextId, record.id + 1);
+        this.normalizeOrder();
+
+        await this.save();
+        return this.get(record.id);
+    }
+
+    async remove(id) {
+        const image = this.get(id);
+        if (!image) return null;
+
+        this.images = this.images.filter(img => img !== image);
+        this.normalizeOrder();
+
+        await this.save();
+        return image;
+    }
+
+    createRecord(fields) {
+        const filename = fields.filename;
+        const isVideo = Boolean(filename) && this.isVideoFile(filename);
+
+        const record = {
+            id: this.nextId++,
+            filename,
+            originalname: fields.originalname || filename,
+            title: fields.title || (filename ? path.parse(filename).name.replace(/[-_]/g, ' ') : ''),
+            description: fields.description || '',
+            order: fields.order || this.images.length + 1,
+            active: fields.active !== false,
+            uploaded: fields.uploaded || new Date().toISOString(),
+            size: fields.size || 0,
+            checksum: fields.checksum || null,
+            type: fields.template ? 'template' : isVideo ? 'video' : 'image'
+        };
+
+        if (fields.template) record.template = fields.template;
+
+        // Videor visas först när de kontrollerats/konverterats
+        if (isVideo) record.video = { status: 'pending' };
+
+        // Sidor från ett importerat dokument
+        if (fields.documentId) {
+            record.documentId = fields.documentId;
+            record.page = fields.page;
+        }
+
+        return record;
+    }
+
+    // Ny ordning efter en lista med id:n; bilder som saknas i listan hamnar sist
+    async reorder(ids) {
+        const sorted = this.sortBy(ids);
+        await this.save();
+        return sorted;
+    }
+
+    sortBy(ids) {
+        const position = new Map(ids.map((id, index) => [Number(id), index]));
+        const sorted = this.list().sort((a, b) => {
+            const pa = position.has(a.id) ? position.get(a.id) : Infinity;
+            const pb = position.has(b.id) ? position.get(b.id) : Infinity;
+            return pa === pb ? a.order - b.order : pa - pb;
+        });
+
+        sorted.forEach((img, index) => { img.order = index + 1; });
+        return sorted;
+    }
+
+    normalizeOrder() {
+        this.list().forEach((img, index) => { img.order = index + 1; });
+    }
+
+    save() {
+        return this.catalog.write({
+            version: 1,
+            nextId: this.nextId,
+            updated: new Date().toISOString(),
+            images: this.images
+        });
+    }
+
+    filePath(filename) {
+        return path.join(this.directory, filename);
+    }
+
+    isImageFile(filename) {
+        const ext = path.extname(filename).toLowerCase();
+        return this.allowedExtensions.includes(ext) || this.videoExtensions.includes(ext);
+    }
+
+    isVideoFile(filename) {
+        return this.videoExtensions.includes(path.extname(filename).toLowerCase());
+    }
+
+    checksum(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+}
+
+// Fält som får ändras via PUT /api/images/:id. Sökvägar (versions, renditions,
+// poster, thumbnail) och ordning sätts bara av servern själv
+ImageStore.EDITABLE_FIELDS = ['title', 'description', 'active', 'schedule', 'duration', 'transition', 'template'];
+
+module.exports = ImageStore;
@@ -0,0 +1,41 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * JSON file with atomic, serialized writes (temp file + rename).
+ * Used for small state files that must survive a power cut on the Pi.
+ */
+class JsonFile {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async read(fallback = null) {
+        try {
+            return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`⚠️  Could not read ${path.basename(this.filePath)}:`, error.message);
+            }
+            return fallback;
+        }
+    }
+
+    // Serialiseras direkt så att senare ändringar inte hamnar i en pågående skrivning
+    write(data) {
+        const snapshot = JSON.stringify(data, null, 2);
+
+        const write = async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.writeFile(tempPath, snapshot, 'utf8');
+            await fs.rename(tempPath, this.filePath);
+        };
+
+        this.writeQueue = this.writeQueue.then(write, write);
+        return this.writeQueue;
+    }
+}
+
+module.exports = JsonFile;
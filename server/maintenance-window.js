@@ -0,0 +1,102 @@
+const cron = require('node-cron');
+
+const TIME = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Times when auto-update.js may install a release and restart the service,
+ * from update.maintenanceWindows in config.json:
+ *
+ *   [{ start: '02:00', end: '04:00', weekdays: [1, 2, 3, 4, 5] }]
+ *
+ * Same format as a slide's timeWindows: weekdays 0 = söndag (empty = every
+ * day), a window whose end is before its start spans midnight and belongs
+ * to the day it starts. No windows means updates may run at any time.
+ * All times are local to the server.
+ */
+class MaintenanceWindow {
+    constructor(windows = []) {
+        this.windows = this.normalize(windows);
+        this.tasks = [];
+    }
+
+    normalize(windows) {
+        if (!Array.isArray(windows)) throw new Error('maintenanceWindows must be an array');
+
+        return windows.map(window => {
+            if (!window || !TIME.test(window.start) || !TIME.test(window.end)) {
+                throw new Error('maintenanceWindows entries need start and end as HH:MM');
+            }
+            if (window.start === window.end) throw new Error('maintenanceWindows start and end must differ');
+
+            const weekdays = Array.isArray(window.weekdays) ? [...new Set(window.weekdays)].sort() : [];
+            return { start: window.start, end: window.end, weekdays };
+        });
+    }
+
+    get restricted() {
+        return this.windows.length > 0;
+    }
+
+    isOpen(now = new Date()) {
+        if (!this.restricted) return true;
+
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const today = now.getDay();
+
+        return this.windows.some(window => {
+            const start = this.minutes(window.start);
+            const end = this.minutes(window.end);
+
+            if (start < end) return minutes >= start && minutes < end && this.onDay(window, today);
+            // Över midnatt: morgondelen hör till föregående dags fönster
+            if (minutes >= start) return this.onDay(window, today);
+            if (minutes < end) return this.onDay(window, (today + 6) % 7);
+            return false;
+        });
+    }
+
+    // Nästa gång ett fönster öppnar, eller null om inga fönster är konfigurerade
+    next(now = new Date()) {
+        let next = null;
+
+        for (let offset = 0; offset <= 7; offset++) {
+            const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+            for (const window of this.windows) {
+                if (!this.onDay(window, day.getDay())) continue;
+
+                const [hours, minutes] = window.start.split(':').map(Number);
+                const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+                if (start > now && (!next || start < next)) next = start;
+            }
+            if (next) return next;
+        }
+        return null;
+    }
+
+    // Kör task när varje fönster öppnar
+    schedule(task) {
+        this.stop();
+        this.tasks = this.windows.map(window => {
+            const [hours, minutes] = window.start.split(':').map(Number);
+            const days = window.weekdays.length > 0 ? window.weekdays.join(',') : '*';
+            return cron.schedule(`${minutes} ${hours} * * ${days}`, task);
+        });
+        return this.tasks.length;
+    }
+
+    stop() {
+        for (const task of this.tasks) task.stop();
+        this.tasks = [];
+    }
+
+    onDay(window, day) {
+        return window.weekdays.length === 0 || window.weekdays.includes(day);
+    }
+
+    minutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+}
+
+module.exports = MaintenanceWindow;
@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const JsonFile = require('./json-file');
+
+/**
+ * Named playlists and the screen → playlist assignment, persisted in
+ * data/playlists.json. A playlist item references an image by id and may
+ * override its order and display duration (ms).
+ */
+class PlaylistStore {
+    constructor(filePath) {
+        this.file = new JsonFile(filePath);
+        this.playlists = [];
+        this.screens = {};
+    }
+
+    async load() {
+        const data = await this.file.read({});
+        this.playlists = Array.isArray(data.playlists) ? data.playlists : [];
+        this.screens = data.screens || {};
+        return this.playlists;
+    }
+
+    save() {
+        return this.file.write({
+            version: 1,
+            playlists: this.playlists,
+            screens: this.screens
+        });
+    }
+
+    list() {
+        return this.playlists;
+    }
+
+    get(id) {
+        return this.playlists.find(playlist => playlist.id === id) || null;
+    }
+
+    // Validerar indata från API:et. Kastar med läsbart meddelande vid fel.
+    validate(fields, { partial = false } = {}) {
+        const result = {};
+
+        if (!partial || fields.name !== undefined) {
+            if (typeof fields.name !== 'string' || !fields.name.trim()) {
+                throw new Error('name is required');
+            }
+            const name = fields.name.trim();
+            const duplicate = this.playlists.find(p => p.name.toLowerCase() === name.toLowerCase() && p.id !== fields.id);
+            if (duplicate) throw new Error(`A playlist named "${name}" already exists`);
+            result.name = name;
+        }
+
+        if (!partial || fields.items !== undefined) {
+            const items = fields.items || [];
+            if (!Array.isArray(items)) throw new Error('items must be an array');
+
+            result.items = items.map((item, index) => {
+                const imageId = Number(item && item.imageId);
+                if (!Number.isInteger(imageId)) throw new Error(`items[${index}].imageId must be an image id`);
+
+                const entry = { imageId, order: index + 1 };
+                if (item.order !== undefined) {
+                    if (!Number.isFinite(Number(item.order))) throw new Error(`items[${index}].order must be a number`);
+                    entry.order = Number(item.order);
+                }
+                if (item.duration !== undefined && item.duration !== null) {
+                    const duration = Number(item.duration);
+                    if (!Number.isFinite(duration) || duration < 1000) {
+                        throw new Error(`items[${index}].duration must be at least 1000 ms`);
+                    }
+                    entry.duration = duration;
+                }
+                return entry;
+            });
+
+            this.normalizeItems(result);
+        }
+
+        return result;
+    }
+
+    normalizeItems(playlist) {
+        playlist.items.sort((a, b) => a.order - b.order);
+        playlist.items.forEach((item, index) => { item.order = index + 1; });
+    }
+
+    async create(fields) {
+        const playlist = {
+            id: crypto.randomBytes(6).toString('hex'),
+            ...this.validate(fields),
+            created: new Date().toISOString(),
+            updated: new Date().toISOString()
+        };
+
+        this.playlists.push(playlist);
+        await this.save();
+        return playlist;
+    }
+
+    async update(id, fields) {
+        const playlist = this.get(id);
+        if (!playlist) return null;
+
+        Object.assign(playlist, this.validate({ ...fields, id }, { partial: true }), {
+            updated: new Date().toISOString()
+        });
+
+        await this.save();
+        return playlist;
+    }
+
+    async remove(id) {
+        const playlist = this.get(id);
+        if (!playlist) return null;
+
+        this.playlists = this.playlists.filter(p => p !== playlist);
+
+        // Skärmar med den borttagna listan går tillbaka till standardlistan
+        for (const [screenId, playlistId] of Object.entries(this.screens)) {
+            if (playlistId === id) delete this.screens[screenId];
+        }
+
+        await this.save();
+        return playlist;
+    }
+
+    // Tar bort referenser till en bild som raderats
+    async removeImage(imageId) {
+        let changed = false;
+
+        for (const playlist of this.playlists) {
+            const before = playlist.items.length;
+            playlist.items = playlist.items.filter(item => item.imageId !== imageId);
+            if (playlist.items.length !== before) {
+                this.normalizeItems(playlist);
+                playlist.updated = new Date().toISOString();
+                changed = true;
+            }
+        }
+
+        if (changed) await this.save();
+        return changed;
+    }
+
+    // Var bilden låg i spellistorna, så att den kan läggas tillbaka från papperskorgen
+    imageMemberships(imageId) {
+        return this.playlists.flatMap(playlist => playlist.items
+            .filter(item => item.imageId === imageId)
+            .map(item => ({ playlistId: playlist.id, ...item })));
+    }
+
+    async restoreImage(imageId, memberships = []) {
+        let changed = false;
+
+        for (const { playlistId, order, duration } of memberships) {
+            const playlist = this.get(playlistId);
+            if (!playlist || playlist.items.some(item => item.imageId === imageId)) continue;
+
+            // Före bilden som nu har dess gamla plats
+            const item = { imageId, order: order - 0.5 };
+            if (duration) item.duration = duration;
+            playlist.items.push(item);
+            this.normalizeItems(playlist);
+            playlist.updated = new Date().toISOString();
+            changed = true;
+        }
+
+        if (changed) await this.save();
+        return changed;
+    }
+
+    getScreenPlaylist(screenId) {
+        const playlistId = screenId ? this.screens[screenId] : null;
+        return playlistId ? this.get(playlistId) : null;
+    }
+
+    async assignScreen(screenId, playlistId) {
+        if (playlistId === null) {
+            delete this.screens[screenId];
+        } else {
+            if (!this.get(playlistId)) throw new Error('Playlist not found');
+            this.screens[screenId] = playlistId;
+        }
+
+        await this.save();
+        return this.screens;
+    }
+
+    // Slår upp bilderna i en spellista, i listans ordning och med dess visningstid
+    resolve(playlist, images) {
+        const byId = new Map(images.map(image => [image.id, image]));
+
+        return playlist.items
+            .filter(item => byId.has(item.imageId))
+            .map(item => {
+                const image = { ...byId.get(item.imageId), order: item.order };
+                if (item.duration) image.duration = item.duration;
+                return image;
+            });
+    }
+}
+
+module.exports = PlaylistStore;
@@ -0,0 +1,95 @@
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+/**
+ * Checks a downloaded release package before auto-update.js installs it.
+ * A release publishes its package as infoscreen-<version>.zip (the tag
+ * without a leading "v", holding one infoscreen-<version>/ directory) next to:
+ *
+ *   SHA256SUMS          "<sha256>  <package.zip>" per line (sha256sum format)
+ *   <package.zip>.sig   detached signature of the zip, raw or base64,
+ *                       made with the private half of update.publicKeyPath
+ *                       (Ed25519, ECDSA or RSA with SHA-256)
+ *
+ * With `verification: 'checksum'` the SHA256SUMS entry must match; with
+ * 'signature' the signature must verify against the configured public key,
+ * and a published checksum must match as well.
+ *
+ * .github/workflows/auto-update.yml builds and attaches these assets when a
+ * release is published.
+ */
+class ReleaseVerifier {
+    constructor(config = {}) {
+        this.verification = config.verification || 'checksum';
+        this.publicKeyPath = config.publicKeyPath || null;
+    }
+
+    // Tillgångarna i releasen som behövs: { archive, checksums, signature }
+    selectAssets(release) {
+        const assets = release.assets || [];
+        const name = `infoscreen-${String(release.tag_name).replace(/^v/, '')}.zip`;
+        const archive = assets.find(asset => asset.name === name);
+        if (!archive) throw new Error(`Release ${release.tag_name} has no ${name} package`);
+
+        return {
+            archive,
+            checksums: assets.find(asset => asset.name === 'SHA256SUMS') || null,
+            signature: assets.find(asset => asset.name === `${archive.name}.sig`) || null
+        };
+    }
+
+    // Kontrollerar vad som krävs för vald nivå innan något laddas ner
+    requiredAssets(assets) {
+        if (this.verification === 'signature') {
+            if (!this.publicKeyPath) throw new Error('update.publicKeyPath is required for signature verification');
+            if (!assets.signature) throw new Error(`Release has no ${assets.archive.name}.sig`);
+        } else if (!assets.checksums) {
+            throw new Error('Release has no SHA256SUMS');
+        }
+    }
+
+    async sha256(filePath) {
+        const data = await fs.readFile(filePath);
+        return crypto.createHash('sha256').update(data).digest('hex');
+    }
+
+    async verifyChecksum(filePath, archiveName, checksumsText) {
+        const expected = this.parseChecksums(checksumsText)[archiveName];
+        if (!expected) throw new Error(`SHA256SUMS has no entry for ${archiveName}`);
+
+        const actual = await this.sha256(filePath);
+        if (actual !== expected) throw new Error(`Checksum mismatch for ${archiveName}`);
+        return actual;
+    }
+
+    async verifySignature(filePath, signatureData) {
+        const publicKey = crypto.createPublicKey(await fs.readFile(this.publicKeyPath));
+        const data = await fs.readFile(filePath);
+        const signature = this.decodeSignature(signatureData);
+
+        // Ed25519 hashar själv; övriga nyckeltyper signerar en SHA-256
+        const algorithm = ['ed25519', 'ed448'].includes(publicKey.asymmetricKeyType) ? null : 'sha256';
+        if (!crypto.verify(algorithm, data, publicKey, signature)) {
+            throw new Error('Signature verification failed');
+        }
+    }
+
+    // sha256sum skriver "<hash>  <namn>" eller "<hash> *<namn>" (binärläge)
+    parseChecksums(text) {
+        const sums = {};
+        for (const line of String(text).split('\n')) {
+            const match = /^([a-f0-9]{64})\s+\*?(.+)$/i.exec(line.trim());
+            if (match) sums[match[2].trim()] = match[1].toLowerCase();
+        }
+        return sums;
+    }
+
+    // .sig kan vara rå binär eller base64 (t.ex. från openssl ... | base64)
+    decodeSignature(data) {
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        const text = buffer.toString('utf8').trim();
+        return /^[A-Za-z0-9+/=\s]+$/.test(text) ? Buffer.from(text, 'base64') : buffer;
+    }
+}
+
+module.exports = ReleaseVerifier;
@@ -0,0 +1,99 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const REQUEST_TIMEOUT = 60000;
+
+/**
+ * Screenshots uploaded by display clients, stored as
+ * data/screenshots/<clientId>/<timestamp>.<ext>. The display page is not
+ * logged in, so an upload is only accepted for a request id that the
+ * server handed out (via the WebSocket) within the last minute.
+ */
+class ScreenshotStore {
+    constructor(directory, options = {}) {
+        this.directory = directory;
+        this.keep = options.keep || 10;
+        this.maxSize = options.maxSize || 10 * 1024 * 1024;
+        this.pending = new Map();
+    }
+
+    // Skapar en engångsbiljett för uppladdningen från klienten
+    request(clientId) {
+        this.expire();
+        const requestId = crypto.randomBytes(16).toString('hex');
+        this.pending.set(requestId, { clientId, created: Date.now() });
+        return requestId;
+    }
+
+    expire(now = Date.now()) {
+        for (const [requestId, request] of this.pending) {
+            if (now - request.created > REQUEST_TIMEOUT) this.pending.delete(requestId);
+        }
+    }
+
+    // Förbrukar biljetten; returnerar klient-id eller null om den är okänd/för gammal
+    take(requestId) {
+        this.expire();
+        const request = this.pending.get(requestId);
+        if (!request) return null;
+        this.pending.delete(requestId);
+        return request.clientId;
+    }
+
+    // Känner igen JPEG/PNG på de första bytesen i stället för att lita på Content-Type
+    detectFormat(buffer) {
+        if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpg';
+        if (buffer.length > 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+        return null;
+    }
+
+    async save(clientId, buffer) {
+        const format = this.detectFormat(buffer);
+        if (!format) throw new Error('Screenshot must be a JPEG or PNG image');
+        if (buffer.length > this.maxSize) throw new Error('Screenshot too large');
+
+        const time = new Date();
+        const filename = `${time.toISOString().replace(/[:.]/g, '-')}.${format}`;
+        const dir = this.clientDir(clientId);
+
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(path.join(dir, filename), buffer);
+        await this.prune(clientId);
+
+        return { filename, time: time.toISOString(), size: buffer.length };
+    }
+
+    // Nyast först
+    async list(clientId) {
+        const files = await fs.readdir(this.clientDir(clientId)).catch(() => []);
+        return files
+            .filter(file => /\.(jpg|png)$/.test(file))
+            .sort()
+            .reverse();
+    }
+
+    async prune(clientId) {
+        const files = await this.list(clientId);
+        for (const file of files.slice(this.keep)) {
+            await fs.unlink(path.join(this.clientDir(clientId), file)).catch(() => {});
+        }
+    }
+
+    // Sökväg till en bild, eller null; "latest" ger den senaste
+    async resolve(clientId, filename) {
+        const files = await this.list(clientId);
+        const file = filename === 'latest' ? files[0] : files.find(f => f === filename);
+        return file ? path.join(this.clientDir(clientId), file) : null;
+    }
+
+    async remove(clientId) {
+        await fs.rm(this.clientDir(clientId), { recursive: true, force: true });
+    }
+
+    clientDir(clientId) {
+        return path.join(this.directory, path.basename(clientId));
+    }
+}
+
+module.exports = ScreenshotStore;
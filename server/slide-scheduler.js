@@ -0,0 +1,135 @@
+const SlideSchedule = require('../public/js/slide-schedule');
+
+/**
+ * Decides which slides are eligible to be shown right now based on each
+ * image's `active` flag and optional `schedule`:
+ *
+ *   {
+ *     validFrom:   '2026-12-20' | ISO datetime | null,
+ *     validUntil:  '2027-01-06' | ISO datetime | null   (date only = inclusive)
+ *     weekdays:    [1, 2, 3, 4, 5]   (0 = söndag, tom/null = alla dagar)
+ *     timeWindows: [{ start: '07:00', end: '16:00' }]   (tom = hela dygnet)
+ *   }
+ *
+ * A window whose end is before its start spans midnight and belongs to
+ * the weekday it starts on (Fri 22:00-02:00 runs into Saturday). All times are
+ * local to the server. The rules themselves are in public/js/slide-schedule.js,
+ * which the display also uses while it is offline.
+ */
+class SlideScheduler {
+    constructor(options = {}) {
+        this.tickInterval = options.tickInterval || 60000;
+        this.timer = null;
+        this.lastSignature = null;
+    }
+
+    // Validerar och normaliserar ett schema från API:et. Kastar vid fel.
+    normalize(schedule) {
+        if (schedule === null || schedule === undefined) return null;
+        if (typeof schedule !== 'object' || Array.isArray(schedule)) {
+            throw new Error('schedule must be an object or null');
+        }
+
+        const result = {
+            validFrom: this.normalizeDate(schedule.validFrom, 'validFrom'),
+            validUntil: this.normalizeDate(schedule.validUntil, 'validUntil'),
+            weekdays: [],
+            timeWindows: []
+        };
+
+        if (result.validFrom && result.validUntil &&
+            this.parseDate(result.validFrom, false) > this.parseDate(result.validUntil, true)) {
+            throw new Error('validFrom must be before validUntil');
+        }
+
+        if (schedule.weekdays !== undefined && schedule.weekdays !== null) {
+            if (!Array.isArray(schedule.weekdays) ||
+                !schedule.weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+                throw new Error('weekdays must be an array of integers 0-6 (0 = Sunday)');
+            }
+            result.weekdays = [...new Set(schedule.weekdays)].sort();
+        }
+
+        if (schedule.timeWindows !== undefined && schedule.timeWindows !== null) {
+            if (!Array.isArray(schedule.timeWindows)) throw new Error('timeWindows must be an array');
+
+            result.timeWindows = schedule.timeWindows.map(window => {
+                if (!window || !this.isTime(window.start) || !this.isTime(window.end)) {
+                    throw new Error('timeWindows entries need start and end as HH:MM');
+                }
+                if (window.start === window.end) throw new Error('timeWindows start and end must differ');
+                return { start: window.start, end: window.end };
+            });
+        }
+
+        const empty = !result.validFrom && !result.validUntil &&
+            result.weekdays.length === 0 && result.timeWindows.length === 0;
+        return empty ? null : result;
+    }
+
+    normalizeDate(value, field) {
+        if (value === null || value === undefined || value === '') return null;
+        if (typeof value !== 'string' || isNaN(this.parseDate(value, false))) {
+            throw new Error(`${field} must be a date (YYYY-MM-DD) or ISO datetime`);
+        }
+        return value;
+    }
+
+    parseDate(value, endOfDay) {
+        return SlideSchedule.parseDate(value, endOfDay);
+    }
+
+    isTime(value) {
+        return SlideSchedule.isTime(value);
+    }
+
+    isEligible(image, now = new Date()) {
+        return SlideSchedule.isEligible(image, now);
+    }
+
+    filter(images, now = new Date()) {
+        return images.filter(image => this.isEligible(image, now));
+    }
+
+    // Anropar onChange när mängden visningsbara bilder ändras (fönster öppnas/stängs)
+    start(getImages, onChange) {
+        this.stop();
+        this.lastSignature = this.signature(this.filter(getImages()));
+
+        const tick = () => {
+            const eligible = this.filter(getImages());
+            const signature = this.signature(eligible);
+
+            if (signature !== this.lastSignature) {
+                this.lastSignature = signature;
+                onChange(eligible);
+            }
+        };
+
+        // Synka mot minutgränsen så att HH:MM-fönster slår om i tid
+        const delay = this.tickInterval - (Date.now() % this.tickInterval) + 1000;
+        this.timer = setTimeout(() => {
+            tick();
+            this.timer = setInterval(tick, this.tickInterval);
+        }, delay);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Återställer baslinjen efter att listan skickats ut av annan anledning
+    markBroadcast(images) {
+        this.lastSignature = this.signature(this.filter(images));
+    }
+
+    signature(images) {
+        return images.map(image => image.id).join(',');
+    }
+}
+
+module.exports = SlideScheduler;
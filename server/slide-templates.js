@@ -0,0 +1,129 @@
+/**
+ * Slides authored in the admin panel instead of uploaded as files. They are
+ * stored in the image catalog with `type: 'template'` and a `template`
+ * object that index.html renders natively:
+ *
+ *   {
+ *     layout:  'headline' | 'image-caption' | 'list' | 'qr',
+ *     headline: 'Välkommen!',
+ *     body:     'Text under rubriken / bildtext / text bredvid QR-koden',
+ *     items:    ['Punkt 1', 'Punkt 2'],            (list)
+ *     imageId:  12,                                 (image-caption, bild i biblioteket)
+ *     qrData:   'https://example.com',              (qr)
+ *     theme:    { background, text, accent, font }  (färger/typsnitt från config.branding)
+ *   }
+ */
+
+const LAYOUTS = ['headline', 'image-caption', 'list', 'qr'];
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+const DEFAULT_BRANDING = {
+    colors: ['#1e3c72', '#2a5298', '#ffffff', '#f39c12', '#222222'],
+    fonts: ["'Segoe UI', Tahoma, Geneva, Verdana, sans-serif"]
+};
+
+class SlideTemplates {
+    constructor(branding = {}) {
+        this.configure(branding);
+    }
+
+    configure(branding = {}) {
+        this.branding = {
+            colors: branding.colors && branding.colors.length > 0 ? branding.colors : DEFAULT_BRANDING.colors,
+            fonts: branding.fonts && branding.fonts.length > 0 ? branding.fonts : DEFAULT_BRANDING.fonts
+        };
+    }
+
+    defaultTheme() {
+        const [background, accent] = this.branding.colors;
+        return {
+            background,
+            text: '#ffffff',
+            accent: accent || background,
+            font: this.branding.fonts[0]
+        };
+    }
+
+    // Validerar och normaliserar en mall från API:et. Kastar med läsbart meddelande vid fel.
+    normalize(template, { imageExists = () => true } = {}) {
+        if (!template || typeof template !== 'object' || Array.isArray(template)) {
+            throw new Error('template must be an object');
+        }
+        if (!LAYOUTS.includes(template.layout)) {
+            throw new Error(`template.layout must be one of ${LAYOUTS.join(', ')}`);
+        }
+
+        const result = {
+            layout: template.layout,
+            headline: this.text(template.headline, 'headline', 120),
+            body: this.text(template.body, 'body', 1000),
+            theme: this.normalizeTheme(template.theme)
+        };
+
+        switch (template.layout) {
+            case 'headline':
+                if (!result.headline) throw new Error('template.headline is required');
+                break;
+
+            case 'image-caption': {
+                const imageId = Number(template.imageId);
+                if (!Number.isInteger(imageId) || !imageExists(imageId)) {
+                    throw new Error('template.imageId must be an image in the library');
+                }
+                result.imageId = imageId;
+                break;
+            }
+
+            case 'list': {
+                if (!Array.isArray(template.items)) throw new Error('template.items must be an array');
+                result.items = template.items
+                    .map((item, index) => this.text(item, `items[${index}]`, 200))
+                    .filter(Boolean);
+                if (result.items.length === 0) throw new Error('template.items needs at least one entry');
+                if (result.items.length > 12) throw new Error('template.items can have at most 12 entries');
+                break;
+            }
+
+            case 'qr':
+                result.qrData = this.text(template.qrData, 'qrData', 500);
+                if (!result.qrData) throw new Error('template.qrData is required');
+                break;
+        }
+
+        return result;
+    }
+
+    normalizeTheme(theme = {}) {
+        if (theme === null || typeof theme !== 'object') throw new Error('template.theme must be an object');
+        const result = { ...this.defaultTheme() };
+
+        for (const key of ['background', 'text', 'accent']) {
+            if (theme[key] === undefined) continue;
+            if (typeof theme[key] !== 'string' || !HEX_COLOR.test(theme[key])) {
+                throw new Error(`template.theme.${key} must be a colour like #1e3c72`);
+            }
+            result[key] = theme[key].toLowerCase();
+        }
+
+        if (theme.font !== undefined) {
+            if (!this.branding.fonts.includes(theme.font)) {
+                throw new Error('template.theme.font must be one of the brand fonts');
+            }
+            result.font = theme.font;
+        }
+
+        return result;
+    }
+
+    text(value, field, maxLength) {
+        if (value === undefined || value === null) return '';
+        if (typeof value !== 'string') throw new Error(`template.${field} must be a string`);
+        const text = value.trim();
+        if (text.length > maxLength) throw new Error(`template.${field} must be at most ${maxLength} characters`);
+        return text;
+    }
+}
+
+SlideTemplates.LAYOUTS = LAYOUTS;
+
+module.exports = SlideTemplates;
@@ -1,16 +1,40 @@
 const sharp = require('sharp');
 const fs = require('fs').promises;
+const { watch } = require('fs');
 const path = require('path');
+const EventEmitter = require('events');
 
-class ThumbnailGenerator {
-    constructor() {
+/**
+ * Creates thumbnails in images.thumbnailsDirectory. Runs either as a one-shot
+ * CLI (node server/thumbnail-generator.js) or as a service inside the web
+ * server: start() queues thumbnails that are missing or older than their
+ * image and then watches images.directory, so files that are added, replaced
+ * or removed (also by hand over SSH) get their thumbnail updated. Jobs run
+ * `concurrency` at a time and are retried `retries` times before they fail.
+ * Images are files with one of `allowedExtensions`; videos (`videoExtensions`)
+ * get their thumbnail `<video>.jpg` from the video processor, so the service
+ * only removes it when the video is deleted.
+ *
+ * Events: 'job-updated' (job), 'failed' (job, error)
+ */
+class ThumbnailGenerator extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        
         this.config = {
             imagesDir: './images',
             thumbnailsDir: './thumbnails',
             width: 400,
             height: 300,
             quality: 80,
-            format: 'jpeg'
+            format: 'jpeg',
+            allowedExtensions: ['.jpg', '.jpeg', '.png', '.gif'],
+            videoExtensions: [],
+            concurrency: 2,
+            retries: 2,
+            retryDelay: 2000,
+            watchDelay: 500,
+            ...options
         };
         
         this.stats = {
@@ -19,6 +43,12 @@ class ThumbnailGenerator {
             failed: 0,
             startTime: null
         };
+        
+        this.jobs = [];
+        this.running = 0;
+        this.jobCount = 0;
+        this.watcher = null;
+        this.watchTimers = new Map();
     }
     
     async init() {
@@ -52,6 +82,10 @@ class ThumbnailGenerator {
                 this.config.width = config.images.thumbnailWidth || this.config.width;
                 this.config.height = config.images.thumbnailHeight || this.config.height;
                 this.config.quality = config.images.quality || this.config.quality;
+                this.config.allowedExtensions = config.images.allowedExtensions || this.config.allowedExtensions;
+            }
+            if (config.video && config.video.enabled !== false) {
+                this.config.videoExtensions = config.video.allowedExtensions || ['.mp4', '.webm'];
             }
             
             console.log('✅ Configuration loaded:');
@@ -85,10 +119,7 @@ class ThumbnailGenerator {
             const files = await fs.readdir(this.config.imagesDir);
             
             // Filter for image files
-            const imageFiles = files.filter(file => {
-                const ext = path.extname(file).toLowerCase();
-                return ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp'].includes(ext);
-            });
+            const imageFiles = files.filter(file => this.isImage(file));
             
             if (imageFiles.length === 0) {
                 console.log('ℹ️  No images found in', this.config.imagesDir);
@@ -127,23 +158,15 @@ class ThumbnailGenerator {
         }
     }
     
-    async generateThumbnail(filename) {
-        const inputPath = path.join(this.config.imagesDir, filename);
-        const outputPath = path.join(this.config.thumbnailsDir, filename);
+    // options.source: annan källbild (videons affischbild), options.thumbnail: annat namn på miniatyren
+    async generateThumbnail(filename, options = {}) {
+        const inputPath = options.source || path.join(this.config.imagesDir, filename);
+        const outputPath = path.join(this.config.thumbnailsDir, options.thumbnail || filename);
         
-        // Check if thumbnail already exists and is up to date
-        try {
-            const inputStats = await fs.stat(inputPath);
-            const outputStats = await fs.stat(outputPath).catch(() => null);
-            
-            // Skip if thumbnail exists and is newer than source
-            if (outputStats && outputStats.mtime >= inputStats.mtime) {
-                this.stats.skipped++;
-                return { skipped: true, filename };
-            }
-            
-        } catch (error) {
-            // File doesn't exist or other error, proceed with generation
+        // Skip if thumbnail exists and is newer than source
+        if (await this.isFresh(inputPath, outputPath)) {
+            this.stats.skipped++;
+            return { skipped: true, filename };
         }
         
         try {
@@ -188,6 +211,30 @@ class ThumbnailGenerator {
         }
     }
     
+    async isFresh(inputPath, outputPath) {
+        try {
+            const inputStats = await fs.stat(inputPath);
+            const outputStats = await fs.stat(outputPath).catch(() => null);
+            return Boolean(outputStats && outputStats.mtime >= inputStats.mtime);
+        } catch (error) {
+            // File doesn't exist or other error, proceed with generation
+            return false;
+        }
+    }
+    
+    isImage(filename) {
+        return this.config.allowedExtensions.includes(path.extname(filename).toLowerCase());
+    }
+    
+    isVideo(filename) {
+        return this.config.videoExtensions.includes(path.extname(filename).toLowerCase());
+    }
+    
+    // Videominiatyrer heter <video>.jpg
+    thumbnailName(filename) {
+        return this.isVideo(filename) ? `${filename}.jpg` : filename;
+    }
+    
     async cleanupOrphanedThumbnails() {
         try {
             const imageFiles = await fs.readdir(this.config.imagesDir);
@@ -197,7 +244,9 @@ class ThumbnailGenerator {
             let deletedCount = 0;
             
             for (const thumbnail of thumbnailFiles) {
-                if (!imageSet.has(thumbnail)) {
+                // Videominiatyrer heter <video>.jpg
+                const source = imageSet.has(thumbnail) || imageSet.has(thumbnail.replace(/\.jpg$/, ''));
+                if (!source) {
                     const thumbnailPath = path.join(this.config.thumbnailsDir, thumbnail);
                     await fs.unlink(thumbnailPath);
                     deletedCount++;
@@ -249,15 +298,182 @@ class ThumbnailGenerator {
         }
     }
     
+    // Tjänstläget: köar miniatyrer som saknas eller är inaktuella och bevakar sedan bildmappen
+    async start() {
+        await this.ensureDirectories();
+        
+        const files = await fs.readdir(this.config.imagesDir);
+        let queued = 0;
+        for (const filename of files.filter(file => this.isImage(file))) {
+            const inputPath = path.join(this.config.imagesDir, filename);
+            if (await this.isFresh(inputPath, path.join(this.config.thumbnailsDir, filename))) continue;
+            this.enqueue(filename, { reason: 'startup' });
+            queued++;
+        }
+        if (queued > 0) console.log(`🖼️  Queued ${queued} missing thumbnail(s)`);
+        
+        this.watch();
+    }
+    
+    stop() {
+        if (this.watcher) this.watcher.close();
+        this.watcher = null;
+        for (const timer of this.watchTimers.values()) clearTimeout(timer);
+        this.watchTimers.clear();
+    }
+    
+    // Undermappar (renditions, trash, versioner m.m.) rapporteras bara med sitt eget namn och filtreras bort
+    watch() {
+        if (this.watcher) return;
+        
+        try {
+            this.watcher = watch(this.config.imagesDir, (eventType, filename) => {
+                if (filename && (this.isImage(filename) || this.isVideo(filename))) this.scheduleCheck(filename);
+            });
+            this.watcher.on('error', error => console.warn('⚠️  Thumbnail watcher failed:', error.message));
+            console.log(`👀 Watching ${this.config.imagesDir} for thumbnails`);
+        } catch (error) {
+            console.warn('⚠️  Could not watch images directory:', error.message);
+        }
+    }
+    
+    // En uppladdning ger många händelser medan filen skrivs; kontrollera när det varit tyst en stund
+    scheduleCheck(filename) {
+        clearTimeout(this.watchTimers.get(filename));
+        this.watchTimers.set(filename, setTimeout(() => {
+            this.watchTimers.delete(filename);
+            this.checkFile(filename).catch(error => console.warn(`⚠️  Thumbnail check failed for ${filename}:`, error.message));
+        }, this.config.watchDelay));
+    }
+    
+    async checkFile(filename) {
+        const inputPath = path.join(this.config.imagesDir, filename);
+        const stats = await fs.stat(inputPath).catch(() => null);
+        
+        if (!stats) {
+            await this.removeThumbnail(filename);
+        } else if (stats.isFile() && this.isImage(filename) && !await this.isFresh(inputPath, path.join(this.config.thumbnailsDir, filename))) {
+            this.enqueue(filename, { reason: 'watch' });
+        }
+    }
+    
+    async removeThumbnail(filename) {
+        try {
+            await fs.unlink(path.join(this.config.thumbnailsDir, this.thumbnailName(filename)));
+            console.log(`🧹 Removed thumbnail for ${filename}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+    
+    // Ett jobb som redan väntar på samma miniatyr återanvänds; ett som körs kan ha läst en äldre fil
+    enqueue(filename, options = {}) {
+        const thumbnail = options.thumbnail || filename;
+        const existing = this.jobs.find(job => job.thumbnail === thumbnail && ['queued', 'retrying'].includes(job.status));
+        if (existing) return existing;
+        
+        const job = {
+            id: `thumbnail-${Date.now()}-${++this.jobCount}`,
+            filename,
+            thumbnail,
+            source: options.source || null,
+            reason: options.reason || 'request',
+            status: 'queued',
+            attempts: 0,
+            skipped: false,
+            error: null,
+            created: new Date().toISOString(),
+            finished: null
+        };
+        
+        this.jobs.push(job);
+        this.trimHistory();
+        this.emit('job-updated', job);
+        this.runNext();
+        return job;
+    }
+    
+    // Som enqueue, men väntar tills jobbet är klart eller slutgiltigt misslyckat
+    generate(filename, options = {}) {
+        const job = this.enqueue(filename, options);
+        
+        return new Promise((resolve) => {
+            const onUpdate = (updated) => {
+                if (updated !== job || !['done', 'failed'].includes(job.status)) return;
+                this.off('job-updated', onUpdate);
+                resolve(job);
+            };
+            this.on('job-updated', onUpdate);
+        });
+    }
+    
+    getJobs() {
+        return this.jobs;
+    }
+    
+    // Behåll avslutade jobb en stund för status-API:et
+    trimHistory() {
+        const finished = this.jobs.filter(job => job.finished);
+        if (finished.length > 50) {
+            const drop = new Set(finished.slice(0, finished.length - 50));
+            this.jobs = this.jobs.filter(job => !drop.has(job));
+        }
+    }
+    
+    runNext() {
+        while (this.running < this.config.concurrency) {
+            const job = this.jobs.find(j => j.status === 'queued');
+            if (!job) return;
+            
+            this.running++;
+            job.status = 'running';
+            job.attempts++;
+            this.emit('job-updated', job);
+            
+            this.generateThumbnail(job.filename, { source: job.source, thumbnail: job.thumbnail })
+                .then((result) => {
+                    job.status = 'done';
+                    job.skipped = Boolean(result.skipped);
+                    job.error = null;
+                    job.finished = new Date().toISOString();
+                    this.emit('job-updated', job);
+                })
+                .catch(error => this.retryOrFail(job, error))
+                .finally(() => {
+                    this.running--;
+                    this.runNext();
+                });
+        }
+    }
+    
+    // Filen kan fortfarande skrivas när jobbet körs, så ett fel försöks igen med växande paus
+    retryOrFail(job, error) {
+        job.error = error.message;
+        
+        if (job.attempts <= this.config.retries) {
+            job.status = 'retrying';
+            this.emit('job-updated', job);
+            setTimeout(() => {
+                job.status = 'queued';
+                this.runNext();
+            }, this.config.retryDelay * job.attempts);
+            return;
+        }
+        
+        job.status = 'failed';
+        job.finished = new Date().toISOString();
+        this.stats.failed++;
+        console.error(`❌ Thumbnail failed for ${job.filename}:`, error.message);
+        this.emit('job-updated', job);
+        this.emit('failed', job, error);
+    }
+    
     // Method to regenerate all thumbnails (force)
     async regenerateAll() {
         console.log('🔄 Forcing regeneration of all thumbnails...');
         
         const files = await fs.readdir(this.config.imagesDir);
-        const imageFiles = files.filter(file => {
-            const ext = path.extname(file).toLowerCase();
-            return ['.jpg', '.jpeg', '.png', '.gif'].includes(ext);
-        });
+        const imageFiles = files.filter(file => this.isImage(file));
         
         let success = 0;
         let failed = 0;
@@ -0,0 +1,162 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const JsonFile = require('./json-file');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Deleted slides are moved here instead of being unlinked. The catalog
+ * record, the playlists the slide was in and its files (original,
+ * thumbnail, poster, renditions, versions) are kept for `retentionDays`
+ * so a mis-tap can be undone. Files live in images/trash/<entry id>/ and
+ * are remembered relative to a named root ('images', 'thumbnails').
+ */
+class TrashStore {
+    constructor(filePath, options = {}) {
+        this.file = new JsonFile(filePath);
+        this.directory = options.directory;
+        this.roots = options.roots || {};
+        this.retentionDays = options.retentionDays || 30;
+        this.entries = [];
+    }
+
+    async load() {
+        const data = await this.file.read({});
+        this.entries = Array.isArray(data.entries) ? data.entries : [];
+        return this.entries;
+    }
+
+    save() {
+        return this.file.write({
+            version: 1,
+            entries: this.entries
+        });
+    }
+
+    // Senast borttagna först
+    list() {
+        return this.entries.slice().reverse();
+    }
+
+    get(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    // files: [{ root: 'images', path: 'bild.jpg' }]; filer som inte finns hoppas över
+    async add(image, { files = [], playlists = [], deletedBy = null } = {}) {
+        const id = crypto.randomBytes(6).toString('hex');
+        const entryDir = path.join(this.directory, id);
+        const stored = [];
+
+        await fs.mkdir(entryDir, { recursive: true });
+        for (const [index, file] of files.entries()) {
+            const name = `${index + 1}-${path.basename(file.path)}`;
+            let source;
+            try {
+                source = this.resolve(file);
+            } catch (error) {
+                console.warn(`⚠️  Not moving ${file.path} to trash:`, error.message);
+                continue;
+            }
+            const moved = await this.move(source, path.join(entryDir, name));
+            if (moved) stored.push({ ...file, stored: name });
+        }
+
+        const now = new Date();
+        const entry = {
+            id,
+            image,
+            playlists,
+            files: stored,
+            deletedAt: now.toISOString(),
+            deletedBy,
+            expiresAt: new Date(now.getTime() + this.retentionDays * DAY).toISOString()
+        };
+
+        this.entries.push(entry);
+        await this.save();
+        return entry;
+    }
+
+    // Filer som inte kan läggas tillbaka för att en fil med samma namn har tillkommit
+    async conflicts(id) {
+        const entry = this.get(id);
+        if (!entry) return [];
+
+        const conflicts = [];
+        for (const file of entry.files) {
+            const exists = await fs.access(this.resolve(file)).then(() => true, () => false);
+            if (exists) conflicts.push(file.path);
+        }
+        return conflicts;
+    }
+
+    async restore(id) {
+        const entry = this.get(id);
+        if (!entry) return null;
+
+        const conflicts = await this.conflicts(id);
+        if (conflicts.length > 0) throw new Error(`${conflicts.join(', ')} already exists`);
+
+        for (const file of entry.files) {
+            const target = this.resolve(file);
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await this.move(path.join(this.directory, entry.id, file.stored), target);
+        }
+
+        await fs.rm(path.join(this.directory, entry.id), { recursive: true, force: true });
+        this.entries = this.entries.filter(e => e !== entry);
+        await this.save();
+        return entry;
+    }
+
+    async purge(id) {
+        const entry = this.get(id);
+        if (!entry) return null;
+
+        await fs.rm(path.join(this.directory, entry.id), { recursive: true, force: true });
+        this.entries = this.entries.filter(e => e !== entry);
+        await this.save();
+        return entry;
+    }
+
+    async purgeExpired(now = new Date()) {
+        const expired = this.entries.filter(entry => new Date(entry.expiresAt) <= now);
+        for (const entry of expired) await this.purge(entry.id);
+        return expired;
+    }
+
+    async empty() {
+        const entries = this.entries.slice();
+        for (const entry of entries) await this.purge(entry.id);
+        return entries;
+    }
+
+    resolve(file) {
+        const root = this.roots[file.root];
+        if (!root) throw new Error(`Unknown trash root: ${file.root}`);
+
+        // Sökvägarna kommer från bildkatalogen och får inte leda ut ur sin rot
+        const resolved = path.resolve(root, String(file.path));
+        if (!resolved.startsWith(path.resolve(root) + path.sep)) {
+            throw new Error(`Path outside ${file.root}: ${file.path}`);
+        }
+        return resolved;
+    }
+
+    // rename fungerar inte mellan filsystem (t.ex. miniatyrer på annan disk)
+    async move(from, to) {
+        try {
+            await fs.rename(from, to);
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            if (error.code !== 'EXDEV') throw error;
+            await fs.copyFile(from, to);
+            await fs.unlink(from);
+        }
+        return true;
+    }
+}
+
+module.exports = TrashStore;
@@ -0,0 +1,101 @@
+const http = require('http');
+const WebSocket = require('ws');
+
+/**
+ * Talks to the update service (node auto-update.js) on its control server
+ * at 127.0.0.1:update.controlPort. The service does the actual work and
+ * restarts this server during an update, so /update-manager reaches it
+ * through the REST routes and event stream in webserver.js.
+ */
+class UpdateClient {
+    constructor(config = {}) {
+        this.configure(config);
+    }
+
+    configure(config = {}) {
+        this.host = '127.0.0.1';
+        this.port = config.controlPort || 8083;
+        this.timeout = 30000;
+    }
+
+    // Svarar { status, data }; kastar om tjänsten inte går att nå
+    request(method, pathname, body = null) {
+        const payload = body ? JSON.stringify(body) : null;
+
+        return new Promise((resolve, reject) => {
+            const request = http.request({
+                host: this.host,
+                port: this.port,
+                path: pathname,
+                method,
+                headers: payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {},
+                timeout: this.timeout
+            }, (response) => {
+                const chunks = [];
+                response.on('data', chunk => chunks.push(chunk));
+                response.on('end', () => {
+                    try {
+                        resolve({ status: response.statusCode, data: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+                    } catch (error) {
+                        reject(new Error('Invalid response from update service'));
+                    }
+                });
+            });
+
+            request.on('timeout', () => request.destroy(new Error('Update service did not respond')));
+            request.on('error', (error) => {
+                reject(error.code === 'ECONNREFUSED' ? new Error('Update service is not running') : error);
+            });
+            if (payload) request.write(payload);
+            request.end();
+        });
+    }
+
+    // Strömmar förfrågan och svaret rakt igenom (export och import kan vara flera hundra MB)
+    pipe(method, pathname, req, res) {
+        return new Promise((resolve, reject) => {
+            const headers = {};
+            for (const header of ['content-type', 'content-length']) {
+                if (req.headers[header]) headers[header] = req.headers[header];
+            }
+
+            const request = http.request({ host: this.host, port: this.port, path: pathname, method, headers }, (response) => {
+                res.status(response.statusCode);
+                for (const header of ['content-type', 'content-length', 'content-disposition']) {
+                    if (response.headers[header]) res.set(header, response.headers[header]);
+                }
+                response.pipe(res);
+                response.on('end', () => resolve(response.statusCode));
+                response.on('error', reject);
+            });
+
+            request.on('error', (error) => {
+                reject(error.code === 'ECONNREFUSED' ? new Error('Update service is not running') : error);
+            });
+            if (method === 'GET') request.end();
+            else req.pipe(request);
+        });
+    }
+
+    async status() {
+        try {
+            return (await this.request('GET', '/status')).data;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Tjänsten läser om config.json; ändrad controlPort kräver ändå omstart av tjänsten
+    async reload() {
+        const { status, data } = await this.request('POST', '/reload');
+        if (status !== 200) throw new Error(data.error || `Update service answered ${status}`);
+        return data;
+    }
+
+    // Förloppet från broadcastUpdateStatus() i auto-update.js
+    connect() {
+        return new WebSocket(`ws://${this.host}:${this.port}/ws/update`);
+    }
+}
+
+module.exports = UpdateClient;
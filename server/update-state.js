@@ -0,0 +1,83 @@
+const path = require('path');
+const JsonFile = require('./json-file');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_DEFERRAL_DAYS = 30;
+
+/**
+ * Update state shared between auto-update.js and the admin API, in two
+ * files so that each process only writes its own:
+ *
+ *   data/update-pending.json   written by auto-update.js: a release that was
+ *                              found but is waiting for a maintenance window
+ *                              or a deferral to run out
+ *   data/update-deferral.json  written by webserver.js: "defer until" set
+ *                              from the admin panel
+ */
+class UpdateState {
+    constructor(directory) {
+        this.pendingFile = new JsonFile(path.join(directory, 'update-pending.json'));
+        this.deferralFile = new JsonFile(path.join(directory, 'update-deferral.json'));
+    }
+
+    async pending() {
+        const data = await this.pendingFile.read({});
+        return data.pending || null;
+    }
+
+    // release: { version, emergency, releaseNotes, publishedAt }
+    async setPending(release, reason) {
+        const current = await this.pending();
+        const pending = {
+            ...release,
+            reason,
+            foundAt: current && current.version === release.version ? current.foundAt : new Date().toISOString(),
+            checkedAt: new Date().toISOString()
+        };
+
+        await this.pendingFile.write({ version: 1, pending });
+        return pending;
+    }
+
+    clearPending() {
+        return this.pendingFile.write({ version: 1, pending: null });
+    }
+
+    // Uppskjutningen gäller tills den går ut eller tas bort
+    async deferral(now = new Date()) {
+        const data = await this.deferralFile.read({});
+        const deferral = data.deferral || null;
+        if (!deferral || new Date(deferral.until) <= now) return null;
+        return deferral;
+    }
+
+    async isDeferred(now = new Date()) {
+        return Boolean(await this.deferral(now));
+    }
+
+    // Validerar indata från API:et. Kastar med läsbart meddelande vid fel.
+    async defer(until, deferredBy = null) {
+        const date = new Date(until);
+        if (!until || Number.isNaN(date.getTime())) throw new Error('until must be a date');
+        if (date <= new Date()) throw new Error('until must be in the future');
+        if (date - Date.now() > MAX_DEFERRAL_DAYS * DAY) {
+            throw new Error(`Updates can be deferred at most ${MAX_DEFERRAL_DAYS} days`);
+        }
+
+        const deferral = {
+            until: date.toISOString(),
+            deferredAt: new Date().toISOString(),
+            deferredBy
+        };
+        await this.deferralFile.write({ version: 1, deferral });
+        return deferral;
+    }
+
+    async clearDeferral() {
+        const deferral = await this.deferral();
+        await this.deferralFile.write({ version: 1, deferral: null });
+        return deferral;
+    }
+}
+
+module.exports = UpdateState;
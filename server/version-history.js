@@ -0,0 +1,91 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Earlier files of a slide whose image has been replaced. The old original
+ * is moved to images/versions/<image id>/ and described in the catalog
+ * record's `versions` array (oldest first); at most `maxVersions` are kept.
+ */
+class VersionHistory {
+    constructor(imagesDir, options = {}) {
+        this.imagesDir = imagesDir;
+        this.directory = options.directory || path.join(imagesDir, 'versions');
+        this.maxVersions = options.maxVersions || 10;
+    }
+
+    // Flyttar postens nuvarande fil till versionsmappen och returnerar versionsposten
+    async archive(image, replacedBy = null) {
+        const versions = image.versions || [];
+        const number = versions.reduce((max, version) => Math.max(max, version.version), 0) + 1;
+        const dir = path.join(this.directory, String(image.id));
+        const filename = `${number}-${image.filename}`;
+
+        await fs.mkdir(dir, { recursive: true });
+        await fs.rename(path.join(this.imagesDir, image.filename), path.join(dir, filename));
+
+        return {
+            version: number,
+            file: path.relative(this.imagesDir, path.join(dir, filename)).split(path.sep).join('/'),
+            filename: image.filename,
+            originalname: image.originalname,
+            size: image.size,
+            checksum: image.checksum,
+            uploaded: image.uploaded,
+            replacedAt: new Date().toISOString(),
+            replacedBy
+        };
+    }
+
+    // Flyttar tillbaka en version under sitt ursprungliga filnamn
+    async restore(version) {
+        const target = this.resolve(version.filename, this.imagesDir);
+        const exists = await fs.access(target).then(() => true, () => false);
+        if (exists) throw new Error(`${version.filename} already exists`);
+
+        await fs.rename(this.resolve(version.file, this.directory), target);
+        return version.filename;
+    }
+
+    async remove(version) {
+        try {
+            await fs.unlink(this.resolve(version.file, this.directory));
+        } catch (error) {
+            // Redan borttagen, eller en sökväg utanför versionsmappen som aldrig rörs
+        }
+    }
+
+    // Tom mapp kvar när versionerna flyttats till papperskorgen
+    async clear(image) {
+        await fs.rm(path.join(this.directory, String(image.id)), { recursive: true, force: true });
+    }
+
+    // Versioner utöver maxVersions, äldst först
+    overflow(versions) {
+        return versions.slice(0, Math.max(0, versions.length - this.maxVersions));
+    }
+
+    // Versionsfiler utanför versionsmappen tas inte med
+    filePaths(image) {
+        return (image.versions || [])
+            .filter((version) => {
+                try {
+                    this.resolve(version.file, this.directory);
+                    return true;
+                } catch (error) {
+                    return false;
+                }
+            })
+            .map(version => version.file);
+    }
+
+    // version.file är relativ till bildmappen och kommer från katalogen; den får inte peka ut ur root
+    resolve(file, root) {
+        const resolved = path.resolve(this.imagesDir, String(file));
+        if (!resolved.startsWith(path.resolve(root) + path.sep)) {
+            throw new Error(`Path outside ${path.basename(root)}: ${file}`);
+        }
+        return resolved;
+    }
+}
+
+module.exports = VersionHistory;
@@ -0,0 +1,275 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+const util = require('util');
+const EventEmitter = require('events');
+const execFileAsync = util.promisify(execFile);
+
+/**
+ * Probes uploaded videos, transcodes them when needed into a profile the
+ * Raspberry Pi can hardware-decode (H.264 High@4.1, yuv420p, ≤1080p, ≤30 fps,
+ * MP4 with faststart) and extracts a poster frame. Jobs run one at a time.
+ *
+ * Events: 'job-updated' (job), 'completed' (job, result), 'failed' (job, error)
+ */
+class VideoProcessor extends EventEmitter {
+    constructor(config = {}, options = {}) {
+        super();
+
+        this.config = {
+            maxWidth: 1920,
+            maxHeight: 1080,
+            maxFps: 30,
+            maxBitrate: '8M',
+            crf: 23,
+            ffmpegPath: 'ffmpeg',
+            ffprobePath: 'ffprobe',
+            ...config
+        };
+
+        this.imagesDir = options.imagesDir;
+        this.postersDir = options.postersDir || path.join(this.imagesDir, 'posters');
+        this.concurrency = options.concurrency || 1;
+
+        this.jobs = [];
+        this.running = 0;
+    }
+
+    enqueue(image) {
+        const existing = this.jobs.find(job => job.imageId === image.id && ['queued', 'running'].includes(job.status));
+        if (existing) return existing;
+
+        const job = {
+            id: `video-${image.id}-${Date.now()}`,
+            imageId: image.id,
+            filename: image.filename,
+            status: 'queued',
+            stage: null,
+            progress: 0,
+            error: null,
+            created: new Date().toISOString(),
+            finished: null
+        };
+
+        this.jobs.push(job);
+        this.trimHistory();
+        this.emit('job-updated', job);
+        this.runNext();
+        return job;
+    }
+
+    getJobs() {
+        return this.jobs;
+    }
+
+    // Behåll avslutade jobb en stund för status-API:et
+    trimHistory() {
+        const finished = this.jobs.filter(job => job.finished);
+        if (finished.length > 50) {
+            const drop = new Set(finished.slice(0, finished.length - 50));
+            this.jobs = this.jobs.filter(job => !drop.has(job));
+        }
+    }
+
+    runNext() {
+        if (this.running >= this.concurrency) return;
+
+        const job = this.jobs.find(j => j.status === 'queued');
+        if (!job) return;
+
+        this.running++;
+        job.status = 'running';
+        this.emit('job-updated', job);
+
+        this.process(job)
+            .then(result => {
+                job.status = 'done';
+                job.progress = 100;
+                job.finished = new Date().toISOString();
+                this.emit('job-updated', job);
+                this.emit('completed', job, result);
+            })
+            .catch(error => {
+                job.status = 'failed';
+                job.error = error.message;
+                job.finished = new Date().toISOString();
+                console.error(`❌ Video processing failed for ${job.filename}:`, error.message);
+                this.emit('job-updated', job);
+                this.emit('failed', job, error);
+            })
+            .finally(() => {
+                this.running--;
+                this.runNext();
+            });
+    }
+
+    async process(job) {
+        const inputPath = path.join(this.imagesDir, job.filename);
+
+        this.setStage(job, 'probing');
+        const probe = await this.probe(inputPath);
+
+        let outputFilename = job.filename;
+        let transcoded = false;
+
+        if (this.needsTranscode(probe, job.filename)) {
+            this.setStage(job, 'transcoding');
+            outputFilename = `${path.parse(job.filename).name}.mp4`;
+
+            const partPath = path.join(this.imagesDir, `${outputFilename}.part`);
+            await this.transcode(inputPath, partPath, probe, (progress) => {
+                job.progress = progress;
+                this.emit('job-updated', job);
+            });
+
+            await fs.rename(partPath, path.join(this.imagesDir, outputFilename));
+            if (outputFilename !== job.filename) {
+                await fs.unlink(inputPath).catch(() => {});
+            }
+            transcoded = true;
+        }
+
+        this.setStage(job, 'poster');
+        const outputPath = path.join(this.imagesDir, outputFilename);
+        const finalProbe = transcoded ? await this.probe(outputPath) : probe;
+        const poster = await this.extractPoster(outputPath, outputFilename, finalProbe.duration);
+
+        const stats = await fs.stat(outputPath);
+        return {
+            filename: outputFilename,
+            size: stats.size,
+            poster,
+            video: {
+                duration: finalProbe.duration,
+                width: finalProbe.width,
+                height: finalProbe.height,
+                codec: finalProbe.codec,
+                fps: finalProbe.fps,
+                hasAudio: finalProbe.hasAudio,
+                transcoded
+            }
+        };
+    }
+
+    setStage(job, stage) {
+        job.stage = stage;
+        this.emit('job-updated', job);
+    }
+
+    async probe(filePath) {
+        let stdout;
+        try {
+            ({ stdout } = await execFileAsync(this.config.ffprobePath, [
+                '-v', 'error',
+                '-print_format', 'json',
+                '-show_format',
+                '-show_streams',
+                filePath
+            ], { maxBuffer: 10 * 1024 * 1024 }));
+        } catch (error) {
+            throw new Error(`ffprobe failed: ${error.stderr || error.message}`);
+        }
+
+        const data = JSON.parse(stdout);
+        const video = (data.streams || []).find(stream => stream.codec_type === 'video');
+        if (!video) throw new Error('File contains no video stream');
+
+        const [num, den] = (video.avg_frame_rate || video.r_frame_rate || '0/1').split('/').map(Number);
+
+        return {
+            container: data.format ? data.format.format_name : '',
+            duration: Number(data.format && data.format.duration) || Number(video.duration) || 0,
+            codec: video.codec_name,
+            profile: video.profile,
+            pixFmt: video.pix_fmt,
+            width: video.width,
+            height: video.height,
+            fps: den ? Math.round((num / den) * 100) / 100 : 0,
+            hasAudio: (data.streams || []).some(stream => stream.codec_type === 'audio')
+        };
+    }
+
+    needsTranscode(probe, filename) {
+        const { maxWidth, maxHeight, maxFps } = this.config;
+
+        return path.extname(filename).toLowerCase() !== '.mp4' ||
+            probe.codec !== 'h264' ||
+            probe.pixFmt !== 'yuv420p' ||
+            /high 10|4:2:2|4:4:4/i.test(probe.profile || '') ||
+            probe.width > maxWidth ||
+            probe.height > maxHeight ||
+            probe.fps > maxFps + 0.5;
+    }
+
+    transcode(inputPath, outputPath, probe, onProgress) {
+        const { maxWidth, maxHeight, maxFps, maxBitrate, crf } = this.config;
+
+        // Skala ner till max-upplösning med jämna dimensioner (krav för yuv420p)
+        const filters = [
+            `scale='min(${maxWidth},iw)':'min(${maxHeight},ih)':force_original_aspect_ratio=decrease`,
+            'scale=trunc(iw/2)*2:trunc(ih/2)*2'
+        ];
+        if (probe.fps > maxFps + 0.5) filters.push(`fps=${maxFps}`);
+
+        const args = [
+            '-y', '-i', inputPath,
+            '-map', '0:v:0', '-map', '0:a:0?',
+            '-vf', filters.join(','),
+            '-c:v', 'libx264', '-profile:v', 'high', '-level:v', '4.1',
+            '-pix_fmt', 'yuv420p', '-preset', 'veryfast', '-crf', String(crf),
+            '-maxrate', maxBitrate, '-bufsize', `${parseInt(maxBitrate, 10) * 2}M`,
+            '-c:a', 'aac', '-b:a', '128k',
+            '-movflags', '+faststart',
+            '-progress', 'pipe:1', '-nostats',
+            '-f', 'mp4', outputPath
+        ];
+
+        return new Promise((resolve, reject) => {
+            const ffmpeg = spawn(this.config.ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+            let stderr = '';
+
+            ffmpeg.stdout.on('data', (chunk) => {
+                const match = chunk.toString().match(/out_time_ms=(\d+)/g);
+                if (match && probe.duration) {
+                    const micros = Number(match[match.length - 1].split('=')[1]);
+                    onProgress(Math.min(99, Math.round(micros / 1e6 / probe.duration * 100)));
+                }
+            });
+            ffmpeg.stderr.on('data', (chunk) => {
+                stderr = (stderr + chunk.toString()).slice(-2000);
+            });
+
+            ffmpeg.on('error', (error) => reject(new Error(`ffmpeg could not start: ${error.message}`)));
+            ffmpeg.on('close', (code) => {
+                if (code === 0) return resolve();
+                fs.unlink(outputPath).catch(() => {});
+                reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop()}`));
+            });
+        });
+    }
+
+    // Affischbild i full skärmstorlek, sparas under images/posters/
+    async extractPoster(videoPath, filename, duration) {
+        await fs.mkdir(this.postersDir, { recursive: true });
+
+        const posterName = `${filename}.jpg`;
+        const posterPath = path.join(this.postersDir, posterName);
+        const seek = duration > 2 ? 1 : 0;
+
+        try {
+            await execFileAsync(this.config.ffmpegPath, [
+                '-y', '-ss', String(seek), '-i', videoPath,
+                '-frames:v', '1',
+                '-vf', `scale='min(${this.config.maxWidth},iw)':-2`,
+                '-q:v', '3',
+                posterPath
+            ]);
+        } catch (error) {
+            throw new Error(`Poster extraction failed: ${error.stderr || error.message}`);
+        }
+
+        return path.relative(this.imagesDir, posterPath).split(path.sep).join('/');
+    }
+}
+
+module.exports = VideoProcessor;
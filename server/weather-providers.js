@@ -0,0 +1,254 @@
+const http = require('http');
+const https = require('https');
+
+// SMHI Wsymb2 (1-27) → OpenWeather-liknande huvudkategori och beskrivning
+const SMHI_SYMBOLS = {
+    1: ['Clear', 'Klart', 'Clear sky'],
+    2: ['Clear', 'Nästan klart', 'Nearly clear sky'],
+    3: ['Clouds', 'Växlande molnighet', 'Variable cloudiness'],
+    4: ['Clouds', 'Halvklart', 'Halfclear sky'],
+    5: ['Clouds', 'Molnigt', 'Cloudy sky'],
+    6: ['Clouds', 'Mulet', 'Overcast'],
+    7: ['Fog', 'Dimma', 'Fog'],
+    8: ['Rain', 'Lätta regnskurar', 'Light rain showers'],
+    9: ['Rain', 'Regnskurar', 'Moderate rain showers'],
+    10: ['Rain', 'Kraftiga regnskurar', 'Heavy rain showers'],
+    11: ['Thunderstorm', 'Åskväder', 'Thunderstorm'],
+    12: ['Rain', 'Lätta byar av snöblandat regn', 'Light sleet showers'],
+    13: ['Rain', 'Byar av snöblandat regn', 'Moderate sleet showers'],
+    14: ['Rain', 'Kraftiga byar av snöblandat regn', 'Heavy sleet showers'],
+    15: ['Snow', 'Lätta snöbyar', 'Light snow showers'],
+    16: ['Snow', 'Snöbyar', 'Moderate snow showers'],
+    17: ['Snow', 'Kraftiga snöbyar', 'Heavy snow showers'],
+    18: ['Drizzle', 'Lätt regn', 'Light rain'],
+    19: ['Rain', 'Regn', 'Moderate rain'],
+    20: ['Rain', 'Kraftigt regn', 'Heavy rain'],
+    21: ['Thunderstorm', 'Åska', 'Thunder'],
+    22: ['Rain', 'Lätt snöblandat regn', 'Light sleet'],
+    23: ['Rain', 'Snöblandat regn', 'Moderate sleet'],
+    24: ['Rain', 'Kraftigt snöblandat regn', 'Heavy sleet'],
+    25: ['Snow', 'Lätt snöfall', 'Light snowfall'],
+    26: ['Snow', 'Snöfall', 'Moderate snowfall'],
+    27: ['Snow', 'Kraftigt snöfall', 'Heavy snowfall']
+};
+
+function getJson(url, timeout = 15000) {
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+
+        const request = client.get(url, {
+            headers: { 'User-Agent': 'Själevads-Bygg-Info-Screen', 'Accept': 'application/json' },
+            timeout
+        }, (res) => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', (chunk) => data += chunk);
+            res.on('end', () => {
+                if (res.statusCode !== 200) {
+                    reject(new Error(`Weather API error: ${res.statusCode}`));
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(data));
+                } catch (error) {
+                    reject(new Error(`Failed to parse weather response: ${error.message}`));
+                }
+            });
+        });
+
+        request.on('timeout', () => request.destroy(new Error('Weather request timed out')));
+        request.on('error', (error) => reject(new Error(`Weather request failed: ${error.message}`)));
+    });
+}
+
+// Grupperar prognospunkter per lokalt datum till dygnsvärden
+function summarizeDays(points, days) {
+    const byDate = new Map();
+
+    for (const point of points) {
+        const date = new Date(point.time);
+        const key = date.toLocaleDateString('sv-SE');
+        if (!byDate.has(key)) byDate.set(key, []);
+        byDate.get(key).push(point);
+    }
+
+    return [...byDate.values()].slice(0, days).map(dayPoints => {
+        const temps = dayPoints.map(p => p.temp);
+        // Mitt på dagen representerar dygnet bäst
+        const midday = dayPoints.reduce((best, p) =>
+            Math.abs(new Date(p.time).getHours() - 12) < Math.abs(new Date(best.time).getHours() - 12) ? p : best);
+
+        return {
+            dt: Math.floor(new Date(midday.time).getTime() / 1000),
+            temp: {
+                day: midday.temp,
+                min: Math.min(...temps),
+                max: Math.max(...temps)
+            },
+            weather: [midday.weather]
+        };
+    });
+}
+
+class OpenWeatherProvider {
+    constructor(config) {
+        this.config = config;
+        this.baseUrl = config.baseUrl || 'https://api.openweathermap.org';
+    }
+
+    get name() {
+        return 'openweather';
+    }
+
+    buildUrl(endpoint) {
+        const { apiKey, city, country, units, language, latitude, longitude } = this.config;
+        const params = new URLSearchParams({ appid: apiKey, units: units || 'metric', lang: language || 'se' });
+
+        if (latitude !== undefined && longitude !== undefined) {
+            params.set('lat', latitude);
+            params.set('lon', longitude);
+        } else {
+            params.set('q', country ? `${city},${country}` : city);
+        }
+
+        return `${this.baseUrl}/data/2.5/${endpoint}?${params}`;
+    }
+
+    async fetch() {
+        if (!this.config.apiKey || this.config.apiKey === 'DIN_OPENWEATHER_API_NYCKEL') {
+            throw new Error('OpenWeather apiKey is not configured');
+        }
+
+        const [current, forecast] = await Promise.all([
+            getJson(this.buildUrl('weather')),
+            getJson(this.buildUrl('forecast'))
+        ]);
+
+        const points = (forecast.list || []).map(item => ({
+            time: item.dt * 1000,
+            temp: item.main.temp,
+            weather: this.mapWeather(item.weather)
+        }));
+
+        return {
+            location: current.name || this.config.city,
+            current: {
+                temp: current.main.temp,
+                feels_like: current.main.feels_like,
+                humidity: current.main.humidity,
+                wind_speed: current.wind ? current.wind.speed : 0,
+                clouds: current.clouds ? current.clouds.all : 0,
+                weather: [this.mapWeather(current.weather)]
+            },
+            daily: summarizeDays(points, 5)
+        };
+    }
+
+    mapWeather(weather = []) {
+        const first = weather[0] || {};
+        return { main: first.main, description: first.description || '', icon: first.icon };
+    }
+}
+
+class SmhiProvider {
+    constructor(config) {
+        this.config = config;
+        // Kategori och version ingår, så att SMHI:s nyare API kan pekas ut utan kodändring
+        this.baseUrl = (config.smhiBaseUrl || 'https://opendata-download-metfcst.smhi.se/api/category/pmp3g/version/2').replace(/\/+$/, '');
+    }
+
+    get name() {
+        return 'smhi';
+    }
+
+    async fetch() {
+        const { latitude, longitude } = this.config;
+        if (latitude === undefined || longitude === undefined) {
+            throw new Error('SMHI requires weather.latitude and weather.longitude');
+        }
+
+        // SMHI kräver max sex decimaler
+        const lon = Number(longitude).toFixed(6);
+        const lat = Number(latitude).toFixed(6);
+        const url = `${this.baseUrl}/geotype/point/lon/${lon}/lat/${lat}/data.json`;
+        const data = await getJson(url);
+
+        const points = (data.timeSeries || []).map(entry => this.toPoint(entry));
+        if (points.length === 0) throw new Error('SMHI returned no forecast data');
+
+        // Närmaste prognostimme används som aktuellt väder
+        const now = Date.now();
+        const current = points.reduce((best, p) =>
+            Math.abs(p.time - now) < Math.abs(best.time - now) ? p : best);
+
+        return {
+            location: this.config.city,
+            current: {
+                temp: current.temp,
+                feels_like: this.feelsLike(current.rawTemp, current.rawWind),
+                humidity: current.humidity,
+                wind_speed: current.wind,
+                clouds: current.clouds,
+                weather: [current.weather]
+            },
+            daily: summarizeDays(points.filter(p => p.time >= now - 3600000), 5)
+        };
+    }
+
+    toPoint(entry) {
+        const values = {};
+        for (const param of entry.parameters || []) {
+            values[param.name] = param.values[0];
+        }
+
+        const imperial = this.config.units === 'imperial';
+        const rawTemp = values.t;
+        const rawWind = values.ws;
+
+        return {
+            time: new Date(entry.validTime).getTime(),
+            rawTemp,
+            rawWind,
+            temp: imperial ? this.toFahrenheit(rawTemp) : rawTemp,
+            wind: imperial ? Math.round(rawWind * 2.23694 * 10) / 10 : rawWind,
+            humidity: values.r,
+            // tcc_mean anges i oktas (0-8)
+            clouds: values.tcc_mean !== undefined ? Math.round(values.tcc_mean / 8 * 100) : undefined,
+            weather: this.mapSymbol(values.Wsymb2)
+        };
+    }
+
+    mapSymbol(symbol) {
+        const [main, sv, en] = SMHI_SYMBOLS[symbol] || ['Clouds', 'Okänt', 'Unknown'];
+        const english = (this.config.language || 'se').startsWith('en');
+        return { main, description: english ? en : sv, icon: String(symbol) };
+    }
+
+    // Köldeffekt enligt SMHI:s formel (gäller vid låg temperatur och vind)
+    feelsLike(temp, wind) {
+        let value = temp;
+        if (temp <= 10 && wind >= 2) {
+            const v = Math.pow(wind, 0.16);
+            value = 13.12 + 0.6215 * temp - 13.956 * v + 0.48669 * temp * v;
+        }
+        value = Math.round(value * 10) / 10;
+        return this.config.units === 'imperial' ? this.toFahrenheit(value) : value;
+    }
+
+    toFahrenheit(celsius) {
+        return Math.round((celsius * 9 / 5 + 32) * 10) / 10;
+    }
+}
+
+const providers = {
+    openweather: OpenWeatherProvider,
+    smhi: SmhiProvider
+};
+
+function createWeatherProvider(config) {
+    const Provider = providers[(config.provider || 'openweather').toLowerCase()];
+    if (!Provider) throw new Error(`Unknown weather provider: ${config.provider}`);
+    return new Provider(config);
+}
+
+module.exports = { createWeatherProvider, OpenWeatherProvider, SmhiProvider };
@@ -0,0 +1,92 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createWeatherProvider } = require('./weather-providers');
+
+/**
+ * Wraps the configured weather provider with an on-disk cache.
+ * Fresh data is reused for `updateInterval`; when the provider fails the
+ * last cached result is returned with `stale: true`.
+ */
+class WeatherService {
+    constructor(config = {}, options = {}) {
+        this.config = {
+            provider: 'openweather',
+            units: 'metric',
+            language: 'se',
+            updateInterval: 900000,
+            ...config
+        };
+
+        this.cachePath = options.cachePath || path.join(__dirname, '..', 'data', 'cache', 'weather.json');
+        this.provider = options.provider || createWeatherProvider(this.config);
+        this.cache = null;
+        this.pending = null;
+    }
+
+    async getWeather() {
+        if (!this.cache) this.cache = await this.readCache();
+
+        const age = this.cache ? Date.now() - this.cache.fetchedAt : Infinity;
+        if (age < this.config.updateInterval) {
+            return this.toResponse(this.cache, false);
+        }
+
+        if (!this.pending) {
+            this.pending = this.refresh().finally(() => { this.pending = null; });
+        }
+
+        try {
+            return this.toResponse(await this.pending, false);
+        } catch (error) {
+            if (this.cache) {
+                console.warn(`⚠️  Weather provider unavailable, serving cached data: ${error.message}`);
+                return this.toResponse(this.cache, true, error.message);
+            }
+            throw error;
+        }
+    }
+
+    async refresh() {
+        const data = await this.provider.fetch();
+        const cache = { provider: this.provider.name, fetchedAt: Date.now(), data };
+
+        this.cache = cache;
+        await this.writeCache(cache);
+        return cache;
+    }
+
+    toResponse(cache, stale, error) {
+        const response = {
+            ...cache.data,
+            provider: cache.provider,
+            units: this.config.units,
+            updated: new Date(cache.fetchedAt).toISOString(),
+            stale
+        };
+        if (error) response.error = error;
+        return response;
+    }
+
+    async readCache() {
+        try {
+            const cache = JSON.parse(await fs.readFile(this.cachePath, 'utf8'));
+            // Cache från en annan leverantör ignoreras
+            return cache.provider === this.provider.name ? cache : null;
+        } catch {
+            return null;
+        }
+    }
+
+    async writeCache(cache) {
+        try {
+            await fs.mkdir(path.dirname(this.cachePath), { recursive: true });
+            const tempPath = `${this.cachePath}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(cache, null, 2), 'utf8');
+            await fs.rename(tempPath, this.cachePath);
+        } catch (error) {
+            console.warn('⚠️  Could not write weather cache:', error.message);
+        }
+    }
+}
+
+module.exports = WeatherService;
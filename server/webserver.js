@@ -3,16 +3,66 @@ const path = require('path');
 const fs = require('fs').promises;
 const WebSocket = require('ws');
 const multer = require('multer');
-const sharp = require('sharp');
+const ImageStore = require('./image-store');
+const CalendarService = require('./calendar-service');
+const WeatherService = require('./weather-service');
+const AuthManager = require('./auth');
+const SlideScheduler = require('./slide-scheduler');
+const PlaylistStore = require('./playlist-store');
+const VideoProcessor = require('./video-processor');
+const DocumentImporter = require('./document-importer');
+const DocumentStore = require('./document-store');
+const ThumbnailGenerator = require('./thumbnail-generator');
+const ConfigManager = require('./config-manager');
+const AlertManager = require('./alert-manager');
+const ClientRegistry = require('./client-registry');
+const ScreenshotStore = require('./screenshot-store');
+const EmergencyAlertStore = require('./emergency-alerts');
+const SlideTemplates = require('./slide-templates');
+const ImageProcessor = require('./image-processor');
+const ZipImporter = require('./zip-importer');
+const TrashStore = require('./trash-store');
+const VersionHistory = require('./version-history');
+const AuditLog = require('./audit-log');
+const MaintenanceWindow = require('./maintenance-window');
+const UpdateState = require('./update-state');
+const UpdateClient = require('./update-client');
 
 class InfoScreenServer {
     constructor() {
         this.app = express();
         this.port = process.env.PORT || 8080;
         this.config = {};
+        this.configManager = null;
         this.wss = null;
         this.controlWss = null;
         this.images = [];
+        this.imageStore = null;
+        this.calendar = null;
+        this.weather = null;
+        this.auth = null;
+        this.scheduler = new SlideScheduler();
+        this.playlists = null;
+        this.videoProcessor = null;
+        this.documents = null;
+        this.documentImporter = null;
+        this.thumbnails = null;
+        this.alerts = null;
+        this.clients = null;
+        this.screenshots = null;
+        this.emergencyAlerts = null;
+        this.emergencyTimer = null;
+        this.templates = null;
+        this.imageProcessor = null;
+        this.zipImporter = null;
+        this.trash = null;
+        this.versions = null;
+        this.audit = null;
+        this.maintenance = null;
+        this.updateState = null;
+        this.updater = null;
+        this.silentScreens = new Map();
+        this.uploadFailures = [];
         
         this.init();
     }
@@ -20,31 +70,233 @@ class InfoScreenServer {
     async init() {
         console.log('🚀 Starting Själevads Bygg Info Screen Server...');
         await this.loadConfig();
+        this.setupServices();
+        await this.alerts.load();
+        await this.clients.load();
+        await this.emergencyAlerts.load();
+        await this.trash.load();
+        this.scheduleEmergencyExpiry();
         this.setupMiddleware();
         this.setupRoutes();
         this.setupWebSocket();
         await this.loadImages();
+        await this.loadPlaylists();
+        await this.loadDocuments();
+        this.startScheduler();
+        this.startTrashPurge();
         this.startServer();
     }
     
     async loadConfig() {
+        const configPath = path.join(__dirname, '..', 'config.json');
+        this.configManager = new ConfigManager(configPath);
+        
         try {
-            const configPath = path.join(__dirname, '..', 'config.json');
-            const configData = await fs.readFile(configPath, 'utf8');
-            this.config = JSON.parse(configData);
+            this.config = await this.configManager.load();
             console.log('✅ Configuration loaded');
         } catch (error) {
             console.error('❌ Failed to load config:', error);
             this.config = require('../config.json');
+            this.configManager.config = this.config;
+        }
+        
+        this.configManager.on('changed', (config, sections) => {
+            this.applyConfig(config, sections).catch(error => console.error('Failed to apply configuration:', error));
+        });
+        
+        const rootDir = path.join(__dirname, '..');
+        this.imagesDir = path.resolve(rootDir, this.config.images.directory || './images');
+        this.thumbnailsDir = path.resolve(rootDir, this.config.images.thumbnailsDirectory || './thumbnails');
+        this.dataDir = path.join(rootDir, 'data');
+        
+        // auto-update.js jämför med den installerade versionen efter en uppdatering
+        this.packageVersion = require('../package.json').version;
+    }
+    
+    setupServices() {
+        this.auth = new AuthManager(this.config.security);
+        this.playlists = new PlaylistStore(path.join(this.dataDir, 'playlists.json'));
+        this.calendar = new CalendarService(this.config.calendar);
+        this.weather = this.createWeatherService();
+        this.documents = new DocumentStore(path.join(this.dataDir, 'documents.json'));
+        this.alerts = new AlertManager(this.config.notifications, {
+            statePath: path.join(this.dataDir, 'alerts-server.json'),
+            name: this.config.system.name
+        });
+        this.clients = new ClientRegistry(path.join(this.dataDir, 'clients.json'));
+        this.screenshots = new ScreenshotStore(path.join(this.dataDir, 'screenshots'));
+        this.emergencyAlerts = new EmergencyAlertStore(path.join(this.dataDir, 'emergency-alerts.json'));
+        this.templates = new SlideTemplates(this.config.branding);
+        this.imageProcessor = new ImageProcessor(this.config.images, { imagesDir: this.imagesDir });
+        this.zipImporter = new ZipImporter(this.config.images);
+        this.trash = new TrashStore(path.join(this.dataDir, 'trash.json'), {
+            directory: path.join(this.imagesDir, 'trash'),
+            roots: { images: this.imagesDir, thumbnails: this.thumbnailsDir },
+            retentionDays: this.config.images.trashRetentionDays
+        });
+        this.versions = new VersionHistory(this.imagesDir, { maxVersions: this.config.images.maxVersions });
+        this.audit = new AuditLog(this.config.audit, { directory: path.join(__dirname, '..', 'logs', 'audit') });
+        this.maintenance = new MaintenanceWindow(this.config.update.maintenanceWindows || []);
+        this.updateState = new UpdateState(this.dataDir);
+        this.updater = new UpdateClient(this.config.update);
+        this.setupVideoProcessor();
+        this.thumbnails = new ThumbnailGenerator({
+            imagesDir: this.imagesDir,
+            thumbnailsDir: this.thumbnailsDir,
+            width: this.config.images.thumbnailWidth,
+            height: this.config.images.thumbnailHeight,
+            quality: this.config.images.quality || 80,
+            allowedExtensions: this.config.images.allowedExtensions,
+            videoExtensions: this.getVideoExtensions()
+        });
+        
+        if (this.config.documents && this.config.documents.enabled !== false) {
+            this.documentImporter = new DocumentImporter(this.config.documents, { imagesDir: this.imagesDir });
+        }
+    }
+    
+    createWeatherService() {
+        try {
+            return new WeatherService(this.config.weather, {
+                cachePath: path.join(this.dataDir, 'cache', 'weather.json')
+            });
+        } catch (error) {
+            console.error('❌ Weather provider unavailable:', error.message);
+            return null;
+        }
+    }
+    
+    // Tillämpar ändrade sektioner från PATCH /api/config utan omstart
+    async applyConfig(config, sections) {
+        this.config = config;
+        console.log(`⚙️  Configuration updated: ${sections.join(', ')}`);
+        
+        if (sections.includes('security')) this.auth.configure(config.security);
+        if (sections.includes('calendar')) this.calendar = new CalendarService(config.calendar);
+        if (sections.includes('notifications')) this.alerts.configure(config.notifications);
+        if (sections.includes('branding')) this.templates.configure(config.branding);
+        if (sections.includes('audit')) this.audit.configure(config.audit);
+        if (sections.includes('update')) {
+            this.maintenance = new MaintenanceWindow(config.update.maintenanceWindows || []);
+            this.updater.configure(config.update);
+        }
+        // auto-update.js läser samma sektioner ur config.json; körs inte tjänsten läser den dem vid start
+        if (['update', 'notifications', 'audit', 'images', 'system'].some(section => sections.includes(section))) {
+            this.updater.reload().catch(error => console.warn('⚠️  Update service did not reload its configuration:', error.message));
+        }
+        
+        if (sections.includes('weather')) {
+            // Cachen kan gälla en annan ort eller leverantör
+            await fs.unlink(path.join(this.dataDir, 'cache', 'weather.json')).catch(() => {});
+            this.weather = this.createWeatherService();
+        }
+        
+        if (sections.includes('images')) {
+            this.imageStore.allowedExtensions = config.images.allowedExtensions;
+            this.imageProcessor.configure(config.images);
+            Object.assign(this.zipImporter.config, config.images);
+            this.trash.retentionDays = config.images.trashRetentionDays || 30;
+            this.versions.maxVersions = config.images.maxVersions || 10;
+            Object.assign(this.thumbnails.config, {
+                width: config.images.thumbnailWidth,
+                height: config.images.thumbnailHeight,
+                quality: config.images.quality || 80,
+                allowedExtensions: config.images.allowedExtensions
+            });
         }
+        if (sections.includes('video') && this.videoProcessor) {
+            Object.assign(this.videoProcessor.config, config.video);
+            this.imageStore.videoExtensions = this.getVideoExtensions();
+            this.thumbnails.config.videoExtensions = this.getVideoExtensions();
+        }
+        if (sections.includes('documents') && this.documentImporter) Object.assign(this.documentImporter.config, config.documents);
+        
+        const message = {
+            type: 'config-updated',
+            sections,
+            slideshow: this.getSlideshowSettings(),
+            display: config.display
+        };
+        this.broadcastToAll(message);
+        this.broadcastToControl(message);
+    }
+    
+    setupVideoProcessor() {
+        const videoConfig = this.config.video || {};
+        if (videoConfig.enabled === false) return;
+        
+        this.videoProcessor = new VideoProcessor(videoConfig, { imagesDir: this.imagesDir });
+        
+        this.videoProcessor.on('completed', async (job, result) => {
+            try {
+                if (!this.imageStore.get(job.imageId)) return;
+                
+                if (result.video.transcoded) {
+                    await this.imageStore.replaceFile(job.imageId, { filename: result.filename });
+                }
+                
+                const image = await this.imageStore.update(job.imageId, {
+                    poster: result.poster,
+                    thumbnail: `${result.filename}.jpg`,
+                    video: { status: 'ready', ...result.video }
+                });
+                
+                // Miniatyren tas från affischbilden via samma pipeline som för bilder
+                await this.generateThumbnail(image, path.join(this.imagesDir, result.poster));
+                
+                this.images = this.imageStore.list();
+                console.log(`🎬 Video ready: ${image.filename}${result.video.transcoded ? ' (transcoded)' : ''}`);
+                
+                this.broadcastToAll({ type: 'image-updated', image });
+                this.broadcastImagesList();
+            } catch (error) {
+                console.error('Failed to store processed video:', error);
+            }
+        });
+        
+        this.videoProcessor.on('failed', async (job, error) => {
+            if (!this.imageStore.get(job.imageId)) return;
+            await this.imageStore.update(job.imageId, { video: { status: 'failed', error: error.message } });
+            this.images = this.imageStore.list();
+        });
     }
     
     setupMiddleware() {
+        this.app.use(this.auth.ipAllowlist());
+        
+        // Skydda admin- och kontrollsidorna innan de serveras statiskt
+        const protectedPages = {
+            '/admin': 'editor',
+            '/admin.html': 'editor',
+            '/update-manager': 'editor',
+            '/update-manager.html': 'editor',
+            '/status': 'editor',
+            '/status.html': 'editor',
+            '/touch-control': 'controller',
+            '/touch-control.html': 'controller'
+        };
+        this.app.use((req, res, next) => {
+            const role = protectedPages[this.normalizePagePath(req.path)];
+            if (!role) return next();
+            this.auth.requireRole(role)(req, res, next);
+        });
+        
         this.app.use(express.static(path.join(__dirname, '..', 'public')));
+        // Papperskorgen, ersatta versioner och katalogen ligger i bildmappen men är inte publika;
+        // admin-panelen hämtar dem via /api/trash och /api/images/:id/versions
+        this.app.use('/images', (req, res, next) => {
+            const first = path.posix.normalize(this.normalizePagePath(req.path)).split('/')[1];
+            if (['trash', 'versions', 'library.json'].includes(first)) return res.status(404).end();
+            next();
+        });
+        this.app.use('/images', express.static(this.imagesDir));
+        this.app.use('/thumbnails', express.static(this.thumbnailsDir));
         this.app.use(express.json());
         this.app.use((req, res, next) => {
-            res.header('Access-Control-Allow-Origin', '*');
-            res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+            if (this.config.security.enableCORS !== false) {
+                res.header('Access-Control-Allow-Origin', '*');
+                res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
+            }
             next();
         });
         this.app.use((req, res, next) => {
@@ -53,18 +305,54 @@ class InfoScreenServer {
         });
     }
     
+    // Express-routerna bryr sig inte om versaler eller avslutande snedstreck och
+    // express.static avkodar %-kodning, så /Admin/ och /%61dmin.html måste skyddas likadant
+    normalizePagePath(pathname) {
+        let decoded = pathname;
+        try {
+            decoded = decodeURIComponent(pathname);
+        } catch (error) {
+            // Felkodad sökväg: express.static svarar 400 på den ändå
+        }
+        return decoded.toLowerCase().replace(/\/+/g, '/').replace(/(.)\/$/, '$1');
+    }
+    
     setupRoutes() {
+        const requireEditor = this.auth.requireRole('editor');
+        
+        this.auth.setupRoutes(this.app);
+        
         this.app.get('/api/images', async (req, res) => {
             try {
+                // ?eligible=true ger bara bilder som ska visas just nu (aktiva och inom schema),
+                // ?playlist=true skärmens aktiva bilder med sina scheman
+                const now = new Date();
+                const screenId = this.parseScreenId(req.query.screen);
+                let source = this.images;
+                if (req.query.eligible === 'true') source = this.getEligibleImages(now, screenId);
+                else if (req.query.playlist === 'true') source = this.getScreenImages(screenId);
+                
                 // Returnera images med korrekt struktur
-                const images = this.images.map(img => ({
+                const images = source.map(img => ({
                     id: img.id,
                     filename: img.filename,
                     title: img.title,
                     description: img.description || '',
                     order: img.order,
                     active: img.active,
-                    uploaded: img.uploaded
+                    uploaded: img.uploaded,
+                    type: img.type || 'image',
+                    thumbnail: img.thumbnail || img.filename,
+                    poster: img.poster || null,
+                    video: img.video || null,
+                    documentId: img.documentId || null,
+                    page: img.page || null,
+                    schedule: img.schedule || null,
+                    duration: img.duration || null,
+                    transition: img.transition || null,
+                    renditions: img.renditions || null,
+                    template: img.template ? this.resolveTemplate(img).template : null,
+                    eligible: this.scheduler.isEligible(img, now)
                 }));
                 res.json(images);
             } catch (error) {
@@ -74,13 +362,8 @@ class InfoScreenServer {
         
         this.app.get('/api/images-direct', async (req, res) => {
             try {
-                const imagesPath = path.join(__dirname, '..', 'images');
-                const files = await fs.readdir(imagesPath);
-                
-                const imageFiles = files.filter(file => {
-                    const ext = path.extname(file).toLowerCase();
-                    return this.config.images.allowedExtensions.includes(ext);
-                });
+                const files = await fs.readdir(this.imagesDir);
+                const imageFiles = files.filter(file => this.imageStore.isImageFile(file));
                 
                 res.json(imageFiles);
             } catch (error) {
@@ -91,7 +374,7 @@ class InfoScreenServer {
         
         this.app.get('/api/images/:id', async (req, res) => {
             try {
-                const image = this.images.find(img => img.id == req.params.id);
+                const image = this.imageStore.get(req.params.id);
                 if (image) {
                     res.json(image);
                 } else {
@@ -102,378 +385,1934 @@ class InfoScreenServer {
             }
         });
         
-        const upload = multer({
-            dest: path.join(__dirname, '..', 'images'),
-            limits: {
-                fileSize: this.config.images.maxFileSize || 5242880
-            },
-            fileFilter: (req, file, cb) => {
-                const ext = path.extname(file.originalname).toLowerCase();
-                if (this.config.images.allowedExtensions.includes(ext)) {
-                    cb(null, true);
-                } else {
-                    cb(new Error('Invalid file type'));
-                }
-            },
-            storage: multer.diskStorage({
-                destination: path.join(__dirname, '..', 'images'),
-                filename: (req, file, cb) => {
-                    const timestamp = Date.now();
-                    const name = path.parse(file.originalname).name;
-                    const ext = path.extname(file.originalname);
-                    cb(null, `${name}_${timestamp}${ext}`);
+        this.app.get('/api/config', requireEditor, (req, res) => {
+            res.json(this.configManager.getMasked());
+        });
+        
+        this.app.patch('/api/config', requireEditor, async (req, res) => {
+            try {
+                const before = this.configManager.getMasked();
+                const result = await this.configManager.patch(req.body);
+                if (result.changed.length > 0) {
+                    this.auditRequest(req, 'config.update', {
+                        before: AuditLog.pick(before, result.changed),
+                        after: AuditLog.pick(result.config, result.changed)
+                    });
                 }
-            })
+                res.json({ success: true, ...result });
+            } catch (error) {
+                if (error.details) return res.status(400).json({ error: error.message, details: error.details });
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        // ?from=&to=&action=image.*&actor=&ip=&target=&q=&limit=
+        this.app.get('/api/audit', requireEditor, async (req, res) => {
+            try {
+                const entries = await this.audit.search(req.query);
+                res.json({ enabled: this.audit.config.enabled, entries });
+            } catch (error) {
+                res.status(/valid dates/.test(error.message) ? 400 : 500).json({ error: error.message });
+            }
         });
         
-        this.app.post('/api/upload', upload.single('image'), async (req, res) => {
+        this.app.post('/api/upload', requireEditor, this.uploadMiddleware('image'), async (req, res) => {
             try {
                 if (!req.file) throw new Error('No file');
                 
-                const imageData = {
-                    id: Date.now(),
-                    filename: req.file.filename,
-                    originalname: req.file.originalname,
-                    path: req.file.path,
-                    size: req.file.size,
-                    uploaded: new Date().toISOString(),
-                    title: path.parse(req.file.originalname).name,
-                    description: '',
-                    order: this.images.length + 1,
-                    active: true
-                };
-                
-                this.images.push(imageData);
-                await this.generateThumbnail(imageData);
+                if (this.zipImporter.isArchive(req.file.filename)) {
+                    if (req.file.size > this.uploadLimits().archive) {
+                        await fs.unlink(req.file.path).catch(() => {});
+                        this.recordUploadFailure(req.file.originalname, 'File too large');
+                        return res.status(413).json({ error: 'File too large' });
+                    }
+                    
+                    let results;
+                    try {
+                        results = await this.importArchive(req.file);
+                    } catch (error) {
+                        this.recordUploadFailure(req.file.originalname, error.message);
+                        return res.status(400).json({ error: `Could not read archive: ${error.message}` });
+                    }
+                    results.filter(result => result.success).forEach(result => this.auditUpload(req, result, req.file.originalname));
+                    return res.json({ success: results.some(result => result.success), archive: true, results });
+                }
+                
+                const result = await this.importFile(req.file);
+                if (result.body.success) this.auditUpload(req, result.body);
+                res.status(result.status).json(result.body);
                 
-                this.broadcastToAll({
-                    type: 'image-uploaded',
-                    image: imageData
+            } catch (error) {
+                this.recordUploadFailure(req.file && req.file.originalname, error.message);
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        // Mallbild skapad i admin-panelen; redigeras sedan via PUT /api/images/:id
+        this.app.post('/api/templates', requireEditor, async (req, res) => {
+            try {
+                const fields = req.body || {};
+                let template, options;
+                
+                try {
+                    template = this.normalizeTemplate(fields.template);
+                    options = this.normalizeSlideOptions(fields);
+                    if ('schedule' in fields) options.schedule = this.scheduler.normalize(fields.schedule);
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+                
+                const image = await this.imageStore.addTemplate({
+                    title: typeof fields.title === 'string' && fields.title.trim() ? fields.title.trim() : template.headline || 'Mall',
+                    description: typeof fields.description === 'string' ? fields.description : '',
+                    active: fields.active !== false,
+                    template
                 });
+                if (Object.keys(options).length > 0) await this.imageStore.update(image.id, options);
+                
+                this.images = this.imageStore.list();
+                console.log(`📝 Template slide created: ${image.title}`);
+                this.auditRequest(req, 'template.create', { target: image.id, after: { title: image.title, template } });
                 
-                res.json({ success: true, image: imageData });
+                this.broadcastToAll({ type: 'image-uploaded', image });
+                this.broadcastImagesList();
                 
+                res.status(201).json({ success: true, image });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
         
-        this.app.put('/api/images/:id', async (req, res) => {
+        // Färger och typsnitt som mallarna får använda
+        this.app.get('/api/branding', (req, res) => {
+            res.json({ ...this.templates.branding, defaultTheme: this.templates.defaultTheme() });
+        });
+        
+        // Ny ordning från dra-och-släpp i admin-panelen: en skrivning och en images-list till skärmarna
+        this.app.put('/api/images/order', requireEditor, async (req, res) => {
             try {
-                const imageId = parseInt(req.params.id);
-                const index = this.images.findIndex(img => img.id === imageId);
+                const ids = req.body && req.body.ids;
+                if (!Array.isArray(ids) || ids.some(id => !Number.isInteger(id))) {
+                    return res.status(400).json({ error: 'ids must be an array of image ids' });
+                }
+                if (new Set(ids).size !== ids.length) {
+                    return res.status(400).json({ error: 'ids must not contain duplicates' });
+                }
+                const unknown = ids.filter(id => !this.imageStore.get(id));
+                if (unknown.length > 0) {
+                    return res.status(400).json({ error: `Unknown image id(s): ${unknown.join(', ')}` });
+                }
+                
+                const before = this.imageStore.list().map(img => img.id);
+                await this.imageStore.reorder(this.keepDocumentsTogether(ids));
+                this.images = this.imageStore.list();
+                this.auditRequest(req, 'image.reorder', { before, after: this.images.map(img => img.id) });
+                this.broadcastImagesList();
+                
+                res.json({ success: true, order: this.images.map(img => img.id) });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        this.app.put('/api/images/:id', requireEditor, async (req, res) => {
+            try {
+                const body = req.body || {};
+                const changes = {};
+                for (const key of ImageStore.EDITABLE_FIELDS) {
+                    if (key in body) changes[key] = body[key];
+                }
+                const current = this.imageStore.get(req.params.id);
+                
+                try {
+                    if ('schedule' in changes) changes.schedule = this.scheduler.normalize(changes.schedule);
+                    Object.assign(changes, this.normalizeSlideOptions(changes));
+                    
+                    if ('template' in changes) {
+                        if (current && current.type !== 'template') throw new Error('Only template slides have a template');
+                        changes.template = this.normalizeTemplate(changes.template);
+                    }
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
                 
-                if (index === -1) return res.status(404).json({ error: 'Image not found' });
+                // update() ändrar posten på plats, så värdena före måste kopieras först
+                const keys = Object.keys(changes);
+                const before = current ? AuditLog.pick(JSON.parse(JSON.stringify(current)), keys) : null;
+                const image = await this.imageStore.update(req.params.id, changes);
                 
-                this.images[index] = { ...this.images[index], ...req.body, updated: new Date().toISOString() };
+                if (!image) return res.status(404).json({ error: 'Image not found' });
+                
+                this.images = this.imageStore.list();
+                this.auditRequest(req, image.type === 'template' ? 'template.update' : 'image.update', {
+                    target: image.id,
+                    before,
+                    after: AuditLog.pick(image, keys)
+                });
                 
                 this.broadcastToAll({
                     type: 'image-updated',
-                    image: this.images[index]
+                    image: image
                 });
+                this.broadcastImagesList();
                 
-                res.json({ success: true, image: this.images[index] });
+                res.json({ success: true, image: image });
                 
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
         
-        this.app.delete('/api/images/:id', async (req, res) => {
+        // Flyttar till papperskorgen; töms efter images.trashRetentionDays
+        this.app.delete('/api/images/:id', requireEditor, async (req, res) => {
             try {
                 const imageId = parseInt(req.params.id);
-                const index = this.images.findIndex(img => img.id === imageId);
+                const image = this.imageStore.get(imageId);
                 
-                if (index === -1) return res.status(404).json({ error: 'Image not found' });
+                if (!image) return res.status(404).json({ error: 'Image not found' });
                 
-                const image = this.images[index];
+                const entry = await this.trashImage(image, this.requestActor(req));
+                this.images = this.imageStore.list();
+                this.auditRequest(req, 'image.delete', {
+                    target: image.id,
+                    before: this.auditImage(image),
+                    details: { trashId: entry.id }
+                });
                 
-                try {
-                    await fs.unlink(image.path);
-                    const thumbPath = path.join(__dirname, '..', 'thumbnails', image.filename);
-                    await fs.unlink(thumbPath);
-                } catch (error) {
-                    console.warn('Could not delete files:', error);
+                // Sista sidan borttagen: dokumentet försvinner också
+                if (image.documentId && this.documents.pages(image.documentId, this.images).length === 0) {
+                    const document = await this.documents.remove(image.documentId);
+                    if (document && this.documentImporter) {
+                        await fs.unlink(this.documentImporter.sourcePath(document.filename)).catch(() => {});
+                    }
                 }
                 
-                this.images.splice(index, 1);
-                
                 this.broadcastToAll({
                     type: 'image-deleted',
                     imageId: imageId
                 });
+                this.broadcastImagesList();
                 
-                res.json({ success: true });
+                res.json({ success: true, trashId: entry.id, expiresAt: entry.expiresAt });
                 
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
         
-        this.app.get('/api/weather', async (req, res) => {
+        this.app.get('/api/trash', requireEditor, (req, res) => {
+            res.json({
+                retentionDays: this.trash.retentionDays,
+                entries: this.trash.list().map(entry => this.trashSummary(entry))
+            });
+        });
+        
+        this.app.get('/api/trash/:id/files/:stored', requireEditor, (req, res) => {
+            const entry = this.trash.get(req.params.id);
+            const file = entry && entry.files.find(f => f.stored === req.params.stored);
+            if (!file) return res.status(404).json({ error: 'File not found' });
+            
+            res.sendFile(path.join(this.trash.directory, entry.id, file.stored));
+        });
+        
+        this.app.post('/api/trash/:id/restore', requireEditor, async (req, res) => {
             try {
-                if (!this.config.weather.enabled) return res.json({ enabled: false });
-                
-                const weatherData = {
-                    current: {
-                        temp: -5,
-                        feels_like: -8,
-                        humidity: 85,
-                        wind_speed: 3.2,
-                        clouds: 40,
-                        weather: [{
-                            description: 'Delvis molnigt',
-                            icon: '02d'
-                        }]
-                    },
-                    daily: [
-                        { dt: Math.floor(Date.now() / 1000) + 86400, temp: { day: -5 }, weather: [{ description: 'Soligt' }] },
-                        { dt: Math.floor(Date.now() / 1000) + 172800, temp: { day: -3 }, weather: [{ description: 'Mulet' }] },
-                        { dt: Math.floor(Date.now() / 1000) + 259200, temp: { day: -7 }, weather: [{ description: 'Snö' }] },
-                        { dt: Math.floor(Date.now() / 1000) + 345600, temp: { day: -2 }, weather: [{ description: 'Soligt' }] },
-                        { dt: Math.floor(Date.now() / 1000) + 432000, temp: { day: -4 }, weather: [{ description: 'Mulet' }] }
-                    ]
-                };
+                const entry = this.trash.get(req.params.id);
+                if (!entry) return res.status(404).json({ error: 'Trash entry not found' });
                 
-                res.json(weatherData);
+                const conflicts = await this.trash.conflicts(entry.id);
+                if (conflicts.length > 0 || this.imageStore.get(entry.image.id)) {
+                    return res.status(409).json({ error: 'A file with the same name already exists', conflicts });
+                }
                 
+                const image = await this.restoreFromTrash(entry);
+                this.auditRequest(req, 'trash.restore', { target: image.id, after: this.auditImage(image), details: { trashId: entry.id } });
+                res.json({ success: true, image });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
         
-        this.app.get('/api/calendar', async (req, res) => {
+        this.app.delete('/api/trash/:id', requireEditor, async (req, res) => {
             try {
-                if (!this.config.calendar.enabled) return res.json({ enabled: false, events: [] });
-                
-                const events = [
-                    {
-                        id: 1,
-                        title: 'Projektmöte',
-                        start: new Date().toISOString(),
-                        end: new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString(),
-                        location: 'Konferensrum 1'
-                    },
-                    {
-                        id: 2,
-                        title: 'Kundbesök',
-                        start: new Date(Date.now() + 86400000).toISOString(),
-                        end: new Date(Date.now() + 86400000 + 2 * 60 * 60 * 1000).toISOString(),
-                        location: 'Huvudkontor'
-                    }
-                ];
-                
-                res.json(events);
+                const entry = await this.trash.purge(req.params.id);
+                if (!entry) return res.status(404).json({ error: 'Trash entry not found' });
                 
+                console.log(`🗑️ Purged from trash: ${entry.image.title || entry.image.filename}`);
+                this.auditRequest(req, 'trash.purge', { target: entry.image.id, before: this.auditImage(entry.image), details: { trashId: entry.id } });
+                res.json({ success: true });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
         
-        this.app.get('/api/health', (req, res) => {
+        this.app.delete('/api/trash', requireEditor, async (req, res) => {
+            try {
+                const entries = await this.trash.empty();
+                console.log(`🗑️ Emptied trash: ${entries.length} item(s)`);
+                this.auditRequest(req, 'trash.empty', { before: entries.map(entry => this.auditImage(entry.image)) });
+                res.json({ success: true, purged: entries.length });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        this.app.get('/api/images/:id/versions', requireEditor, (req, res) => {
+            const image = this.imageStore.get(req.params.id);
+            if (!image) return res.status(404).json({ error: 'Image not found' });
+            
             res.json({
-                status: 'healthy',
-                timestamp: new Date().toISOString(),
-                uptime: process.uptime(),
-                images: this.images.length
+                current: {
+                    filename: image.filename,
+                    originalname: image.originalname,
+                    size: image.size,
+                    uploaded: image.uploaded
+                },
+                maxVersions: this.versions.maxVersions,
+                versions: (image.versions || []).slice().reverse()
             });
         });
         
-        this.app.get('/api/system', async (req, res) => {
+        // Ny bildfil för en befintlig bild; titel, schema och spellistor behålls och den gamla filen blir en version
+        this.app.put('/api/images/:id/file', requireEditor, this.uploadMiddleware('image'), async (req, res) => {
+            const image = this.imageStore.get(req.params.id);
+            
             try {
-                const si = require('systeminformation');
-                const [cpu, mem] = await Promise.all([si.cpu(), si.mem()]);
+                if (!req.file) return res.status(400).json({ error: 'No file' });
+                if (!image || image.type !== 'image' || image.documentId) {
+                    await fs.unlink(req.file.path).catch(() => {});
+                    return image
+                        ? res.status(400).json({ error: 'Only uploaded images can be replaced' })
+                        : res.status(404).json({ error: 'Image not found' });
+                }
+                if (this.uploadType(req.file.filename) !== 'image') {
+                    await fs.unlink(req.file.path).catch(() => {});
+                    return res.status(400).json({ error: 'Invalid file type' });
+                }
+                if (req.file.size > this.uploadLimits().image) {
+                    await fs.unlink(req.file.path).catch(() => {});
+                    this.recordUploadFailure(req.file.originalname, 'File too large');
+                    return res.status(413).json({ error: 'File too large' });
+                }
                 
-                res.json({
-                    memory: {
-                        total: mem.total,
-                        used: mem.used,
-                        percent: (mem.used / mem.total * 100).toFixed(1)
-                    },
-                    images: this.images.length,
-                    version: this.config.system.version
+                const before = this.auditImage(image);
+                try {
+                    await this.replaceImageFile(image, req.file, this.requestActor(req));
+                } catch (error) {
+                    this.recordUploadFailure(req.file.originalname, error.message);
+                    return res.status(400).json({ error: `Could not process image: ${error.message}` });
+                }
+                this.auditRequest(req, 'image.replace', { target: image.id, before, after: this.auditImage(image) });
+                
+                this.images = this.imageStore.list();
+                this.broadcastImagesList();
+                
+                res.json({ success: true, image });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        this.app.post('/api/images/:id/versions/:version/restore', requireEditor, async (req, res) => {
+            try {
+                const image = this.imageStore.get(req.params.id);
+                if (!image) return res.status(404).json({ error: 'Image not found' });
+                
+                const version = (image.versions || []).find(v => v.version === Number(req.params.version));
+                if (!version) return res.status(404).json({ error: 'Version not found' });
+                
+                const before = this.auditImage(image);
+                await this.restoreImageVersion(image, version, this.requestActor(req));
+                this.auditRequest(req, 'image.version.restore', {
+                    target: image.id,
+                    before,
+                    after: this.auditImage(image),
+                    details: { version: version.version }
                 });
                 
+                this.images = this.imageStore.list();
+                this.broadcastImagesList();
+                
+                res.json({ success: true, image });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
         
-        this.app.get('/admin', (req, res) => {
-            res.sendFile(path.join(__dirname, '..', 'public', 'admin.html'));
+        this.app.get('/api/images/:id/versions/:version/file', requireEditor, (req, res) => {
+            const image = this.imageStore.get(req.params.id);
+            const version = image && (image.versions || []).find(v => v.version === Number(req.params.version));
+            if (!version) return res.status(404).json({ error: 'Version not found' });
+            
+            try {
+                res.sendFile(this.versions.resolve(version.file, this.versions.directory));
+            } catch (error) {
+                res.status(404).json({ error: 'Version not found' });
+            }
         });
         
-        this.app.get('/update-manager', (req, res) => {
-            res.sendFile(path.join(__dirname, '..', 'public', 'update-manager.html'));
+        this.app.delete('/api/images/:id/versions/:version', requireEditor, async (req, res) => {
+            try {
+                const image = this.imageStore.get(req.params.id);
+                if (!image) return res.status(404).json({ error: 'Image not found' });
+                
+                const version = (image.versions || []).find(v => v.version === Number(req.params.version));
+                if (!version) return res.status(404).json({ error: 'Version not found' });
+                
+                await this.versions.remove(version);
+                await this.imageStore.update(image.id, { versions: image.versions.filter(v => v !== version) });
+                this.auditRequest(req, 'image.version.delete', {
+                    target: image.id,
+                    before: { version: version.version, filename: version.filename, checksum: version.checksum }
+                });
+                
+                res.json({ success: true });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
         });
         
-		this.app.get('/', (req, res) => {
-			res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
-		});
-
-		this.app.get('/touch-control', (req, res) => {
-			res.sendFile(path.join(__dirname, '..', 'public', 'touch-control.html'));
-		});
-
-		this.app.get('/admin', (req, res) => {
-			res.sendFile(path.join(__dirname, '..', 'public', 'admin.html'));
-		});
-
-		// Fallback för andra routes
-		this.app.get('*', (req, res) => {
-			res.redirect('/');
-		});
-    }
-    
-    setupWebSocket() {
-        this.wss = new WebSocket.Server({ port: 8081 });
+        this.app.get('/api/documents', (req, res) => {
+            res.json(this.documents.list().map(document => ({
+                ...document,
+                imageIds: this.documents.pages(document.id, this.images).map(img => img.id)
+            })));
+        });
         
-        this.wss.on('connection', (ws) => {
-            console.log('🔗 New WebSocket (info screen)');
-            
-            ws.send(JSON.stringify({
-                type: 'images-list',
-                images: this.images
-            }));
-            
-            ws.on('message', (message) => {
+        // Ändringar gäller alla sidor i dokumentet; position flyttar hela gruppen
+        this.app.put('/api/documents/:id', requireEditor, async (req, res) => {
+            try {
+                const document = this.documents.get(req.params.id);
+                if (!document) return res.status(404).json({ error: 'Document not found' });
+                
+                const body = req.body || {};
+                const firstPage = this.documents.pages(document.id, this.images)[0];
+                const before = AuditLog.pick(JSON.parse(JSON.stringify({ ...firstPage, title: document.title })), Object.keys(body));
+                const changes = {};
+                
+                // Alla fält kontrolleras innan något skrivs, så att ett fel inte lämnar en halv ändring
                 try {
-                    const data = JSON.parse(message);
-                    this.handleWebSocketMessage(ws, data);
+                    if ('schedule' in body) changes.schedule = this.scheduler.normalize(body.schedule);
+                    Object.assign(changes, this.normalizeSlideOptions(body));
                 } catch (error) {
-                    console.error('WebSocket error:', error);
+                    return res.status(400).json({ error: error.message });
                 }
-            });
-        });
-        
-        this.controlWss = new WebSocket.Server({ port: 8082 });
-        
-        this.controlWss.on('connection', (ws) => {
-            console.log('👆 New WebSocket (touch control)');
-            
-            ws.send(JSON.stringify({
-                type: 'current-slide',
-                slideIndex: 0
+                if ('active' in body) changes.active = body.active !== false;
+                
+                if (body.title !== undefined && (typeof body.title !== 'string' || !body.title.trim())) {
+                    return res.status(400).json({ error: 'title must be a non-empty string' });
+                }
+                const position = body.position === undefined ? null : Number(body.position);
+                if (position !== null && (!Number.isInteger(position) || position < 1)) {
+                    return res.status(400).json({ error: 'position must be a positive integer' });
+                }
+                
+                if (body.title !== undefined) await this.documents.update(document.id, { title: body.title.trim() });
+                
+                const pages = this.documents.pages(document.id, this.images);
+                await this.imageStore.updateMany(
+                    pages.map(page => [page.id, body.title !== undefined ? { ...changes, title: this.pageTitle(document, page.page) } : changes]),
+                    position === null ? null : this.documentOrder(document.id, position)
+                );
+                
+                this.images = this.imageStore.list();
+                this.auditRequest(req, 'document.update', {
+                    target: document.id,
+                    before,
+                    after: AuditLog.pick({ ...this.documents.pages(document.id, this.images)[0], title: document.title }, Object.keys(body))
+                });
+                this.broadcastImagesList();
+                
+                res.json({ success: true, document });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        // Ersätt källdokumentet; sidorna renderas om och behåller id, schema och plats
+        this.app.put('/api/documents/:id/file', requireEditor, this.uploadMiddleware('document'), async (req, res) => {
+            const document = this.documents.get(req.params.id);
+            
+            try {
+                if (!req.file) return res.status(400).json({ error: 'No file' });
+                if (!document) {
+                    await fs.unlink(req.file.path).catch(() => {});
+                    return res.status(404).json({ error: 'Document not found' });
+                }
+                if (!this.documentImporter || !this.documentImporter.isDocument(req.file.filename)) {
+                    await fs.unlink(req.file.path).catch(() => {});
+                    return res.status(400).json({ error: 'Invalid file type' });
+                }
+                if (req.file.size > this.uploadLimits().document) {
+                    await fs.unlink(req.file.path).catch(() => {});
+                    return res.status(413).json({ error: 'File too large' });
+                }
+                
+                const previous = { filename: document.filename, originalname: document.originalname };
+                const filename = await this.documentImporter.store(req.file.path);
+                await this.documents.update(document.id, { filename, originalname: req.file.originalname });
+                
+                try {
+                    await this.renderDocumentPages(document);
+                } catch (error) {
+                    await fs.unlink(this.documentImporter.sourcePath(filename)).catch(() => {});
+                    await this.documents.update(document.id, previous);
+                    throw error;
+                }
+                
+                await fs.unlink(this.documentImporter.sourcePath(previous.filename)).catch(() => {});
+                this.auditRequest(req, 'document.replace', {
+                    target: document.id,
+                    before: { originalname: previous.originalname },
+                    after: { originalname: document.originalname, pageCount: document.pageCount }
+                });
+                this.broadcastImagesList();
+                
+                res.json({ success: true, document });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        this.app.delete('/api/documents/:id', requireEditor, async (req, res) => {
+            try {
+                const document = await this.documents.remove(req.params.id);
+                if (!document) return res.status(404).json({ error: 'Document not found' });
+                
+                // Sidorna kan läggas tillbaka från papperskorgen som vanliga bilder
+                for (const page of this.documents.pages(document.id, this.images)) {
+                    await this.trashImage(page, this.requestActor(req));
+                }
+                
+                if (this.documentImporter) {
+                    await fs.unlink(this.documentImporter.sourcePath(document.filename)).catch(() => {});
+                }
+                
+                this.images = this.imageStore.list();
+                this.auditRequest(req, 'document.delete', {
+                    target: document.id,
+                    before: { title: document.title, originalname: document.originalname, pageCount: document.pageCount }
+                });
+                this.broadcastImagesList();
+                
+                res.json({ success: true });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        this.app.get('/api/videos/jobs', requireEditor, (req, res) => {
+            res.json(this.videoProcessor ? this.videoProcessor.getJobs() : []);
+        });
+        
+        this.app.get('/api/thumbnails/jobs', requireEditor, (req, res) => {
+            res.json(this.thumbnails.getJobs());
+        });
+        
+        this.app.get('/api/playlists', (req, res) => {
+            res.json(this.playlists.list());
+        });
+        
+        this.app.get('/api/playlists/:id', (req, res) => {
+            const playlist = this.playlists.get(req.params.id);
+            if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+            res.json({ ...playlist, images: this.playlists.resolve(playlist, this.images) });
+        });
+        
+        this.app.post('/api/playlists', requireEditor, async (req, res) => {
+            try {
+                const playlist = await this.playlists.create(req.body || {});
+                this.auditRequest(req, 'playlist.create', { target: playlist.id, after: playlist });
+                this.broadcastImagesList();
+                res.status(201).json({ success: true, playlist });
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+        
+        this.app.put('/api/playlists/:id', requireEditor, async (req, res) => {
+            try {
+                const current = this.playlists.get(req.params.id);
+                const before = current ? JSON.parse(JSON.stringify(current)) : null;
+                const playlist = await this.playlists.update(req.params.id, req.body || {});
+                if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+                
+                this.auditRequest(req, 'playlist.update', { target: playlist.id, before, after: playlist });
+                this.broadcastImagesList();
+                res.json({ success: true, playlist });
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+        
+        this.app.delete('/api/playlists/:id', requireEditor, async (req, res) => {
+            try {
+                const playlist = await this.playlists.remove(req.params.id);
+                if (!playlist) return res.status(404).json({ error: 'Playlist not found' });
+                
+                this.auditRequest(req, 'playlist.delete', { target: playlist.id, before: playlist });
+                this.broadcastImagesList();
+                res.json({ success: true });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        this.app.get('/api/screens', (req, res) => {
+            res.json(this.playlists.screens);
+        });
+        
+        // Koppla en skärm till en spellista ({ playlistId: null } = standardlistan)
+        this.app.put('/api/screens/:screenId', requireEditor, async (req, res) => {
+            try {
+                const screenId = this.parseScreenId(req.params.screenId);
+                if (!screenId) return res.status(400).json({ error: 'Invalid screen id' });
+                
+                const playlistId = req.body ? req.body.playlistId : undefined;
+                if (playlistId === undefined) return res.status(400).json({ error: 'playlistId is required' });
+                
+                const before = this.playlists.screens[screenId] || null;
+                const screens = await this.playlists.assignScreen(screenId, playlistId);
+                this.auditRequest(req, 'screen.assign', {
+                    target: screenId,
+                    before: { playlistId: before },
+                    after: { playlistId: screens[screenId] || null }
+                });
+                this.broadcastImagesList();
+                res.json({ success: true, screens });
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+        
+        // Anslutna och tidigare sedda skärmar och touchpaneler
+        this.app.get('/api/clients', requireEditor, (req, res) => {
+            res.json({
+                heartbeatInterval: ClientRegistry.HEARTBEAT_INTERVAL,
+                clients: this.clients.list()
+            });
+        });
+        
+        this.app.post('/api/clients/:id/reload', requireEditor, (req, res) => {
+            const client = this.clients.get(req.params.id);
+            if (!client) return res.status(404).json({ error: 'Client not found' });
+            
+            const sent = this.clients.send(client.id, { type: 'reload' });
+            if (sent === 0) return res.status(409).json({ error: 'Client is not connected' });
+            
+            console.log(`🔄 Reload requested: ${client.screenId || client.id}`);
+            this.auditRequest(req, 'client.reload', { target: client.id });
+            res.json({ success: true });
+        });
+        
+        this.app.delete('/api/clients/:id', requireEditor, async (req, res) => {
+            try {
+                if (!this.clients.get(req.params.id)) return res.status(404).json({ error: 'Client not found' });
+                
+                const client = await this.clients.remove(req.params.id);
+                if (!client) return res.status(409).json({ error: 'Client is still connected' });
+                await this.screenshots.remove(client.id);
+                this.auditRequest(req, 'client.delete', { target: client.id });
+                
+                res.json({ success: true });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        // Ber en skärm fotografera det den visar; bilden laddas upp till /api/screenshots/:requestId
+        this.app.post('/api/clients/:id/screenshot', requireEditor, (req, res) => {
+            const client = this.clients.get(req.params.id);
+            if (!client) return res.status(404).json({ error: 'Client not found' });
+            if (client.kind !== 'display') return res.status(400).json({ error: 'Only display clients can take screenshots' });
+            
+            const requestId = this.screenshots.request(client.id);
+            const sent = this.clients.send(client.id, {
+                type: 'capture-screenshot',
+                requestId,
+                uploadUrl: `/api/screenshots/${requestId}`
+            });
+            if (sent === 0) {
+                this.screenshots.take(requestId);
+                return res.status(409).json({ error: 'Client is not connected' });
+            }
+            
+            res.status(202).json({ success: true, requestId });
+        });
+        
+        // Skärmen är inte inloggad; biljetten från WebSocket-meddelandet är beviset
+        this.app.post('/api/screenshots/:requestId',
+            express.raw({ type: ['image/jpeg', 'image/png'], limit: this.screenshots.maxSize }),
+            async (req, res) => {
+                try {
+                    const clientId = this.screenshots.take(req.params.requestId);
+                    if (!clientId) return res.status(403).json({ error: 'Unknown or expired screenshot request' });
+                    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+                        return res.status(400).json({ error: 'Expected a JPEG or PNG body' });
+                    }
+                    
+                    const screenshot = await this.screenshots.save(clientId, req.body);
+                    await this.clients.setScreenshot(clientId, screenshot);
+                    console.log(`📸 Screenshot from ${clientId}: ${screenshot.filename}`);
+                    
+                    res.json({ success: true, screenshot });
+                } catch (error) {
+                    res.status(400).json({ error: error.message });
+                }
+            });
+        
+        this.app.get('/api/clients/:id/screenshots', requireEditor, async (req, res) => {
+            try {
+                if (!this.clients.get(req.params.id)) return res.status(404).json({ error: 'Client not found' });
+                
+                const files = await this.screenshots.list(req.params.id);
+                res.json(files.map(filename => ({
+                    filename,
+                    url: `/api/clients/${encodeURIComponent(req.params.id)}/screenshots/${filename}`
+                })));
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        // :filename kan vara "latest"
+        this.app.get('/api/clients/:id/screenshots/:filename', requireEditor, async (req, res) => {
+            try {
+                const file = await this.screenshots.resolve(req.params.id, req.params.filename);
+                if (!file) return res.status(404).json({ error: 'Screenshot not found' });
+                
+                res.set('Cache-Control', 'no-store');
+                res.sendFile(file);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        // Aktiva larmmeddelanden; skärmarna får dem också via WebSocket
+        this.app.get('/api/alerts', (req, res) => {
+            res.json(this.emergencyAlerts.active());
+        });
+        
+        this.app.get('/api/alerts/history', requireEditor, (req, res) => {
+            res.json(this.emergencyAlerts.list());
+        });
+        
+        // Helskärmsmeddelande som tar över alla skärmar direkt
+        this.app.post('/api/alerts', requireEditor, async (req, res) => {
+            let alert;
+            try {
+                alert = await this.emergencyAlerts.create(req.body || {}, this.requestActor(req));
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            
+            console.log(`🚨 Emergency alert (${alert.severity}): ${alert.title}`);
+            this.auditRequest(req, 'alert.create', {
+                target: alert.id,
+                after: { severity: alert.severity, title: alert.title, message: alert.message, expiresAt: alert.expiresAt }
+            });
+            this.broadcastEmergencyAlerts();
+            res.status(201).json({ success: true, alert });
+        });
+        
+        this.app.post('/api/alerts/:id/acknowledge', requireEditor, async (req, res) => {
+            try {
+                const alert = await this.emergencyAlerts.acknowledge(req.params.id, this.requestActor(req));
+                if (!alert) return res.status(404).json({ error: 'Alert not found' });
+                
+                this.auditRequest(req, 'alert.acknowledge', { target: alert.id });
+                this.broadcastEmergencyAlerts();
+                res.json({ success: true, alert });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        this.app.post('/api/alerts/:id/clear', requireEditor, async (req, res) => {
+            try {
+                const alert = await this.emergencyAlerts.clear(req.params.id, this.requestActor(req));
+                if (!alert) return res.status(404).json({ error: 'Alert not found' });
+                
+                console.log(`✅ Emergency alert cleared: ${alert.title}`);
+                this.auditRequest(req, 'alert.clear', { target: alert.id });
+                this.broadcastEmergencyAlerts();
+                res.json({ success: true, alert });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        // Standardvärden för spelaren; bilder kan ha egen duration och transition
+        this.app.get('/api/slideshow', (req, res) => {
+            res.json(this.getSlideshowSettings());
+        });
+        
+        this.app.get('/api/weather', async (req, res) => {
+            try {
+                if (!this.config.weather.enabled) return res.json({ enabled: false });
+                if (!this.weather) throw new Error('Weather provider not configured');
+                
+                const weatherData = await this.weather.getWeather();
+                res.json(weatherData);
+                
+            } catch (error) {
+                console.error('Weather failed:', error.message);
+                res.status(503).json({ error: error.message });
+            }
+        });
+        
+        this.app.get('/api/calendar', async (req, res) => {
+            try {
+                if (!this.config.calendar.enabled) return res.json({ enabled: false, events: [] });
+                
+                const calendar = await this.calendar.getEvents();
+                res.json(calendar);
+                
+            } catch (error) {
+                console.error('Calendar failed:', error.message);
+                res.status(503).json({ error: error.message, events: [] });
+            }
+        });
+        
+        // Väntande uppdatering, underhållsfönster och uppskjutning; auto-update.js installerar
+        this.app.get('/api/update/status', requireEditor, async (req, res) => {
+            try {
+                res.json(await this.updateStatus());
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        this.app.put('/api/update/deferral', requireEditor, async (req, res) => {
+            let deferral;
+            try {
+                deferral = await this.updateState.defer((req.body || {}).until, this.requestActor(req));
+            } catch (error) {
+                return res.status(400).json({ error: error.message });
+            }
+            
+            console.log(`⏸️  Updates deferred until ${deferral.until}`);
+            this.auditRequest(req, 'update.defer', { after: { until: deferral.until } });
+            res.json({ success: true, ...await this.updateStatus() });
+        });
+        
+        this.app.delete('/api/update/deferral', requireEditor, async (req, res) => {
+            try {
+                const deferral = await this.updateState.clearDeferral();
+                if (deferral) {
+                    console.log('▶️  Update deferral cleared');
+                    this.auditRequest(req, 'update.defer.clear', { before: { until: deferral.until } });
+                }
+                res.json({ success: true, ...await this.updateStatus() });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        // Uppdateringshanteraren (/update-manager); anropen går vidare till auto-update.js
+        this.app.post('/api/update/check', requireEditor, async (req, res) => {
+            await this.proxyToUpdater(res, 'POST', '/check');
+        });
+        
+        this.app.post('/api/update/start', requireEditor, async (req, res) => {
+            const force = Boolean(req.body && req.body.force);
+            if (await this.proxyToUpdater(res, 'POST', '/update', { force })) {
+                console.log('📦 Update started from update manager');
+                this.auditRequest(req, 'update.start', { details: { force } });
+            }
+        });
+        
+        this.app.get('/api/update/backups', requireEditor, async (req, res) => {
+            await this.proxyToUpdater(res, 'GET', '/backups');
+        });
+        
+        // { type: 'full' | 'content' }
+        this.app.post('/api/update/backups', requireEditor, async (req, res) => {
+            const result = await this.proxyToUpdater(res, 'POST', '/backups', { type: (req.body || {}).type });
+            if (result) this.auditRequest(req, 'update.backup.create', { target: result.backup.name, details: { type: result.backup.type } });
+        });
+        
+        // Inställningar och innehåll som .tar.gz, för att klona skärmen till en ny Raspberry Pi
+        this.app.get('/api/update/export', requireEditor, async (req, res) => {
+            try {
+                const status = await this.updater.pipe('GET', '/export', req, res);
+                if (status === 200) this.auditRequest(req, 'update.export');
+            } catch (error) {
+                if (!res.headersSent) res.status(503).json({ error: error.message });
+            }
+        });
+        
+        this.app.post('/api/update/import', requireEditor, async (req, res) => {
+            try {
+                const status = await this.updater.pipe('POST', '/import', req, res);
+                if (status === 202) {
+                    console.log('📦 Bundle import started from update manager');
+                    this.auditRequest(req, 'update.import', { details: { size: Number(req.headers['content-length']) || null } });
+                }
+            } catch (error) {
+                if (!res.headersSent) res.status(503).json({ error: error.message });
+            }
+        });
+        
+        this.app.post('/api/update/backups/:name/restore', requireEditor, async (req, res) => {
+            const name = req.params.name;
+            if (await this.proxyToUpdater(res, 'POST', `/backups/${encodeURIComponent(name)}/restore`)) {
+                console.log(`📦 Restore of ${name} started from update manager`);
+                this.auditRequest(req, 'update.backup.restore', { target: name });
+            }
+        });
+        
+        // Förloppet som server-sent events. Webbservern startas om under en uppdatering;
+        // EventSource ansluter då igen av sig själv och får senaste status först
+        this.app.get('/api/update/events', requireEditor, (req, res) => {
+            res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+            res.flushHeaders();
+            res.write('retry: 5000\n\n');
+            
+            const socket = this.updater.connect();
+            socket.on('message', data => res.write(`data: ${data}\n\n`));
+            socket.on('error', () => {});
+            socket.on('close', () => {
+                res.write(`data: ${JSON.stringify({ type: 'disconnected' })}\n\n`);
+                res.end();
+            });
+            req.on('close', () => socket.terminate());
+        });
+        
+        this.app.get('/api/health', (req, res) => {
+            res.json({
+                status: 'healthy',
+                version: this.packageVersion,
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                images: this.images.length
+            });
+        });
+        
+        this.app.get('/api/system', async (req, res) => {
+            try {
+                const si = require('systeminformation');
+                const [cpu, mem] = await Promise.all([si.cpu(), si.mem()]);
+                
+                res.json({
+                    memory: {
+                        total: mem.total,
+                        used: mem.used,
+                        percent: (mem.used / mem.total * 100).toFixed(1)
+                    },
+                    images: this.images.length,
+                    version: this.config.system.version
+                });
+                
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+        
+        this.app.get('/admin', (req, res) => {
+            res.sendFile(path.join(__dirname, '..', 'public', 'admin.html'));
+        });
+        
+        this.app.get('/update-manager', (req, res) => {
+            res.sendFile(path.join(__dirname, '..', 'public', 'update-manager.html'));
+        });
+        
+        this.app.get('/status', (req, res) => {
+            res.sendFile(path.join(__dirname, '..', 'public', 'status.html'));
+        });
+        
+		this.app.get('/', (req, res) => {
+			res.sendFile(path.join(__dirname, '..', 'public', 'index.html'));
+		});
+
+		this.app.get('/login', (req, res) => {
+			res.sendFile(path.join(__dirname, '..', 'public', 'login.html'));
+		});
+
+		this.app.get('/touch-control', (req, res) => {
+			res.sendFile(path.join(__dirname, '..', 'public', 'touch-control.html'));
+		});
+
+		this.app.get('/admin', (req, res) => {
+			res.sendFile(path.join(__dirname, '..', 'public', 'admin.html'));
+		});
+
+		// Fallback för andra routes
+		this.app.get('*', (req, res) => {
+			res.redirect('/');
+		});
+    }
+    
+    setupWebSocket() {
+        this.wss = new WebSocket.Server({ port: 8081 });
+        
+        this.wss.on('connection', (ws, req) => {
+            if (!this.auth.isIpAllowed(req)) {
+                ws.close(4403, 'Access denied');
+                return;
+            }
+            
+            // Skärmen identifierar sig med ?screen=<id> och ?client=<id> i anslutnings-URL:en
+            const params = new URL(req.url, 'http://localhost').searchParams;
+            ws.screenId = this.parseScreenId(params.get('screen'));
+            ws.remoteAddress = req.socket.remoteAddress;
+            console.log(`🔗 New WebSocket (info screen${ws.screenId ? `: ${ws.screenId}` : ''})`);
+            if (!this.registerClient(ws, req, 'display', params)) return;
+            this.screenConnected(ws);
+            
+            ws.send(JSON.stringify({
+                type: 'images-list',
+                images: this.getEligibleImages(new Date(), ws.screenId)
             }));
+            ws.send(JSON.stringify({ type: 'emergency-alerts', alerts: this.emergencyAlerts.active() }));
+            
+            ws.on('message', (message) => {
+                try {
+                    const data = JSON.parse(message);
+                    this.handleWebSocketMessage(ws, data);
+                } catch (error) {
+                    console.error('WebSocket error:', error);
+                }
+            });
+            
+            ws.on('close', () => {
+                this.clients.disconnect(ws);
+                this.screenDisconnected(ws);
+            });
+        });
+        
+        this.controlWss = new WebSocket.Server({ port: 8082 });
+        
+        this.controlWss.on('connection', (ws, req) => {
+            if (!this.auth.isIpAllowed(req)) {
+                ws.close(4403, 'Access denied');
+                return;
+            }
+            
+            // Styrning kräver inloggning som controller eller editor
+            if (!this.auth.hasRole(req, 'controller')) {
+                ws.close(4401, 'Authentication required');
+                return;
+            }
+            
+            const params = new URL(req.url, 'http://localhost').searchParams;
+            ws.screenId = this.parseScreenId(params.get('screen'));
+            ws.auditActor = { actor: this.requestRole(req), ip: req.socket.remoteAddress };
+            console.log(`👆 New WebSocket (touch control${ws.screenId ? `: ${ws.screenId}` : ''})`);
+            if (!this.registerClient(ws, req, 'control', params)) return;
+            
+            ws.send(JSON.stringify({
+                type: 'current-slide',
+                slideIndex: 0
+            }));
+            ws.send(JSON.stringify({ type: 'emergency-alerts', alerts: this.emergencyAlerts.active() }));
+            
+            ws.on('message', (message) => {
+                try {
+                    const data = JSON.parse(message);
+                    this.handleControlMessage(ws, data);
+                } catch (error) {
+                    console.error('Control error:', error);
+                }
+            });
+            
+            ws.on('close', () => this.clients.disconnect(ws));
+        });
+        
+        console.log('✅ WebSocket servers started');
+    }
+    
+    registerClient(ws, req, kind, params) {
+        const registered = this.clients.connect(ws, {
+            kind,
+            clientId: params.get('client'),
+            token: params.get('token'),
+            screenId: ws.screenId,
+            ip: req.socket.remoteAddress,
+            userAgent: req.headers['user-agent'] || ''
+        });
+        
+        if (!registered) {
+            console.warn(`⚠️ Refused ${kind} connection from ${req.socket.remoteAddress}: client id ${params.get('client')} belongs to another client`);
+            ws.close(4409, 'Client id is in use');
+            return false;
+        }
+        
+        // Klienten får sitt id tillbaka om servern fick hitta på ett, och sin token första gången
+        ws.send(JSON.stringify({
+            type: 'welcome',
+            clientId: registered.client.id,
+            ...(registered.token && { token: registered.token }),
+            heartbeatInterval: ClientRegistry.HEARTBEAT_INTERVAL
+        }));
+        return true;
+    }
+    
+    handleWebSocketMessage(ws, data) {
+        switch (data.type) {
+            case 'heartbeat':
+                this.clients.heartbeat(ws, data);
+                break;
+            case 'screenshot-failed':
+                this.screenshots.take(data.requestId);
+                this.clients.addErrors(ws.clientId, [`Screenshot failed: ${data.error}`]);
+                console.warn(`⚠️  Screenshot failed on ${ws.clientId}: ${data.error}`);
+                break;
+            case 'identify':
+                ws.screenId = this.parseScreenId(data.screenId);
+                this.screenConnected(ws);
+                ws.send(JSON.stringify({
+                    type: 'images-list',
+                    images: this.getEligibleImages(new Date(), ws.screenId)
+                }));
+                break;
+            case 'slide-changed':
+                this.broadcastToControl({
+                    type: 'current-slide',
+                    slideIndex: data.slideIndex
+                }, ws.screenId);
+                break;
+            case 'play-state':
+                this.broadcastToControl({
+                    type: 'play-state',
+                    isPlaying: data.isPlaying
+                }, ws.screenId);
+                break;
+        }
+    }
+    
+    handleControlMessage(ws, data) {
+        switch (data.type) {
+            case 'heartbeat':
+                this.clients.heartbeat(ws, data);
+                break;
+            case 'navigate':
+                this.audit.record({ action: 'control.navigate', ...ws.auditActor, target: ws.screenId, details: { slideIndex: data.slideIndex } });
+                this.broadcastToAll({
+                    type: 'navigate-to',
+                    slideIndex: data.slideIndex
+                }, ws.screenId);
+                break;
+            case 'playPause':
+                this.audit.record({ action: 'control.playPause', ...ws.auditActor, target: ws.screenId, details: { isPlaying: data.isPlaying } });
+                this.broadcastToAll({
+                    type: 'play-pause',
+                    isPlaying: data.isPlaying
+                }, ws.screenId);
+                break;
+            case 'request-images':
+                ws.send(JSON.stringify({
+                    type: 'images-list',
+                    images: this.getEligibleImages(new Date(), ws.screenId)
+                }));
+                break;
+        }
+    }
+    
+    // Skärmar utan id känns igen på sin IP-adress
+    screenKey(ws) {
+        return ws.screenId || ws.remoteAddress || 'unknown';
+    }
+    
+    screenConnected(ws) {
+        const key = this.screenKey(ws);
+        const silent = this.silentScreens.get(key);
+        if (!silent) return;
+        
+        clearTimeout(silent.timer);
+        this.silentScreens.delete(key);
+        
+        if (silent.alerted) {
+            console.log(`🔗 Screen back online: ${key}`);
+            this.alerts.send({
+                key: `screen-online:${key}`,
+                severity: 'info',
+                subject: `Screen ${key} is back online`,
+                message: `Screen ${key} reconnected after being silent since ${silent.since}.`
+            });
+        }
+    }
+    
+    // Larmar om skärmen inte har anslutit igen inom screenSilentAfter
+    screenDisconnected(ws) {
+        const key = this.screenKey(ws);
+        const stillConnected = [...this.wss.clients].some(client => client !== ws && this.screenKey(client) === key);
+        if (stillConnected || this.silentScreens.has(key)) return;
+        
+        const silent = { since: new Date().toISOString(), alerted: false, timer: null };
+        silent.timer = setTimeout(() => {
+            silent.alerted = true;
+            console.warn(`⚠️  Screen silent: ${key}`);
+            this.alerts.send({
+                key: `screen-silent:${key}`,
+                severity: 'warning',
+                subject: `Screen ${key} has gone silent`,
+                message: `Screen ${key} disconnected at ${silent.since} and has not reconnected.`
+            });
+        }, this.config.notifications.screenSilentAfter || 300000);
+        
+        this.silentScreens.set(key, silent);
+    }
+    
+    // Larmar när uppladdningar upprepade gånger misslyckas inom tio minuter
+    recordUploadFailure(filename, reason) {
+        const now = Date.now();
+        this.uploadFailures = this.uploadFailures.filter(failure => now - failure.time < 600000);
+        this.uploadFailures.push({ time: now, filename: filename || 'unknown', reason });
+        
+        const threshold = this.config.notifications.uploadFailureThreshold || 3;
+        if (this.uploadFailures.length < threshold) return;
+        
+        this.alerts.send({
+            key: 'upload-failures',
+            severity: 'warning',
+            subject: `${this.uploadFailures.length} failed uploads in the last 10 minutes`,
+            message: this.uploadFailures
+                .map(failure => `${new Date(failure.time).toISOString()}  ${failure.filename}: ${failure.reason}`)
+                .join('\n')
+        });
+    }
+    
+    // Med screenId skickas meddelandet bara till skärmar med det id:t
+    broadcastToAll(message, screenId = null) {
+        if (!this.wss) return;
+        const messageStr = JSON.stringify(message);
+        this.wss.clients.forEach(client => {
+            if (screenId && client.screenId !== screenId) return;
+            if (client.readyState === WebSocket.OPEN) client.send(messageStr);
+        });
+    }
+    
+    // Skärmar utan tilldelad spellista visar hela biblioteket
+    getEligibleImages(now = new Date(), screenId = null) {
+        return this.scheduler.filter(this.getScreenImages(screenId), now);
+    }
+    
+    // Skärmens aktiva bilder oavsett schema; skärmen sparar dem och schemalägger själv när den är offline
+    getScreenImages(screenId = null) {
+        const playlist = this.playlists ? this.playlists.getScreenPlaylist(screenId) : null;
+        const images = playlist ? this.playlists.resolve(playlist, this.images) : this.images;
+        return images.filter(img => img.active !== false && this.isPlayable(img))
+            .map(img => this.resolveTemplate(img));
+    }
+    
+    normalizeTemplate(template) {
+        return this.templates.normalize(template, {
+            imageExists: id => {
+                const image = this.imageStore.get(id);
+                return Boolean(image) && image.type === 'image';
+            }
+        });
+    }
+    
+    // Bild-och-bildtext-mallar pekar på en bild i biblioteket; skärmen behöver filnamnet
+    resolveTemplate(img) {
+        if (img.type !== 'template' || img.template.layout !== 'image-caption') return img;
+        
+        const image = this.imageStore.get(img.template.imageId);
+        return { ...img, template: { ...img.template, image: image ? image.filename : null } };
+    }
+    
+    // Videor som inte är färdigbehandlade kan inte spelas upp
+    isPlayable(image) {
+        return image.type !== 'video' || (image.video && image.video.status === 'ready');
+    }
+    
+    uploadLimits() {
+        const image = this.config.images.maxFileSize || 5242880;
+        return {
+            image,
+            video: this.videoProcessor ? this.config.video.maxFileSize || image : 0,
+            document: this.documentImporter ? this.config.documents.maxFileSize || image : 0,
+            archive: this.config.images.maxArchiveSize || 209715200
+        };
+    }
+    
+    // Byggs per anrop så att ändrade gränser i konfigurationen gäller direkt
+    uploadMiddleware(field) {
+        return (req, res, next) => this.createUpload().single(field)(req, res, error => {
+            if (!error) return next();
             
-            ws.on('message', (message) => {
-                try {
-                    const data = JSON.parse(message);
-                    this.handleControlMessage(ws, data);
-                } catch (error) {
-                    console.error('Control error:', error);
-                }
-            });
+            this.recordUploadFailure(req.file && req.file.originalname, error.message);
+            res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: error.message });
         });
+    }
+    
+    // Multer-gränsen är den största; varje filtyp kontrolleras mot sin egen efteråt
+    createUpload() {
+        const limits = this.uploadLimits();
         
-        console.log('✅ WebSocket servers started');
+        return multer({
+            dest: this.imagesDir,
+            limits: {
+                fileSize: Math.max(limits.image, limits.video, limits.document, limits.archive)
+            },
+            fileFilter: (req, file, cb) => {
+                const ext = path.extname(file.originalname).toLowerCase();
+                if (this.config.images.allowedExtensions.includes(ext) ||
+                    this.getVideoExtensions().includes(ext) ||
+                    this.getDocumentExtensions().includes(ext) ||
+                    this.zipImporter.isArchive(file.originalname)) {
+                    cb(null, true);
+                } else {
+                    cb(new Error('Invalid file type'));
+                }
+            },
+            storage: multer.diskStorage({
+                destination: this.imagesDir,
+                filename: (req, file, cb) => {
+                    const timestamp = Date.now();
+                    const name = path.parse(file.originalname).name;
+                    const ext = path.extname(file.originalname);
+                    cb(null, `${name}_${timestamp}${ext}`);
+                }
+            })
+        });
     }
     
-    handleWebSocketMessage(ws, data) {
-        switch (data.type) {
-            case 'slide-changed':
-                this.broadcastToControl({
-                    type: 'current-slide',
-                    slideIndex: data.slideIndex
-                });
-                break;
-            case 'play-state':
-                this.broadcastToControl({
-                    type: 'play-state',
-                    isPlaying: data.isPlaying
-                });
-                break;
+    getSlideshowSettings() {
+        const slideshow = this.config.slideshow || {};
+        return {
+            slideDuration: slideshow.slideDuration || 10000,
+            transitionDuration: slideshow.transitionDuration !== undefined ? slideshow.transitionDuration : 1000,
+            transition: InfoScreenServer.TRANSITIONS.includes(slideshow.transition) ? slideshow.transition : 'fade',
+            autoPlay: slideshow.autoPlay !== false,
+            shuffle: slideshow.shuffle === true,
+            showInfo: slideshow.showInfo !== false
+        };
+    }
+    
+    // Validerar visningstid (ms, null = standard) och övergång för en bild. Kastar vid fel.
+    normalizeSlideOptions(fields) {
+        const result = {};
+        
+        if ('duration' in fields) {
+            const duration = fields.duration === null || fields.duration === '' ? null : Number(fields.duration);
+            if (duration !== null && (!Number.isFinite(duration) || duration < 1000)) {
+                throw new Error('duration must be at least 1000 ms or null');
+            }
+            result.duration = duration;
+        }
+        
+        if ('transition' in fields) {
+            const transition = fields.transition || null;
+            if (transition !== null && !InfoScreenServer.TRANSITIONS.includes(transition)) {
+                throw new Error(`transition must be one of ${InfoScreenServer.TRANSITIONS.join(', ')}`);
+            }
+            result.transition = transition;
         }
+        
+        return result;
     }
     
-    handleControlMessage(ws, data) {
-        switch (data.type) {
-            case 'navigate':
-                this.broadcastToAll({
-                    type: 'navigate-to',
-                    slideIndex: data.slideIndex
-                });
-                break;
-            case 'playPause':
-                this.broadcastToAll({
-                    type: 'play-pause',
-                    isPlaying: data.isPlaying
-                });
-                break;
-            case 'request-images':
-                ws.send(JSON.stringify({
+    getDocumentExtensions() {
+        return this.documentImporter ? this.documentImporter.getExtensions() : [];
+    }
+    
+    getVideoExtensions() {
+        return this.videoProcessor ? this.config.video.allowedExtensions || ['.mp4', '.webm'] : [];
+    }
+    
+    parseScreenId(value) {
+        return typeof value === 'string' && /^[a-z0-9_-]{1,40}$/i.test(value) ? value.toLowerCase() : null;
+    }
+    
+    // Skickar aktuell spellista till skärmar och touchpaneler, per skärm-id
+    broadcastImagesList() {
+        const now = new Date();
+        const lists = new Map();
+        const listFor = (screenId) => {
+            if (!lists.has(screenId)) {
+                lists.set(screenId, JSON.stringify({
                     type: 'images-list',
-                    images: this.images
+                    images: this.getEligibleImages(now, screenId)
                 }));
-                break;
+            }
+            return lists.get(screenId);
+        };
+        
+        for (const server of [this.wss, this.controlWss]) {
+            if (!server) continue;
+            server.clients.forEach(client => {
+                if (client.readyState === WebSocket.OPEN) client.send(listFor(client.screenId || null));
+            });
         }
+        
+        this.scheduler.markBroadcast(this.images);
     }
     
-    broadcastToAll(message) {
-        if (!this.wss) return;
-        const messageStr = JSON.stringify(message);
-        this.wss.clients.forEach(client => {
-            if (client.readyState === WebSocket.OPEN) client.send(messageStr);
+    startScheduler() {
+        this.scheduler.start(() => this.images, (images) => {
+            console.log(`🗓️ Schedule changed: ${images.length} slide(s) eligible`);
+            this.broadcastImagesList();
         });
     }
     
-    broadcastToControl(message) {
+    broadcastEmergencyAlerts() {
+        const message = { type: 'emergency-alerts', alerts: this.emergencyAlerts.active() };
+        this.broadcastToAll(message);
+        this.broadcastToControl(message);
+        this.scheduleEmergencyExpiry();
+    }
+    
+    // Skicka ny lista när nästa meddelande går ut
+    scheduleEmergencyExpiry() {
+        clearTimeout(this.emergencyTimer);
+        const next = this.emergencyAlerts.nextExpiry();
+        if (!next) return;
+        
+        // setTimeout klarar högst ~24 dagar
+        const delay = Math.min(Math.max(next - Date.now(), 0) + 500, 2147483647);
+        this.emergencyTimer = setTimeout(() => {
+            console.log('⌛ Emergency alert expired');
+            this.broadcastEmergencyAlerts();
+        }, delay);
+    }
+    
+    // Underlag för "uppdatering väntar" i adminpanelen
+    async updateStatus(now = new Date()) {
+        let pending = await this.updateState.pending();
+        // Installerad på annat sätt (t.ex. --force) sedan auto-update.js sparade den
+        if (pending && pending.version.replace(/^v/, '') === this.packageVersion) pending = null;
+        
+        const next = this.maintenance.next(now);
+        return {
+            autoUpdate: this.config.update.autoUpdate !== false,
+            currentVersion: this.packageVersion,
+            maintenanceWindows: this.maintenance.windows,
+            windowOpen: this.maintenance.isOpen(now),
+            nextWindow: next ? next.toISOString() : null,
+            emergencyBypass: this.config.update.emergencyBypass !== false,
+            pending,
+            deferral: await this.updateState.deferral(now),
+            updater: await this.updater.status()
+        };
+    }
+    
+    // Svarar med auto-update.js svar, eller 503 om tjänsten inte körs; returnerar svaret vid framgång
+    async proxyToUpdater(res, method, pathname, body = null) {
+        try {
+            const { status, data } = await this.updater.request(method, pathname, body);
+            res.status(status).json(data);
+            return status < 400 ? data : null;
+        } catch (error) {
+            res.status(503).json({ error: error.message });
+            return null;
+        }
+    }
+    
+    // Inloggad roll; utan inloggning påslagen räknas alla som editor
+    requestRole(req) {
+        const session = this.auth.getSession(req);
+        return session ? session.role : (this.auth.enabled ? 'anonymous' : 'editor');
+    }
+    
+    // Vem som gjorde ändringen, för historik och loggar
+    requestActor(req) {
+        return `${this.requestRole(req)}@${req.ip}`;
+    }
+    
+    auditRequest(req, action, fields = {}) {
+        return this.audit.record({ action, actor: this.requestRole(req), ip: req.ip, ...fields });
+    }
+    
+    // Det som räcker för att känna igen en bild i revisionsloggen
+    auditImage(image) {
+        return {
+            title: image.title,
+            filename: image.filename,
+            originalname: image.originalname,
+            type: image.type || 'image',
+            checksum: image.checksum
+        };
+    }
+    
+    // Uppladdad bild/video eller dokument, från ett enskilt anrop eller ur ett ZIP-arkiv
+    auditUpload(req, result, archive = null) {
+        const details = archive ? { archive } : undefined;
+        if (result.document) {
+            const document = result.document;
+            this.auditRequest(req, 'document.upload', {
+                target: document.id,
+                after: { title: document.title, originalname: document.originalname, pageCount: document.pageCount },
+                details
+            });
+        } else if (result.image) {
+            this.auditRequest(req, 'image.upload', { target: result.image.id, after: this.auditImage(result.image), details });
+        }
+    }
+    
+    // Touchpaneler utan skärm-id får meddelanden från alla skärmar
+    broadcastToControl(message, screenId = null) {
         if (!this.controlWss) return;
         const messageStr = JSON.stringify(message);
         this.controlWss.clients.forEach(client => {
+            if (screenId && client.screenId && client.screenId !== screenId) return;
             if (client.readyState === WebSocket.OPEN) client.send(messageStr);
         });
     }
     
     async loadImages() {
         try {
-            const imagesPath = path.join(__dirname, '..', 'images');
-            await fs.access(imagesPath);
-            const files = await fs.readdir(imagesPath);
-            
-            this.images = files
-                .filter(file => {
-                    const ext = path.extname(file).toLowerCase();
-                    return this.config.images.allowedExtensions.includes(ext);
-                })
-                .map((file, index) => ({
-                    id: index + 1,
-                    filename: file,
-                    originalname: file,
-                    title: path.parse(file).name.replace(/[-_]/g, ' '),
-                    description: '',
-                    order: index + 1,
-                    active: true,
-                    uploaded: new Date().toISOString(),
-                    path: `/images/${file}`
-                }));
+            this.imageStore = new ImageStore({
+                directory: this.imagesDir,
+                allowedExtensions: this.config.images.allowedExtensions,
+                videoExtensions: this.getVideoExtensions()
+            });
+            
+            await this.imageStore.load();
+            this.images = this.imageStore.list();
             
             console.log(`✅ Loaded ${this.images.length} images`);
             
+            // Videor som lagts till manuellt eller avbröts vid omstart
+            if (this.videoProcessor) {
+                this.images
+                    .filter(img => img.type === 'video' && img.video && img.video.status === 'pending')
+                    .forEach(img => this.videoProcessor.enqueue(img));
+            }
+            
+            this.processMissingRenditions().catch(error => console.error('Image processing failed:', error));
+            this.thumbnails.start().catch(error => console.error('Thumbnail service failed:', error.message));
+            
         } catch (error) {
             console.error('Failed to load images:', error);
             this.images = [];
         }
     }
     
-    async generateThumbnail(imageData) {
+    async loadPlaylists() {
+        try {
+            await this.playlists.load();
+            console.log(`✅ Loaded ${this.playlists.list().length} playlist(s)`);
+        } catch (error) {
+            console.error('Failed to load playlists:', error);
+        }
+    }
+    
+    async loadDocuments() {
+        try {
+            await this.documents.load();
+            console.log(`✅ Loaded ${this.documents.list().length} document(s)`);
+        } catch (error) {
+            console.error('Failed to load documents:', error);
+        }
+    }
+    
+    // Bild, video eller dokument efter filändelse; null om filtypen inte tas emot
+    uploadType(filename) {
+        const ext = path.extname(filename).toLowerCase();
+        if (this.imageStore.isVideoFile(filename)) return 'video';
+        if (this.getDocumentExtensions().includes(ext)) return 'document';
+        if (this.config.images.allowedExtensions.includes(ext)) return 'image';
+        return null;
+    }
+    
+    // Importerar en uppladdad eller uppackad fil. Returnerar { status, body } för API-svaret.
+    async importFile(file, { broadcast = true } = {}) {
+        // Gränsen i multer är den största; varje filtyp har sin egen
+        const type = this.uploadType(file.filename);
+        if (!type) {
+            await fs.unlink(file.path).catch(() => {});
+            return { status: 400, body: { error: 'Invalid file type' } };
+        }
+        if (file.size > this.uploadLimits()[type]) {
+            await fs.unlink(file.path).catch(() => {});
+            this.recordUploadFailure(file.originalname, 'File too large');
+            return { status: 413, body: { error: 'File too large' } };
+        }
+        
+        if (type === 'document') {
+            const document = await this.importDocument(file);
+            return { status: 200, body: { success: true, document } };
+        }
+        
+        const imageData = await this.imageStore.add({
+            filename: file.filename,
+            originalname: file.originalname,
+            size: file.size,
+            title: path.parse(file.originalname).name
+        });
+        
+        this.images = this.imageStore.list();
+        
+        if (type === 'video') {
+            // Visas på skärmarna först när jobbet är klart
+            const job = this.videoProcessor.enqueue(imageData);
+            return { status: 202, body: { success: true, image: imageData, job } };
+        }
+        
+        try {
+            await this.processImage(imageData);
+        } catch (error) {
+            // Går den inte att läsa för sharp kan inte heller skärmarna visa den
+            await this.imageStore.remove(imageData.id);
+            await fs.unlink(file.path).catch(() => {});
+            this.images = this.imageStore.list();
+            this.recordUploadFailure(file.originalname, error.message);
+            return { status: 400, body: { error: `Could not process image: ${error.message}` } };
+        }
+        
+        await this.generateThumbnail(imageData);
+        
+        if (broadcast) {
+            this.broadcastToAll({
+                type: 'image-uploaded',
+                image: imageData
+            });
+            this.broadcastImagesList();
+        }
+        
+        return { status: 200, body: { success: true, image: imageData } };
+    }
+    
+    // Packar upp ett ZIP-arkiv och importerar filerna en i taget; ett fel stoppar inte resten
+    async importArchive(file) {
+        const results = [];
+        
         try {
-            const inputPath = imageData.path;
-            const outputPath = path.join(__dirname, '..', 'thumbnails', imageData.filename);
+            const entries = await this.zipImporter.list(file.path);
+            const limits = this.uploadLimits();
+            const timestamp = Date.now();
+            
+            for (const [index, entry] of entries.entries()) {
+                const originalname = path.basename(entry.name);
+                const type = this.uploadType(originalname);
+                if (!type) {
+                    results.push({ name: entry.name, success: false, error: 'Invalid file type' });
+                    continue;
+                }
+                
+                // Servern väljer namnet, sökvägar i arkivet används aldrig
+                const filename = `${path.parse(originalname).name}_${timestamp}_${index + 1}${path.extname(originalname)}`;
+                const filePath = this.imageStore.filePath(filename);
+                
+                try {
+                    const size = await this.zipImporter.extract(file.path, entry, filePath, limits[type]);
+                    const result = await this.importFile({ path: filePath, filename, originalname, size }, { broadcast: false });
+                    results.push({ name: entry.name, ...result.body, success: result.status < 400 });
+                } catch (error) {
+                    this.recordUploadFailure(originalname, error.message);
+                    results.push({ name: entry.name, success: false, error: error.message });
+                }
+            }
+        } finally {
+            await fs.unlink(file.path).catch(() => {});
+        }
+        
+        const imported = results.filter(result => result.success).length;
+        console.log(`🗜️ Imported ${imported}/${results.length} file(s) from ${file.originalname}`);
+        if (imported > 0) this.broadcastImagesList();
+        
+        return results;
+    }
+    
+    // Dokumentsidor flyttas som en grupp, i sidordning, dit dokumentets första sida hamnade
+    keepDocumentsTogether(ids) {
+        const order = [];
+        const placed = new Set();
+        
+        for (const id of ids) {
+            const image = this.imageStore.get(id);
+            if (!image.documentId) {
+                order.push(id);
+                continue;
+            }
+            if (placed.has(image.documentId)) continue;
             
-            await sharp(inputPath)
-                .resize(this.config.images.thumbnailWidth, this.config.images.thumbnailHeight, {
-                    fit: 'cover',
-                    position: 'center'
-                })
-                .jpeg({ quality: this.config.images.quality || 80 })
-                .toFile(outputPath);
+            placed.add(image.documentId);
+            order.push(...this.documents.pages(image.documentId, this.imageStore.list()).map(img => img.id));
+        }
+        
+        return order;
+    }
+    
+    async importDocument(file) {
+        const filename = await this.documentImporter.store(file.path);
+        const document = await this.documents.create({
+            title: path.parse(file.originalname).name,
+            filename,
+            originalname: file.originalname
+        });
+        
+        try {
+            await this.renderDocumentPages(document);
+        } catch (error) {
+            await this.documents.remove(document.id);
+            await fs.unlink(this.documentImporter.sourcePath(filename)).catch(() => {});
+            throw error;
+        }
+        
+        console.log(`📄 Imported ${document.originalname}: ${document.pageCount} page(s)`);
+        return document;
+    }
+    
+    // Renderar dokumentets sidor och synkar dem mot befintliga sidposter
+    async renderDocumentPages(document) {
+        const rendered = await this.documentImporter.render(document.filename, path.parse(document.filename).name);
+        const existing = this.documents.pages(document.id, this.imageStore.list());
+        const template = existing[0] || {};
+        
+        await fs.mkdir(this.thumbnailsDir, { recursive: true });
+        document.pageCount = rendered.length;
+        
+        for (const { page, filename } of rendered) {
+            const current = existing.find(img => img.page === page);
+            const title = this.pageTitle(document, page);
+            let image = current;
             
-            console.log(`✅ Thumbnail: ${imageData.filename}`);
+            if (current) {
+                if (current.filename !== filename) await this.removeImageFiles(current);
+                await this.imageStore.replaceFile(current.id, { filename });
+                await this.imageStore.update(current.id, { title });
+            } else {
+                const stats = await fs.stat(this.imageStore.filePath(filename));
+                image = await this.imageStore.add({
+                    filename,
+                    originalname: document.originalname,
+                    size: stats.size,
+                    title,
+                    active: template.active,
+                    documentId: document.id,
+                    page
+                });
+                if (template.schedule) await this.imageStore.update(image.id, { schedule: template.schedule });
+            }
             
+            await this.processImage(image).catch(error => console.error(`Image processing failed for ${filename}:`, error.message));
+            await this.generateThumbnail(this.imageStore.get(image.id));
+        }
+        
+        // Sidor som inte finns kvar i den nya versionen
+        for (const image of existing.filter(img => img.page > rendered.length)) {
+            await this.imageStore.remove(image.id);
+            await this.removeImageFiles(image);
+            await this.playlists.removeImage(image.id);
+        }
+        
+        // Håll ihop sidorna där dokumentet låg, nya dokument hamnar sist
+        await this.moveDocument(document.id, existing.length ? existing[0].order : Infinity);
+        await this.documents.update(document.id, { pageCount: rendered.length });
+        
+        this.images = this.imageStore.list();
+    }
+    
+    pageTitle(document, page) {
+        return document.pageCount > 1 ? `${document.title} (${page}/${document.pageCount})` : document.title;
+    }
+    
+    async moveDocument(documentId, position) {
+        await this.imageStore.reorder(this.documentOrder(documentId, position));
+    }
+    
+    // Bildernas id:n i ny ordning med dokumentets sidor samlade på plats `position`
+    documentOrder(documentId, position) {
+        const images = this.imageStore.list();
+        const pages = this.documents.pages(documentId, images).map(img => img.id);
+        const others = images.filter(img => img.documentId !== documentId).map(img => img.id);
+        
+        others.splice(Math.max(0, Math.min(others.length, position - 1)), 0, ...pages);
+        return others;
+    }
+    
+    // Tar bort bildfil, miniatyr och ev. affischbild för en post
+    async removeImageFiles(image) {
+        if (image.type === 'template') return;
+        
+        const files = [
+            { root: 'images', path: image.filename },
+            { root: 'thumbnails', path: image.thumbnail || image.filename }
+        ];
+        if (image.poster) files.push({ root: 'images', path: image.poster });
+        
+        // trash.resolve() släpper inte igenom sökvägar utanför bild- och miniatyrmapparna
+        for (const file of files) {
+            try {
+                await fs.unlink(this.trash.resolve(file));
+            } catch (error) {
+                console.warn('Could not delete file:', error.message);
+            }
+        }
+        await this.imageProcessor.removeRenditions(image);
+    }
+    
+    // Filer som hör till en post, relativt papperskorgens rötter
+    imageFiles(image) {
+        if (image.type === 'template') return [];
+        
+        const files = [
+            { root: 'images', path: image.filename },
+            { root: 'thumbnails', path: image.thumbnail || image.filename }
+        ];
+        if (image.poster) files.push({ root: 'images', path: image.poster });
+        for (const rendition of image.renditions || []) files.push({ root: 'images', path: rendition.file });
+        for (const file of this.versions.filePaths(image)) files.push({ root: 'images', path: file });
+        return files;
+    }
+    
+    async trashImage(image, deletedBy = null) {
+        const playlists = this.playlists.imageMemberships(image.id);
+        
+        await this.imageStore.remove(image.id);
+        await this.playlists.removeImage(image.id);
+        const entry = await this.trash.add(image, { files: this.imageFiles(image), playlists, deletedBy });
+        await this.versions.clear(image);
+        
+        console.log(`🗑️ Moved to trash: ${image.title || image.filename}`);
+        return entry;
+    }
+    
+    async restoreFromTrash(entry) {
+        await this.trash.restore(entry.id);
+        
+        // Dokumentet kan ha tagits bort under tiden; sidan blir då en vanlig bild
+        const image = { ...entry.image };
+        if (image.documentId && !this.documents.get(image.documentId)) {
+            delete image.documentId;
+            delete image.page;
+        }
+        
+        const restored = await this.imageStore.restore(image);
+        await this.playlists.restoreImage(image.id, entry.playlists);
+        
+        this.images = this.imageStore.list();
+        this.broadcastImagesList();
+        
+        console.log(`♻️ Restored from trash: ${restored.title || restored.filename}`);
+        return restored;
+    }
+    
+    trashSummary(entry) {
+        const thumbnail = entry.files.find(file => file.root === 'thumbnails');
+        return {
+            id: entry.id,
+            deletedAt: entry.deletedAt,
+            deletedBy: entry.deletedBy,
+            expiresAt: entry.expiresAt,
+            image: {
+                id: entry.image.id,
+                title: entry.image.title,
+                filename: entry.image.filename,
+                type: entry.image.type,
+                documentId: entry.image.documentId || null,
+                template: entry.image.template || null
+            },
+            preview: thumbnail ? `/api/trash/${entry.id}/files/${encodeURIComponent(thumbnail.stored)}` : null
+        };
+    }
+    
+    // Töm gamla poster i papperskorgen en gång i timmen
+    startTrashPurge() {
+        const purge = () => this.trash.purgeExpired()
+            .then(entries => {
+                if (entries.length > 0) console.log(`🗑️ Purged ${entries.length} expired item(s) from trash`);
+            })
+            .catch(error => console.error('Trash purge failed:', error));
+        
+        purge();
+        setInterval(purge, 60 * 60 * 1000).unref();
+    }
+    
+    // Miniatyr och skärmversioner tas fram på nytt för den nya filen
+    async removeDerivedFiles(image) {
+        try {
+            await fs.unlink(this.trash.resolve({ root: 'thumbnails', path: image.thumbnail || image.filename }));
+        } catch (error) {
+            // Saknas redan, eller ligger utanför miniatyrmappen
+        }
+        await this.imageProcessor.removeRenditions(image);
+    }
+    
+    // Byter bildfilen; den gamla sparas som version och återställs om den nya inte går att bearbeta
+    async replaceImageFile(image, file, replacedBy = null) {
+        const version = await this.versions.archive(image, replacedBy);
+        await this.removeDerivedFiles(image);
+        
+        try {
+            await this.imageStore.replaceFile(image.id, {
+                filename: file.filename,
+                originalname: file.originalname,
+                uploaded: new Date().toISOString()
+            });
+            await this.processImage(image);
         } catch (error) {
-            console.error('Thumbnail failed:', error);
+            await fs.unlink(this.imageStore.filePath(file.filename)).catch(() => {});
+            await this.versions.restore(version);
+            await this.imageStore.replaceFile(image.id, version);
+            await this.processImage(image).catch(() => {});
+            await this.generateThumbnail(image);
+            throw error;
+        }
+        
+        await this.generateThumbnail(image);
+        await this.addImageVersion(image, version);
+        console.log(`🔁 Replaced ${version.filename} with ${image.filename}`);
+        return image;
+    }
+    
+    async restoreImageVersion(image, version, replacedBy = null) {
+        const current = await this.versions.archive(image, replacedBy);
+        await this.removeDerivedFiles(image);
+        
+        await this.versions.restore(version);
+        await this.imageStore.replaceFile(image.id, version);
+        await this.imageStore.update(image.id, { versions: image.versions.filter(v => v !== version) });
+        await this.addImageVersion(image, current);
+        
+        await this.processImage(image).catch(error => console.error(`Image processing failed for ${image.filename}:`, error.message));
+        await this.generateThumbnail(image);
+        console.log(`♻️ Restored version ${version.version} of ${image.title || image.filename}`);
+        return image;
+    }
+    
+    // Lägger till en version och tar bort de äldsta utöver images.maxVersions
+    async addImageVersion(image, version) {
+        const versions = [...(image.versions || []), version];
+        const dropped = this.versions.overflow(versions);
+        for (const old of dropped) await this.versions.remove(old);
+        
+        await this.imageStore.update(image.id, { versions: versions.slice(dropped.length) });
+    }
+    
+    // Vrider och rensar metadata i originalet och skapar skärmanpassade versioner
+    async processImage(image) {
+        const result = await this.imageProcessor.process(image.filename);
+        
+        // Originalet har skrivits om, så storlek och checksumma ändras
+        await this.imageStore.replaceFile(image.id, { filename: image.filename });
+        return this.imageStore.update(image.id, result);
+    }
+    
+    // Bilder från före bildpipelinen, eller som lagts i mappen för hand
+    async processMissingRenditions() {
+        const pending = this.imageStore.list().filter(img => img.type === 'image' && !img.renditions);
+        if (pending.length === 0) return;
+        
+        console.log(`🖼️  Processing ${pending.length} image(s) for the displays...`);
+        for (const image of pending) {
+            if (!this.imageStore.get(image.id)) continue;
+            
+            try {
+                await this.processImage(image);
+            } catch (error) {
+                console.error(`❌ Image processing failed for ${image.filename}:`, error.message);
+                // Försök inte igen vid varje start; skärmarna visar originalet
+                await this.imageStore.update(image.id, { renditions: [] });
+            }
         }
+        
+        this.images = this.imageStore.list();
+        this.broadcastImagesList();
+    }
+    
+    // Går via ThumbnailGenerators kö; ett misslyckat jobb syns i /api/thumbnails/jobs
+    async generateThumbnail(imageData, sourcePath = null) {
+        const job = await this.thumbnails.generate(imageData.filename, {
+            source: sourcePath,
+            thumbnail: imageData.thumbnail
+        });
+        if (job.status === 'done' && !job.skipped) console.log(`✅ Thumbnail: ${imageData.filename}`);
+        return job;
     }
     
     startServer() {
@@ -486,6 +2325,8 @@ class InfoScreenServer {
     }
 }
 
+InfoScreenServer.TRANSITIONS = ['fade', 'slide', 'kenburns', 'none'];
+
 if (require.main === module) {
     const server = new InfoScreenServer();
     
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile, spawn } = require('child_process');
+const util = require('util');
+const execFileAsync = util.promisify(execFile);
+
+/**
+ * Reads ZIP archives uploaded through the admin panel with Info-ZIP
+ * (`unzip`). Entries are streamed out one at a time to file names chosen
+ * by the server, so paths inside the archive (../, absolute paths) never
+ * decide where anything is written, and an entry that is bigger than its
+ * listing claims is cut off at the size limit.
+ */
+class ZipImporter {
+    constructor(config = {}) {
+        this.config = {
+            maxArchiveFiles: 200,
+            unzipPath: 'unzip',
+            ...config
+        };
+    }
+
+    isArchive(filename) {
+        return path.extname(filename).toLowerCase() === '.zip';
+    }
+
+    // Filer i arkivet: [{ name, size }], utan mappar och macOS-skräp
+    async list(archivePath) {
+        let stdout;
+        try {
+            stdout = await this.run(['-qql', archivePath]);
+        } catch (error) {
+            // unzips eget meddelande är långt och innehåller sökvägar på servern
+            throw /not installed$/.test(error.message) ? error : new Error('File is not a valid ZIP archive');
+        }
+        const entries = [];
+
+        for (const line of stdout.split('\n')) {
+            const match = /^\s*(\d+)\s+\S+\s+\S+\s+(.+)$/.exec(line);
+            if (!match) continue;
+
+            const name = match[2];
+            const base = path.posix.basename(name);
+            if (name.endsWith('/') || name.startsWith('__MACOSX/') || base.startsWith('.')) continue;
+
+            entries.push({ name, size: Number(match[1]) });
+        }
+
+        if (entries.length > this.config.maxArchiveFiles) {
+            throw new Error(`Archive has ${entries.length} files (max ${this.config.maxArchiveFiles})`);
+        }
+        return entries;
+    }
+
+    // Packar upp en fil till target; avbryter om den blir större än maxSize
+    extract(archivePath, entry, target, maxSize) {
+        return new Promise((resolve, reject) => {
+            // unzip tolkar [ ] * ? som mönster i filnamn
+            const pattern = entry.name.replace(/[\\[\]*?]/g, '\\$&');
+            const child = spawn(this.config.unzipPath, ['-p', archivePath, pattern]);
+            const output = fs.createWriteStream(target);
+            let size = 0;
+            let failed = null;
+            let exitCode = null;
+            let written = false;
+
+            const fail = (error) => {
+                if (failed) return;
+                failed = error;
+                child.kill();
+                output.destroy();
+                fs.promises.unlink(target).catch(() => {}).then(() => reject(error));
+            };
+
+            child.stdout.on('data', chunk => {
+                size += chunk.length;
+                if (size > maxSize) fail(new Error('File too large'));
+            });
+            child.stdout.pipe(output);
+
+            // Klart först när unzip avslutats och allt skrivits till disk
+            const done = () => {
+                if (failed || exitCode === null || !written) return;
+                if (exitCode !== 0) return fail(new Error(`${path.basename(this.config.unzipPath)} failed with exit code ${exitCode}`));
+                resolve(size);
+            };
+
+            output.on('error', fail);
+            output.on('finish', () => { written = true; done(); });
+            child.on('error', error => fail(new Error(`${path.basename(this.config.unzipPath)} failed: ${error.code === 'ENOENT' ? 'not installed' : error.message}`)));
+            child.on('close', code => { exitCode = code; done(); });
+        });
+    }
+
+    async run(args, timeout = 60000) {
+        try {
+            const { stdout } = await execFileAsync(this.config.unzipPath, args, { timeout, maxBuffer: 10 * 1024 * 1024 });
+            return stdout;
+        } catch (error) {
+            const detail = error.code === 'ENOENT' ? 'not installed' : (error.stderr || error.message).trim();
+            throw new Error(`${path.basename(this.config.unzipPath)} failed: ${detail}`);
+        }
+    }
+}
+
+module.exports = ZipImporter;
@@ -147,6 +147,8 @@ if [ -n "$TV_DISPLAY" ] && [ "$TV_DISPLAY" != "$TOUCH_DISPLAY" ]; then
     echo "📺 Starting TV display..."
     sleep 2
     
+    # Fast profil så att spellistan och bilderna som sparats för offline-läge finns kvar
+    
     chromium \
         --kiosk \
         --noerrdialogs \
@@ -154,7 +156,7 @@ if [ -n "$TV_DISPLAY" ] && [ "$TV_DISPLAY" != "$TOUCH_DISPLAY" ]; then
         --app="http://localhost:8080/" \
         --window-size=1920,1080 \
         --start-fullscreen \
-        --user-data-dir=/tmp/chrome-tv-$(date +%s) &
+        --user-data-dir="$HOME/.config/infoscreen-display" &
 fi
 
 echo ""
@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AlertManager = require('../server/alert-manager');
+
+// Minimal SMTP-server som sparar mottagna mejl; med `fail` nekas avsändaren
+function smtpSink() {
+    const sink = { messages: [], fail: false };
+
+    sink.server = net.createServer((socket) => {
+        let buffer = '';
+        let data = null;
+        socket.write('220 sink ESMTP\r\n');
+
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        sink.messages.push(data.join('\n'));
+                        data = null;
+                        socket.write('250 queued\r\n');
+                    } else {
+                        data.push(line.startsWith('..') ? line.slice(1) : line);
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') socket.write('250 sink\r\n');
+                else if (command === 'MAIL') socket.write(sink.fail ? '451 try again later\r\n' : '250 ok\r\n');
+                else if (command === 'RCPT' || command === 'RSET' || command === 'NOOP') socket.write('250 ok\r\n');
+                else if (command === 'DATA') {
+                    data = [];
+                    socket.write('354 go ahead\r\n');
+                } else if (command === 'QUIT') socket.end('221 bye\r\n');
+                else socket.write('502 not implemented\r\n');
+            }
+        });
+        socket.on('error', () => {});
+    });
+
+    return new Promise((resolve) => sink.server.listen(0, '127.0.0.1', () => resolve(sink)));
+}
+
+async function setup(t, config = {}) {
+    const sink = await smtpSink();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+    const alerts = new AlertManager({
+        enabled: true,
+        email: 'drift@example.com',
+        smtpServer: '127.0.0.1',
+        smtpPort: sink.server.address().port,
+        from: 'infoscreen@example.com',
+        ...config
+    }, { statePath: path.join(dir, 'alerts.json'), name: 'Test' });
+    await alerts.load();
+
+    t.after(() => {
+        alerts.stop();
+        sink.server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return { sink, alerts };
+}
+
+test('delivers an alert by email and suppresses duplicates', async (t) => {
+    const { sink, alerts } = await setup(t);
+
+    assert.equal(await alerts.send({ key: 'disk', subject: 'Disk almost full', message: '95% used' }), 'sent');
+    assert.equal(await alerts.send({ key: 'disk', subject: 'Disk almost full', message: '96% used' }), 'duplicate');
+
+    assert.equal(sink.messages.length, 1);
+    assert.match(sink.messages[0], /^Subject: \[Test\] \[WARNING\] Disk almost full$/m);
+    assert.match(sink.messages[0], /^To: drift@example\.com$/m);
+    assert.match(sink.messages[0], /95% used/);
+});
+
+test('collects non-critical alerts into one digest but sends critical ones at once', async (t) => {
+    const { sink, alerts } = await setup(t, { digest: true });
+
+    assert.equal(await alerts.send({ key: 'cpu', subject: 'High CPU' }), 'queued');
+    assert.equal(await alerts.send({ key: 'memory', subject: 'High memory' }), 'queued');
+    assert.equal(await alerts.send({ key: 'update', severity: 'critical', subject: 'Update failed' }), 'sent');
+    assert.equal(sink.messages.length, 1);
+
+    assert.equal(await alerts.flushDigest(), 2);
+    assert.equal(sink.messages.length, 2);
+    assert.match(sink.messages[1], /^Subject: \[Test\] Summary: 2 alert\(s\)$/m);
+    assert.match(sink.messages[1], /High CPU/);
+    assert.match(sink.messages[1], /High memory/);
+    assert.equal(alerts.state.queue.length, 0);
+});
+
+test('queues alerts over the hourly rate limit for the next digest', async (t) => {
+    const { sink, alerts } = await setup(t, { rateLimit: 1 });
+
+    assert.equal(await alerts.send({ key: 'a', subject: 'First' }), 'sent');
+    assert.equal(await alerts.send({ key: 'b', subject: 'Second' }), 'queued');
+    assert.equal(sink.messages.length, 1);
+
+    assert.equal(await alerts.flushDigest(), 1);
+    assert.match(sink.messages[1], /Second/);
+});
+
+test('drops the oldest queued alerts while SMTP fails and reports them in the digest', async (t) => {
+    const { sink, alerts } = await setup(t, { maxQueue: 3 });
+    sink.fail = true;
+
+    for (let i = 1; i <= 5; i++) {
+        assert.equal(await alerts.send({ key: `screen-${i}`, severity: 'critical', subject: `Screen ${i} silent` }), 'queued');
+    }
+    assert.deepEqual(alerts.state.queue.map(alert => alert.subject), ['Screen 3 silent', 'Screen 4 silent', 'Screen 5 silent']);
+    assert.equal(alerts.state.dropped, 2);
+
+    await assert.rejects(alerts.flushDigest());
+    assert.equal(alerts.state.queue.length, 3);
+
+    sink.fail = false;
+    assert.equal(await alerts.flushDigest(), 3);
+
+    const [digest] = sink.messages;
+    assert.match(digest, /2 older alert\(s\) were dropped while the queue was full\./);
+    assert.doesNotMatch(digest, /Screen [12] silent/);
+    assert.match(digest, /Screen 5 silent/);
+    assert.equal(alerts.state.dropped, 0);
+    assert.equal(alerts.state.queue.length, 0);
+});
@@ -0,0 +1,248 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const AutoUpdateSystem = require('../auto-update');
+const ReleaseVerifier = require('../server/release-verifier');
+
+const hasZip = (() => {
+    try {
+        execSync('zip -v && unzip -v', { stdio: 'ignore' });
+        return true;
+    } catch {
+        return false;
+    }
+})();
+
+// Releaseserver som svarar som GitHub: routes är sökväg → Buffer eller objekt (skickas som JSON)
+function releaseServer(routes) {
+    return new Promise((resolve) => {
+        const server = http.createServer((req, res) => {
+            const body = routes[req.url];
+            if (body === undefined) {
+                res.statusCode = 404;
+                return res.end();
+            }
+            res.end(Buffer.isBuffer(body) ? body : JSON.stringify(body));
+        });
+        server.listen(0, '127.0.0.1', () => {
+            server.url = `http://127.0.0.1:${server.address().port}`;
+            resolve(server);
+        });
+    });
+}
+
+async function setup(t, config = {}) {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-update-'));
+    const updater = new AutoUpdateSystem({ root, start: false });
+    updater.config = { ...updater.config, githubRepo: 'example/infoscreen', ...config };
+    updater.verifier = new ReleaseVerifier(updater.config);
+    updater.restarts = 0;
+    updater.restartSystem = async () => { updater.restarts++; };
+    await updater.ensureDirectories();
+
+    t.after(() => {
+        updater.alerts.stop();
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+    return { root, updater };
+}
+
+function release(tag, options = {}) {
+    return { tag_name: tag, name: tag, prerelease: false, draft: false, assets: [], ...options };
+}
+
+// Ett releasepaket som det GitHub-arbetsflödet bygger: en mapp med programmet i en zip
+function buildPackage(dir, version) {
+    const source = path.join(dir, `infoscreen-${version}`);
+    fs.mkdirSync(path.join(source, 'server'), { recursive: true });
+    fs.mkdirSync(path.join(source, 'public'), { recursive: true });
+    fs.writeFileSync(path.join(source, 'package.json'), JSON.stringify({ name: 'infoscreen', version }));
+    fs.writeFileSync(path.join(source, 'server', 'webserver.js'), '// webserver\n');
+    fs.writeFileSync(path.join(source, 'public', 'index.html'), '<!DOCTYPE html>\n');
+    execSync(`zip -qr package.zip infoscreen-${version}`, { cwd: dir });
+    return fs.readFileSync(path.join(dir, 'package.zip'));
+}
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+test('picks the newest release in the configured channel', async (t) => {
+    const server = await releaseServer({
+        '/repos/example/infoscreen/releases?per_page=30': [
+            release('v2.0.0', { draft: true }),
+            release('v1.3.0-rc.1'),
+            release('v1.2.0-beta.1', { prerelease: true }),
+            release('v1.1.0'),
+            release('v1.0.0')
+        ]
+    });
+    t.after(() => server.close());
+
+    const { updater } = await setup(t, { apiUrl: server.url, currentVersion: '1.0.0' });
+    assert.equal((await updater.fetchLatestRelease()).tag_name, 'v1.1.0');
+
+    updater.config.updateChannel = 'beta';
+    assert.equal((await updater.fetchLatestRelease()).tag_name, 'v1.3.0-rc.1');
+
+    const check = await updater.checkForUpdates();
+    assert.equal(check.updateAvailable, true);
+    assert.equal(check.latestVersion, 'v1.3.0-rc.1');
+});
+
+test('downloads a package whose SHA256SUMS entry matches', { skip: !hasZip && 'zip/unzip not installed' }, async (t) => {
+    const { root, updater } = await setup(t);
+    const archive = buildPackage(root, '1.1.0');
+    const server = await releaseServer({
+        '/download/infoscreen-1.1.0.zip': archive,
+        '/download/SHA256SUMS': Buffer.from(`${sha256(archive)}  infoscreen-1.1.0.zip\n`)
+    });
+    t.after(() => server.close());
+
+    const updatePath = await updater.downloadUpdate(release('v1.1.0', {
+        assets: [
+            { name: 'infoscreen-1.1.0.zip', browser_download_url: `${server.url}/download/infoscreen-1.1.0.zip` },
+            { name: 'SHA256SUMS', browser_download_url: `${server.url}/download/SHA256SUMS` }
+        ]
+    }));
+
+    assert.equal(path.basename(updatePath), 'infoscreen-1.1.0');
+    assert.equal(await updater.validateUpdate(updatePath), '1.1.0');
+});
+
+test('refuses a package with a wrong checksum or without SHA256SUMS', async (t) => {
+    const { updater } = await setup(t);
+    const archive = Buffer.from('not really a zip');
+    const server = await releaseServer({
+        '/download/infoscreen-1.1.0.zip': archive,
+        '/download/SHA256SUMS': Buffer.from(`${sha256('something else')}  infoscreen-1.1.0.zip\n`)
+    });
+    t.after(() => server.close());
+
+    const zip = { name: 'infoscreen-1.1.0.zip', browser_download_url: `${server.url}/download/infoscreen-1.1.0.zip` };
+    const sums = { name: 'SHA256SUMS', browser_download_url: `${server.url}/download/SHA256SUMS` };
+
+    await assert.rejects(updater.downloadUpdate(release('v1.1.0', { assets: [zip, sums] })), /Checksum mismatch for infoscreen-1\.1\.0\.zip/);
+    await assert.rejects(updater.downloadUpdate(release('v1.1.0', { assets: [zip] })), /Release has no SHA256SUMS/);
+    // Paketet måste heta som arbetsflödet döper det: infoscreen-<tagg utan v>.zip
+    await assert.rejects(updater.downloadUpdate(release('v1.2.0', { assets: [zip, sums] })), /Release v1\.2\.0 has no infoscreen-1\.2\.0\.zip package/);
+
+    // Nedladdningen städas bort när kontrollen misslyckas
+    assert.deepEqual(fs.readdirSync(updater.directories.temp), []);
+});
+
+test('requires a valid signature with verification "signature"', async (t) => {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    const { root, updater } = await setup(t, { verification: 'signature' });
+    updater.config.publicKeyPath = path.join(root, 'release.pub');
+    fs.writeFileSync(updater.config.publicKeyPath, publicKey.export({ type: 'spki', format: 'pem' }));
+    updater.verifier = new ReleaseVerifier(updater.config);
+
+    const archive = Buffer.from('release package');
+    const server = await releaseServer({
+        '/download/infoscreen-1.1.0.zip': archive,
+        '/download/forged.sig': crypto.sign(null, Buffer.from('other package'), privateKey)
+    });
+    t.after(() => server.close());
+
+    const assets = (signature) => [
+        { name: 'infoscreen-1.1.0.zip', browser_download_url: `${server.url}/download/infoscreen-1.1.0.zip` },
+        { name: 'infoscreen-1.1.0.zip.sig', browser_download_url: `${server.url}/download/${signature}` }
+    ];
+
+    await assert.rejects(updater.downloadUpdate(release('v1.1.0', { assets: assets('forged.sig') })), /Signature verification failed/);
+    await assert.rejects(updater.downloadUpdate(release('v1.1.0', { assets: assets('forged.sig').slice(0, 1) })), /Release has no infoscreen-1\.1\.0\.zip\.sig/);
+
+    // En korrekt signatur, här base64-kodad, godkänns
+    const zipPath = path.join(root, 'package.zip');
+    fs.writeFileSync(zipPath, archive);
+    await updater.verifier.verifySignature(zipPath, crypto.sign(null, archive, privateKey).toString('base64'));
+});
+
+test('clears the pending check when the new version reports healthy', async (t) => {
+    const server = await releaseServer({ '/api/health': { status: 'healthy', version: '1.1.0' } });
+    t.after(() => server.close());
+
+    const { updater } = await setup(t, { healthCheckTimeout: 2000 });
+    updater.healthUrl = `${server.url}/api/health`;
+    fs.writeFileSync(updater.pendingHealthPath, '{}');
+
+    assert.equal(await updater.runHealthCheck({ version: '1.1.0', previousVersion: '1.0.0', backupName: 'backup_test' }), true);
+    assert.equal(fs.existsSync(updater.pendingHealthPath), false);
+    assert.equal(updater.restarts, 0);
+});
+
+test('rolls the program back, but not the content, when the new version never reports healthy', async (t) => {
+    const server = await releaseServer({ '/api/health': { status: 'unhealthy', version: '1.1.0' } });
+    t.after(() => server.close());
+
+    const { root, updater } = await setup(t, { healthCheckTimeout: 300 });
+    updater.healthUrl = `${server.url}/api/health`;
+
+    fs.mkdirSync(path.join(root, 'server'));
+    fs.mkdirSync(path.join(root, 'data'));
+    fs.writeFileSync(path.join(root, 'server', 'webserver.js'), '// 1.0.0\n');
+    fs.writeFileSync(path.join(root, 'data', 'playlists.json'), '{"playlists":[]}');
+    await updater.backups.create({
+        name: 'backup_test',
+        type: 'full',
+        version: '1.0.0',
+        items: [{ root: 'app', path: 'server' }, { root: 'data', path: 'playlists.json' }]
+    });
+    fs.writeFileSync(path.join(root, 'server', 'webserver.js'), '// 1.1.0\n');
+    fs.writeFileSync(path.join(root, 'data', 'playlists.json'), '{"playlists":["edited after the update"]}');
+    fs.writeFileSync(updater.pendingHealthPath, '{}');
+
+    assert.equal(await updater.runHealthCheck({ version: '1.1.0', previousVersion: '1.0.0', backupName: 'backup_test' }), false);
+    assert.equal(fs.readFileSync(path.join(root, 'server', 'webserver.js'), 'utf8'), '// 1.0.0\n');
+    assert.equal(fs.readFileSync(path.join(root, 'data', 'playlists.json'), 'utf8'), '{"playlists":["edited after the update"]}');
+    assert.equal(fs.existsSync(updater.pendingHealthPath), false);
+    assert.equal(updater.restarts, 1);
+    assert.equal(updater.updateInProgress, false);
+});
+
+test('imports images and content metadata from a bundle but no other data files', async (t) => {
+    const { root, updater } = await setup(t);
+    const staging = path.join(root, 'bundle');
+    fs.mkdirSync(path.join(staging, 'images'), { recursive: true });
+    fs.mkdirSync(path.join(staging, 'data'), { recursive: true });
+    fs.writeFileSync(path.join(staging, 'bundle.json'), JSON.stringify({ format: 'infoscreen-bundle', version: 1, created: '2026-10-01T00:00:00.000Z' }));
+    fs.writeFileSync(path.join(staging, 'images', 'entre.jpg'), 'jpeg');
+    fs.writeFileSync(path.join(staging, 'data', 'playlists.json'), '{"playlists":["imported"]}');
+    fs.writeFileSync(path.join(staging, 'data', 'clients.json'), '{"clients":["from another machine"]}');
+    fs.writeFileSync(path.join(staging, 'data', 'alerts-server.json'), '{}');
+    execSync(`tar -czf bundle.tar.gz -C "${staging}" .`, { cwd: root });
+
+    const result = await updater.importBundle(path.join(root, 'bundle.tar.gz'));
+
+    assert.equal(result.files, 2);
+    assert.equal(fs.readFileSync(path.join(root, 'images', 'entre.jpg'), 'utf8'), 'jpeg');
+    assert.equal(fs.readFileSync(path.join(root, 'data', 'playlists.json'), 'utf8'), '{"playlists":["imported"]}');
+    assert.equal(fs.existsSync(path.join(root, 'data', 'clients.json')), false);
+    assert.equal(fs.existsSync(path.join(root, 'data', 'alerts-server.json')), false);
+    assert.equal(updater.restarts, 1);
+});
+
+test('reloads maintenance windows from config.json without a restart', async (t) => {
+    const { root, updater } = await setup(t);
+    t.after(() => updater.stopUpdateChecker());
+    const writeConfig = (update) => fs.writeFileSync(path.join(root, 'config.json'), JSON.stringify({ update }));
+
+    writeConfig({ autoUpdate: true, checkInterval: 3600000, maintenanceWindows: [{ start: '02:00', end: '04:00', weekdays: [1] }] });
+    await updater.reloadConfig();
+    assert.deepEqual(updater.maintenance.windows, [{ start: '02:00', end: '04:00', weekdays: [1] }]);
+    assert.equal(updater.maintenance.tasks.length, 1);
+    assert.equal(updater.maintenance.isOpen(new Date(2026, 9, 19, 3, 0)), true);
+    assert.equal(updater.maintenance.isOpen(new Date(2026, 9, 20, 3, 0)), false);
+
+    // Borttagna fönster betyder att uppdateringar får installeras när som helst igen
+    writeConfig({ autoUpdate: true, checkInterval: 3600000 });
+    await updater.reloadConfig();
+    assert.deepEqual(updater.maintenance.windows, []);
+    assert.equal(updater.maintenance.tasks.length, 0);
+});
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const CalendarService = require('../server/calendar-service');
+
+const feed = fs.readFileSync(path.join(__dirname, 'fixtures', 'calendar', 'all-day.ics'), 'utf8');
+
+// Kalenderflöde med en händelse i morgon, så att den alltid ligger inom lookaheadDays
+function upcomingFeed() {
+    const tomorrow = new Date(Date.now() + 86400000);
+    const date = tomorrow.toISOString().slice(0, 10).replace(/-/g, '');
+    return feed.replace('DTSTART;VALUE=DATE:20260501', `DTSTART;VALUE=DATE:${date}`).replace(/DTEND;VALUE=DATE:20260502\r\n/, '');
+}
+
+function listen(handler) {
+    return new Promise((resolve) => {
+        const server = http.createServer(handler);
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+test('fetches and expands the feed over HTTP', async (t) => {
+    const server = await listen((req, res) => res.end(upcomingFeed()));
+    t.after(() => server.close());
+
+    const calendar = new CalendarService({ calendarUrl: `http://127.0.0.1:${server.address().port}/basic.ics` });
+    const result = await calendar.getEvents();
+
+    assert.equal(result.stale, false);
+    assert.deepEqual(result.events.map(event => event.title), ['Första maj']);
+});
+
+test('serves the last good result marked stale when the feed fails', async (t) => {
+    let fail = false;
+    const server = await listen((req, res) => {
+        if (fail) {
+            res.statusCode = 503;
+            return res.end();
+        }
+        res.end(upcomingFeed());
+    });
+    t.after(() => server.close());
+
+    const calendar = new CalendarService({ calendarUrl: `http://127.0.0.1:${server.address().port}/basic.ics`, updateInterval: 0 });
+    await calendar.getEvents();
+    fail = true;
+
+    const result = await calendar.getEvents();
+    assert.equal(result.stale, true);
+    assert.equal(result.error, 'Calendar feed error: 503');
+    assert.equal(result.events.length, 1);
+});
+
+test('refuses calendarUrl values that are not http(s) or webcal', async () => {
+    for (const calendarUrl of ['/etc/passwd', 'file:///etc/passwd', './config.json']) {
+        const calendar = new CalendarService({ calendarUrl });
+        await assert.rejects(calendar.getEvents(), /calendarUrl must be an http\(s\) or webcal URL/);
+    }
+});
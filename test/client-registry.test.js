@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ClientRegistry = require('../server/client-registry');
+
+async function setup(t, clients) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clients-'));
+    const file = path.join(dir, 'clients.json');
+    if (clients) fs.writeFileSync(file, JSON.stringify({ version: 1, clients }));
+    const registry = new ClientRegistry(file);
+    await registry.load();
+
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return registry;
+}
+
+const socket = () => ({ readyState: 1, send() {} });
+
+test('issues a token on first connect and requires it afterwards', async (t) => {
+    const registry = await setup(t);
+
+    const first = registry.connect(socket(), { kind: 'display', clientId: 'display-lobby' });
+    assert.equal(typeof first.token, 'string');
+    assert.equal(first.client.tokenHash, undefined);
+
+    assert.equal(registry.connect(socket(), { kind: 'display', clientId: 'display-lobby' }), null);
+    assert.equal(registry.connect(socket(), { kind: 'display', clientId: 'display-lobby', token: 'guess' }), null);
+
+    const again = registry.connect(socket(), { kind: 'display', clientId: 'display-lobby', token: first.token });
+    assert.equal(again.client.id, 'display-lobby');
+    assert.equal(again.token, null);
+
+    // Hashen lämnar aldrig registret
+    assert.equal(registry.get('display-lobby').tokenHash, undefined);
+    assert.ok(registry.list().every(client => !('tokenHash' in client)));
+});
+
+test('refuses a second live connection to a client registered without a token', async (t) => {
+    const registry = await setup(t, [{ id: 'display-old', kind: 'display', errors: [] }]);
+
+    const ws = socket();
+    const first = registry.connect(ws, { kind: 'display', clientId: 'display-old' });
+    assert.equal(typeof first.token, 'string');
+    assert.equal(registry.connect(socket(), { kind: 'display', clientId: 'display-old' }), null);
+
+    registry.disconnect(ws);
+    assert.equal(registry.connect(socket(), { kind: 'display', clientId: 'display-old' }), null);
+});
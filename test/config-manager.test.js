@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigManager = require('../server/config-manager');
+
+async function setup(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+    const file = path.join(dir, 'config.json');
+    fs.copyFileSync(path.join(__dirname, '..', 'config.json'), file);
+    const manager = new ConfigManager(file);
+    await manager.load();
+
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return { file, manager };
+}
+
+test('applies a merge patch and writes it to config.json', async (t) => {
+    const { file, manager } = await setup(t);
+
+    const result = await manager.patch({ weather: { city: 'Umeå' } });
+
+    assert.deepEqual(result.changed, ['weather.city']);
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).weather.city, 'Umeå');
+});
+
+test('ignores __proto__, constructor and prototype in a patch', async (t) => {
+    const { manager } = await setup(t);
+
+    // JSON.parse skapar __proto__ som en vanlig nyckel, precis som express.json()
+    for (const body of [
+        '{"__proto__":{"polluted":"yes"}}',
+        '{"weather":{"__proto__":{"polluted":"yes"}}}',
+        '{"constructor":{"prototype":{"polluted":"yes"}}}'
+    ]) {
+        const result = await manager.patch(JSON.parse(body));
+        assert.deepEqual(result.changed, []);
+    }
+
+    assert.equal(({}).polluted, undefined);
+    assert.equal(Object.prototype.polluted, undefined);
+    assert.equal(Object.getPrototypeOf(manager.get().weather), Object.prototype);
+});
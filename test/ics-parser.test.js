@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const IcsParser = require('../server/ics-parser');
+
+const fixture = name => path.join(__dirname, 'fixtures', 'calendar', name);
+
+test('expands a weekly RRULE in its TZID across the switch to summer time', async () => {
+    const events = await new IcsParser().parseFile(fixture('recurring.ics'), { from: '2026-03-01T00:00:00Z', to: '2026-04-30T00:00:00Z' });
+    const meetings = events.filter(event => event.uid === 'weekly-meeting');
+
+    assert.deepEqual(meetings.map(event => event.start), [
+        '2026-03-02T08:00:00.000Z',
+        '2026-03-09T08:00:00.000Z',
+        // 16 mars är undantagen med EXDATE, 23 mars flyttad med RECURRENCE-ID
+        '2026-03-24T12:00:00.000Z',
+        '2026-03-30T07:00:00.000Z',
+        '2026-04-06T07:00:00.000Z'
+    ]);
+    assert.equal(meetings[0].end, '2026-03-02T09:00:00.000Z');
+    assert.equal(meetings[2].title, 'Veckomöte (flyttat)');
+});
+
+test('unfolds lines and unescapes text values', async () => {
+    const [event] = await new IcsParser().parseFile(fixture('recurring.ics'), { from: '2026-03-02T00:00:00Z', to: '2026-03-03T00:00:00Z' });
+
+    assert.equal(event.title, 'Veckomöte, byggledning');
+    assert.equal(event.description, 'Genomgång av veckans arbeten.\nTa med ritningar och tidplan.');
+    assert.equal(event.location, 'Kontoret');
+});
+
+test('expands BYDAY=-1FR to the last Friday of each month until UNTIL', async () => {
+    const events = await new IcsParser().parseFile(fixture('recurring.ics'), { from: '2026-03-01T00:00:00Z', to: '2026-12-31T00:00:00Z' });
+    const walks = events.filter(event => event.uid === 'safety-walk');
+
+    assert.deepEqual(walks.map(event => event.start), [
+        '2026-03-27T12:00:00.000Z',
+        '2026-04-24T12:00:00.000Z',
+        '2026-05-29T12:00:00.000Z'
+    ]);
+    assert.equal(walks[0].end, '2026-03-27T14:00:00.000Z');
+});
+
+test('leaves out cancelled events', async () => {
+    const events = await new IcsParser().parseFile(fixture('recurring.ics'), { from: '2026-03-01T00:00:00Z', to: '2026-04-30T00:00:00Z' });
+    assert.ok(!events.some(event => event.uid === 'cancelled'));
+});
+
+test('treats DATE values as all-day events in local time', async () => {
+    const events = await new IcsParser().parseFile(fixture('all-day.ics'), { from: '2026-04-01T00:00:00Z', to: '2026-08-01T00:00:00Z' });
+
+    const mayDay = events.find(event => event.uid === 'may-day');
+    assert.equal(mayDay.allDay, true);
+    assert.equal(mayDay.start, new Date(2026, 4, 1).toISOString());
+    assert.equal(mayDay.end, new Date(2026, 4, 2).toISOString());
+
+    const holiday = events.find(event => event.uid === 'holiday-week');
+    assert.equal(holiday.end, new Date(2026, 6, 25).toISOString());
+});
+
+test('treats INTERVAL=0 as every period and skips broken events', async () => {
+    const events = await new IcsParser().parseFile(fixture('all-day.ics'), { from: '2026-04-01T00:00:00Z', to: '2026-08-01T00:00:00Z' });
+    const inspections = events.filter(event => event.uid === 'inspection');
+
+    assert.deepEqual(inspections.map(event => event.start), [
+        new Date(2026, 5, 1).toISOString(),
+        new Date(2026, 5, 2).toISOString(),
+        new Date(2026, 5, 3).toISOString()
+    ]);
+    assert.ok(!events.some(event => event.uid === 'broken'));
+});
+
+test('finds occurrences of a long-running rule without expanding from the start', () => {
+    const text = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'UID:daily',
+        'DTSTART:20000101T060000Z',
+        'DTEND:20000101T063000Z',
+        'RRULE:FREQ=DAILY;INTERVAL=2',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].join('\r\n');
+
+    const events = new IcsParser().getEvents(text, { from: '2026-01-01T00:00:00Z', to: '2026-01-07T00:00:00Z' });
+    assert.deepEqual(events.map(event => event.start.slice(0, 10)), ['2026-01-02', '2026-01-04', '2026-01-06']);
+});
@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SlideScheduler = require('../server/slide-scheduler');
+
+const scheduler = new SlideScheduler();
+
+// 2026-10-16 är en fredag (5), 2026-10-17 en lördag (6)
+const friday = (hours, minutes = 0) => new Date(2026, 9, 16, hours, minutes);
+const saturday = (hours, minutes = 0) => new Date(2026, 9, 17, hours, minutes);
+
+test('shows a slide in its date range, weekdays and time windows', () => {
+    const image = {
+        id: 1,
+        schedule: scheduler.normalize({
+            validFrom: '2026-10-01',
+            validUntil: '2026-10-16',
+            weekdays: [5],
+            timeWindows: [{ start: '07:00', end: '16:00' }]
+        })
+    };
+
+    assert.equal(scheduler.isEligible(image, friday(7)), true);
+    assert.equal(scheduler.isEligible(image, friday(15, 59)), true);
+    assert.equal(scheduler.isEligible(image, friday(16)), false);
+    assert.equal(scheduler.isEligible(image, new Date(2026, 9, 9, 10)), true);
+    assert.equal(scheduler.isEligible(image, new Date(2026, 9, 23, 10)), false);
+    assert.equal(scheduler.isEligible({ ...image, active: false }, friday(10)), false);
+});
+
+test('keeps the part of a window after midnight on the day it started', () => {
+    const image = {
+        id: 1,
+        schedule: scheduler.normalize({ weekdays: [5], timeWindows: [{ start: '22:00', end: '02:00' }] })
+    };
+
+    assert.equal(scheduler.isEligible(image, friday(21, 59)), false);
+    assert.equal(scheduler.isEligible(image, friday(23)), true);
+    assert.equal(scheduler.isEligible(image, saturday(1, 30)), true);
+    assert.equal(scheduler.isEligible(image, saturday(2)), false);
+    assert.equal(scheduler.isEligible(image, saturday(23)), false);
+    // Natten mot fredag började på en torsdag
+    assert.equal(scheduler.isEligible(image, friday(1)), false);
+});
+
+test('rejects dates that do not exist', () => {
+    for (const validFrom of ['2026-13-45', '2026-02-30', '2026-04-31T10:00', 'next week']) {
+        assert.throws(() => scheduler.normalize({ validFrom }), /validFrom must be a date/);
+    }
+    assert.throws(() => scheduler.normalize({ validFrom: '2026-10-20', validUntil: '2026-10-19' }), /validFrom must be before validUntil/);
+
+    assert.equal(scheduler.normalize({ validUntil: '2028-02-29' }).validUntil, '2028-02-29');
+    assert.equal(scheduler.normalize({ validFrom: '2026-10-19T08:30' }).validFrom, '2026-10-19T08:30');
+    assert.equal(scheduler.normalize({ weekdays: [], timeWindows: [] }), null);
+});
@@ -0,0 +1,133 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWeatherProvider } = require('../server/weather-providers');
+const WeatherService = require('../server/weather-service');
+
+function listen(handler) {
+    return new Promise((resolve) => {
+        const server = http.createServer(handler);
+        server.listen(0, '127.0.0.1', () => resolve(server));
+    });
+}
+
+function json(res, body) {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+}
+
+// Prognospunkter varje timme från en timme sedan i SMHI:s format, med 5 grader just nu
+function smhiSeries(hours) {
+    const start = Date.now() - 3600000;
+    return Array.from({ length: hours }, (_, i) => ({
+        validTime: new Date(start + i * 3600000).toISOString(),
+        parameters: [
+            { name: 't', values: [i === 1 ? 5 : 10] },
+            { name: 'ws', values: [4] },
+            { name: 'r', values: [80] },
+            { name: 'tcc_mean', values: [4] },
+            { name: 'Wsymb2', values: [19] }
+        ]
+    }));
+}
+
+test('fetches an SMHI point forecast from the configured base URL', async (t) => {
+    const requests = [];
+    const server = await listen((req, res) => {
+        requests.push(req.url);
+        json(res, { timeSeries: smhiSeries(30) });
+    });
+    t.after(() => server.close());
+
+    const provider = createWeatherProvider({
+        provider: 'smhi',
+        city: 'Örnsköldsvik',
+        latitude: 63.2909,
+        longitude: 18.7153,
+        smhiBaseUrl: `http://127.0.0.1:${server.address().port}/api/category/snow1g/version/1/`
+    });
+    const weather = await provider.fetch();
+
+    assert.deepEqual(requests, ['/api/category/snow1g/version/1/geotype/point/lon/18.715300/lat/63.290900/data.json']);
+    assert.equal(weather.location, 'Örnsköldsvik');
+    assert.equal(weather.current.temp, 5);
+    assert.equal(weather.current.humidity, 80);
+    assert.equal(weather.current.clouds, 50);
+    assert.deepEqual(weather.current.weather, [{ main: 'Rain', description: 'Regn', icon: '19' }]);
+    assert.ok(weather.current.feels_like < 5);
+    assert.ok(weather.daily.length >= 2);
+    assert.equal(weather.daily[0].temp.min, 5);
+});
+
+test('fetches current weather and forecast from OpenWeather', async (t) => {
+    const requests = [];
+    const server = await listen((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        requests.push(url);
+        const weather = [{ main: 'Clouds', description: 'mulet', icon: '04d' }];
+
+        if (url.pathname === '/data/2.5/weather') {
+            return json(res, { name: 'Örnsköldsvik', main: { temp: 3, feels_like: 0, humidity: 70 }, wind: { speed: 5 }, clouds: { all: 90 }, weather });
+        }
+        const start = Math.floor(Date.now() / 1000);
+        json(res, { list: [0, 3, 6].map(h => ({ dt: start + h * 3600, main: { temp: 2 + h }, weather })) });
+    });
+    t.after(() => server.close());
+
+    const provider = createWeatherProvider({
+        provider: 'openweather',
+        apiKey: 'test-key',
+        city: 'Örnsköldsvik',
+        country: 'SE',
+        baseUrl: `http://127.0.0.1:${server.address().port}`
+    });
+    const weather = await provider.fetch();
+
+    assert.deepEqual(requests.map(url => url.pathname).sort(), ['/data/2.5/forecast', '/data/2.5/weather']);
+    assert.equal(requests[0].searchParams.get('appid'), 'test-key');
+    assert.equal(requests[0].searchParams.get('q'), 'Örnsköldsvik,SE');
+    assert.equal(weather.current.temp, 3);
+    assert.equal(weather.current.wind_speed, 5);
+    assert.deepEqual(weather.current.weather, [{ main: 'Clouds', description: 'mulet', icon: '04d' }]);
+    assert.ok(weather.daily.length >= 1);
+});
+
+test('serves cached weather marked stale when the provider fails', async (t) => {
+    let fail = false;
+    const server = await listen((req, res) => {
+        if (fail) {
+            res.statusCode = 502;
+            return res.end();
+        }
+        json(res, { timeSeries: smhiSeries(30) });
+    });
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-'));
+    t.after(() => {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    const weather = new WeatherService({
+        provider: 'smhi',
+        latitude: 63.2909,
+        longitude: 18.7153,
+        updateInterval: 0,
+        smhiBaseUrl: `http://127.0.0.1:${server.address().port}`
+    }, { cachePath: path.join(dir, 'weather.json') });
+
+    assert.equal((await weather.getWeather()).stale, false);
+    fail = true;
+
+    const result = await weather.getWeather();
+    assert.equal(result.stale, true);
+    assert.equal(result.error, 'Weather API error: 502');
+    assert.equal(result.current.temp, 5);
+});
+
+test('rejects an SMHI configuration without coordinates', async () => {
+    const provider = createWeatherProvider({ provider: 'smhi', city: 'Örnsköldsvik' });
+    await assert.rejects(provider.fetch(), /SMHI requires weather.latitude and weather.longitude/);
+});
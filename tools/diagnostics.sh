@@ -27,6 +27,7 @@ echo ""
 # Service status
 echo "=== SERVICES ==="
 systemctl status infoscreen --no-pager
+systemctl status infoscreen-update --no-pager
 echo ""
 
 # Node processes